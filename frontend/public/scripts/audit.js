@@ -1,5 +1,18 @@
 const form = document.getElementById('audit-form');
 const urlInput = document.getElementById('site-url');
+const urlFileInput = document.getElementById('url-file');
+const urlListInput = document.getElementById('url-list');
+const urlIncludeInput = document.getElementById('url-include');
+const urlExcludeInput = document.getElementById('url-exclude');
+const urlSampleInput = document.getElementById('url-sample');
+const urlQueryParamsInput = document.getElementById('url-query-params');
+const urlDedupeInput = document.getElementById('url-dedupe');
+const urlIncrementalInput = document.getElementById('url-incremental');
+const respectRobotsInput = document.getElementById('respect-robots');
+const requestsPerSecondInput = document.getElementById('requests-per-second');
+const delayMsInput = document.getElementById('delay-ms');
+const userAgentInput = document.getElementById('user-agent');
+const retriesInput = document.getElementById('retries');
 const startButton = document.getElementById('start-audit');
 const progressDiv = document.getElementById('progress');
 const resultsDiv = document.getElementById('results');
@@ -8,7 +21,26 @@ const downloadLinks = document.getElementById('download-links');
 const historyDiv = document.getElementById('audit-history');
 const historyList = document.getElementById('history-list');
 
+const queueDiv = document.getElementById('audit-queue');
+const queueList = document.getElementById('queue-list');
+
+const scheduleList = document.getElementById('schedule-list');
+const scheduleForm = document.getElementById('schedule-form');
+const scheduleFrequency = document.getElementById('schedule-frequency');
+const scheduleStatus = document.getElementById('schedule-status');
+
+const pageLogDetails = document.getElementById('page-log-details');
+const pageLog = document.getElementById('page-log');
+
 let cancelButton = null;
+let resumeButton = null;
+
+// Live updates for the followed job (see followJob)
+let eventSource = null;
+
+// The queued audit job this browser is following (kept across reloads)
+const JOB_STORAGE_KEY = 'a11y-audit-job';
+let currentJobId = localStorage.getItem(JOB_STORAGE_KEY);
 
 /**
  * Frontend state mirrors server progress object
@@ -49,6 +81,12 @@ function renderProgress(statusData = {}) {
     return;
   }
 
+  if (status === 'queued') {
+    const position = statusData.position ? ` (position ${statusData.position})` : '';
+    progressDiv.innerHTML = `<div id="page-counter" class="audit-status">Waiting in queue${position}…</div>`;
+    return;
+  }
+
   let counterHtml = '';
   let progressBarHtml = '';
 
@@ -73,18 +111,80 @@ function renderProgress(statusData = {}) {
 /**
  * Start audit
  */
+const MAX_URL_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Patterns from a textarea, one per line.
+ */
+function readPatterns(textarea) {
+  return textarea.value.split('\n').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * What to audit: the site URL, plus an uploaded or pasted list of pages if given.
+ * The server validates every URL; an uploaded file wins over pasted text.
+ * Page filters, sampling and incremental audits only apply when the pages come from the site's sitemap;
+ * crawl politeness applies to every page load.
+ */
+async function buildAuditTarget() {
+  const target = {};
+  const siteUrl = urlInput.value.trim();
+  if (siteUrl) target.url = siteUrl;
+
+  const file = urlFileInput.files[0];
+  const pasted = urlListInput.value.split(/\s+/).map(u => u.trim()).filter(Boolean);
+
+  if (file) {
+    if (file.size > MAX_URL_FILE_BYTES) throw new Error('The URL list file is larger than 5 MB.');
+    target.urlFile = { name: file.name, content: await file.text() };
+  } else if (pasted.length) {
+    target.urls = pasted;
+  }
+
+  if (!target.url && !target.urlFile && !target.urls) {
+    throw new Error('Enter a website URL or provide a list of pages.');
+  }
+
+  if (!target.urlFile && !target.urls) {
+    const include = readPatterns(urlIncludeInput);
+    const exclude = readPatterns(urlExcludeInput);
+    if (include.length) target.urlInclude = include;
+    if (exclude.length) target.urlExclude = exclude;
+    if (urlSampleInput.value) target.sample = Number(urlSampleInput.value);
+    const queryParams = readPatterns(urlQueryParamsInput);
+    if (queryParams.length) target.queryParams = queryParams;
+    if (urlDedupeInput.checked) target.dedupe = true;
+    if (urlIncrementalInput.checked) target.incremental = true;
+  }
+
+  if (respectRobotsInput.checked) target.respectRobots = true;
+  if (requestsPerSecondInput.value) target.requestsPerSecond = Number(requestsPerSecondInput.value);
+  if (delayMsInput.value) target.delayMs = Number(delayMsInput.value);
+  if (userAgentInput.value.trim()) target.userAgent = userAgentInput.value.trim();
+  if (retriesInput.value !== '') target.retries = Number(retriesInput.value);
+  return target;
+}
+
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
+
+  let target;
+  try {
+    target = await buildAuditTarget();
+  } catch (err) {
+    renderProgress({ status: 'error', message: err.message });
+    return;
+  }
+
   startButton.textContent = 'Auditing...';
   startButton.disabled = true;
+  removeResumeButton();
   showCancelButton();
 
-  const siteUrl = urlInput.value.trim();
-  if (!siteUrl) return;
-
+  const label = target.url || 'your list of pages';
   const heading = document.getElementById('results-heading');
-  document.title = `Accessibility Audit for ${siteUrl}`;
-  if (heading) heading.textContent = `Accessibility Audit for ${siteUrl}`;
+  document.title = `Accessibility Audit for ${label}`;
+  if (heading) heading.textContent = `Accessibility Audit for ${label}`;
 
   resultsDiv.style.display = 'none';
   downloadLinks.innerHTML = '';
@@ -93,45 +193,206 @@ form.addEventListener('submit', async (e) => {
   renderProgress(lastStatusData);
 
   try {
-    const startResp = await fetch('/api/audit', {
+    const startResp = await fetch('/api/audits', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url: siteUrl })
+      body: JSON.stringify(target)
     });
-    const startData = await startResp.json();
-    if (startData.status !== 'started') {
-      renderProgress({ status: 'error', message: 'Failed to start audit' });
+    const job = await startResp.json();
+    if (!startResp.ok) {
+      renderProgress({ status: 'error', message: job.error || 'Failed to start audit' });
+      removeCancelButton();
+      startButton.textContent = 'Start Audit';
+      startButton.disabled = false;
       return;
     }
 
-    const pollInterval = setInterval(async () => {
-      try {
-        const statusResp = await fetch('/api/audit/status');
-        const statusData = await statusResp.json();
-        lastStatusData = statusData;
-        renderProgress(statusData);
-
-        if (['done', 'error', 'cancelled'].includes(statusData.status)) {
-          clearInterval(pollInterval);
-          if (statusData.status === 'done') showDownloadLinks(statusData.files);
-          removeCancelButton();
-          startButton.textContent = 'Start Audit';
-          startButton.disabled = false;
-          fetchAuditHistory(); // refresh history after each audit
-        }
-      } catch (err) {
-        clearInterval(pollInterval);
-        console.error(err);
-        renderProgress({ status: 'error', message: err.message || 'Polling failed' });
-      }
-    }, 1500);
-
+    currentJobId = job.id;
+    localStorage.setItem(JOB_STORAGE_KEY, job.id);
+    renderProgress(job);
+    followJob();
   } catch (err) {
     console.error(err);
     renderProgress({ status: 'error', message: err.message || 'Unexpected error' });
   }
 });
 
+/**
+ * Follow the current job over the server's event stream (/api/audit/events):
+ * status snapshots drive the progress bar, page events fill the page log.
+ */
+function followJob() {
+  if (eventSource) eventSource.close();
+  pageLog.innerHTML = '';
+  pageLogDetails.hidden = true;
+
+  let lastStatus = null;
+  eventSource = new EventSource(`/api/audit/events?job=${encodeURIComponent(currentJobId)}`);
+
+  eventSource.addEventListener('job', e => {
+    const { job } = JSON.parse(e.data);
+    lastStatusData = job;
+    renderProgress(job);
+
+    if (job.status !== lastStatus) {
+      lastStatus = job.status;
+      fetchAuditQueue();
+    }
+
+    if (['done', 'error', 'cancelled'].includes(job.status)) {
+      eventSource.close();
+      eventSource = null;
+      // A job can finish without files (an incremental audit with no changed pages); its message says why
+      if (job.status === 'done' && job.files) showDownloadLinks(job.files);
+      removeCancelButton();
+      startButton.textContent = 'Start Audit';
+      startButton.disabled = false;
+      if (job.resumable) showResumeButton();
+      fetchAuditHistory(); // refresh history after each audit
+    }
+  });
+
+  ['page-started', 'page-finished', 'page-failed'].forEach(type => {
+    eventSource.addEventListener(type, e => logPageEvent(JSON.parse(e.data)));
+  });
+  eventSource.addEventListener('crawl-summary', e => logCrawlSummary(JSON.parse(e.data)));
+
+  // EventSource reconnects by itself; it only gives up if the server refuses the stream
+  eventSource.addEventListener('error', () => {
+    if (eventSource?.readyState !== EventSource.CLOSED) return;
+    eventSource = null;
+    renderProgress({ status: 'error', message: 'Lost connection to the audit server' });
+  });
+}
+
+/**
+ * One log entry per page, updated as each viewport finishes or fails
+ */
+function logPageEvent(event) {
+  const id = `page-log-${event.index}`;
+  let li = document.getElementById(id);
+
+  if (!li) {
+    li = document.createElement('li');
+    li.id = id;
+    li.className = 'page-log__item';
+    li.innerHTML = '<span class="page-log__url"></span> <span class="page-log__result"></span>';
+    li.querySelector('.page-log__url').textContent = event.url;
+    pageLog.appendChild(li);
+    pageLogDetails.hidden = false;
+  }
+
+  const result = li.querySelector('.page-log__result');
+  const where = event.viewport ? `${event.viewport}: ` : '';
+
+  if (event.type === 'page-started') {
+    result.textContent = '— auditing…';
+    return;
+  }
+
+  let part;
+  if (event.type === 'page-failed') {
+    li.classList.add('page-log__item--failed');
+    part = `${where}failed (${event.reason})`;
+  } else {
+    const issues = event.violations === 1 ? '1 rule violated' : `${event.violations} rules violated`;
+    // An error page is still audited, but probably isn't the page that was meant
+    const status = event.status >= 400 ? ` (HTTP ${event.status})` : '';
+    part = `${where}${issues}, ${event.occurrences} occurrences${status}`;
+  }
+
+  // The first result replaces the "auditing…" placeholder; further viewports are appended
+  result.textContent = li.dataset.done ? `${result.textContent}; ${part}` : `— ${part}`;
+  li.dataset.done = 'true';
+}
+
+/**
+ * Rate limiting, robots.txt skips and 429/503 backoffs, as the last page log entry
+ */
+function logCrawlSummary({ lines = [] }) {
+  const li = document.createElement('li');
+  li.className = 'page-log__item page-log__item--summary';
+  li.textContent = `Crawl summary: ${lines.join('; ')}`;
+  pageLog.appendChild(li);
+  pageLogDetails.hidden = false;
+}
+
+/**
+ * Resume button (shown when an interrupted audit left a checkpoint)
+ */
+function showResumeButton() {
+  if (resumeButton) return;
+
+  resumeButton = document.createElement('button');
+  resumeButton.id = 'resume-audit';
+  resumeButton.className = 'button';
+  resumeButton.textContent = 'Resume Audit';
+  resumeButton.style.marginTop = '1.5rem';
+  progressDiv.insertAdjacentElement('afterend', resumeButton);
+
+  resumeButton.addEventListener('click', async () => {
+    resumeButton.disabled = true;
+    try {
+      const resp = await fetch(`/api/audits/${currentJobId}/resume`, { method: 'POST' });
+      const data = await resp.json();
+      if (!resp.ok) {
+        renderProgress({ status: 'error', message: data.error || 'Failed to resume audit' });
+        return;
+      }
+
+      startButton.textContent = 'Auditing...';
+      startButton.disabled = true;
+      resultsDiv.style.display = 'none';
+      downloadLinks.innerHTML = '';
+      removeResumeButton();
+      showCancelButton();
+      followJob();
+    } catch (err) {
+      console.error(err);
+      renderProgress({ status: 'error', message: err.message || 'Failed to resume audit' });
+    } finally {
+      if (resumeButton) resumeButton.disabled = false;
+    }
+  });
+}
+
+function removeResumeButton() {
+  if (!resumeButton) return;
+  resumeButton.remove();
+  resumeButton = null;
+}
+
+/**
+ * Restore this browser's audit after a page reload or server restart
+ */
+async function restoreAuditState() {
+  if (!currentJobId) return;
+
+  try {
+    const resp = await fetch(`/api/audits/${currentJobId}`);
+    if (resp.status === 404) {
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      currentJobId = null;
+      return;
+    }
+    const statusData = await resp.json();
+    lastStatusData = statusData;
+
+    if (['queued', 'running'].includes(statusData.status)) {
+      renderProgress(statusData);
+      startButton.textContent = 'Auditing...';
+      startButton.disabled = true;
+      showCancelButton();
+      followJob();
+    } else if (statusData.resumable) {
+      renderProgress(statusData);
+      showResumeButton();
+    }
+  } catch (err) {
+    console.error(err);
+  }
+}
+
 /**
  * Cancel button
  */
@@ -148,7 +409,8 @@ function showCancelButton() {
   cancelButton.addEventListener('click', async () => {
     cancelButton.disabled = true;
     try {
-      await fetch('/api/audit/cancel', { method: 'POST' });
+      // The event stream delivers the cancelled status (and any resumable checkpoint) once the job stops
+      await fetch(`/api/audits/${currentJobId}`, { method: 'DELETE' });
       renderProgress({ status: 'cancelled' });
     } catch (err) {
       console.error(err);
@@ -219,6 +481,11 @@ async function embedHtmlReport(filename) {
     const embeddedScript = doc.querySelector('script');
 
     if (newMain) {
+      // Screenshot paths are relative to the report file; point them at the results API instead
+      newMain.querySelectorAll('a[href^="screenshots/"], img[src^="screenshots/"]').forEach(el => {
+        const attr = el.tagName === 'IMG' ? 'src' : 'href';
+        el.setAttribute(attr, `/api/results/${el.getAttribute(attr)}`);
+      });
       container.innerHTML = newMain.innerHTML;
     }
 
@@ -301,5 +568,175 @@ async function fetchAuditHistory() {
   }
 }
 
-// Fetch history on page load
+/**
+ * ===== Audit Queue =====
+ * Every queued or running audit on the server, including other people's.
+ */
+async function fetchAuditQueue() {
+  try {
+    const resp = await fetch('/api/audits');
+    if (!resp.ok) throw new Error('Failed to fetch audit queue');
+    const { jobs = [] } = await resp.json();
+    const active = jobs
+      .filter(job => ['queued', 'running'].includes(job.status))
+      .reverse(); // oldest first, i.e. in the order they will run
+
+    if (!active.length) {
+      queueDiv.style.display = 'none';
+      return;
+    }
+
+    queueList.innerHTML = '';
+    active.forEach(job => {
+      const li = document.createElement('li');
+      li.className = 'history-item';
+      const detail = job.status === 'running'
+        ? `running${job.totalPages ? ` (${job.currentPage} of ${job.totalPages} pages)` : ''}`
+        : `queued (position ${job.position})`;
+      li.textContent = `${job.url} — ${detail}${job.id === currentJobId ? ' · this audit' : ''}`;
+      queueList.appendChild(li);
+    });
+
+    queueDiv.style.display = 'block';
+  } catch (err) {
+    console.error('Audit Queue Error:', err);
+    queueDiv.style.display = 'none';
+  }
+}
+
+/**
+ * ===== Scheduled Audits =====
+ */
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function describeSchedule(schedule) {
+  if (schedule.frequency === 'cron') return `cron "${schedule.cron}"`;
+  if (schedule.frequency === 'weekly') return `every ${WEEKDAYS[schedule.dayOfWeek]} at ${schedule.time}`;
+  return `daily at ${schedule.time}`;
+}
+
+async function updateSchedule(id, method, path = '', body = null) {
+  const resp = await fetch(`/api/schedules/${id}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.error || 'Schedule request failed');
+  return data;
+}
+
+function scheduleButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button schedule-action';
+  button.textContent = label;
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await onClick();
+      scheduleStatus.textContent = '';
+    } catch (err) {
+      console.error(err);
+      scheduleStatus.textContent = err.message;
+    }
+    fetchSchedules();
+    fetchAuditQueue();
+  });
+  return button;
+}
+
+async function fetchSchedules() {
+  try {
+    const resp = await fetch('/api/schedules');
+    if (!resp.ok) throw new Error('Failed to fetch schedules');
+    const { schedules = [] } = await resp.json();
+
+    scheduleList.innerHTML = '';
+    if (!schedules.length) {
+      const li = document.createElement('li');
+      li.className = 'history-item';
+      li.textContent = 'No scheduled audits yet.';
+      scheduleList.appendChild(li);
+      return;
+    }
+
+    schedules.forEach(schedule => {
+      const li = document.createElement('li');
+      li.className = 'history-item';
+
+      const summary = document.createElement('div');
+      const next = schedule.enabled && schedule.nextRunAt
+        ? `next run ${new Date(schedule.nextRunAt).toLocaleString()}`
+        : 'paused';
+      const last = schedule.lastRunAt ? `, last run ${new Date(schedule.lastRunAt).toLocaleString()}` : '';
+      const pages = schedule.urls ? ` · ${schedule.urls.length} listed pages` : '';
+      summary.innerHTML = '<strong></strong> — ';
+      summary.querySelector('strong').textContent = schedule.name;
+      summary.append(`${describeSchedule(schedule)}${pages} (${next}${last})`);
+      li.appendChild(summary);
+
+      li.append(
+        scheduleButton('Run now', () => updateSchedule(schedule.id, 'POST', '/run')),
+        scheduleButton(schedule.enabled ? 'Pause' : 'Resume', () =>
+          updateSchedule(schedule.id, 'PUT', '', { enabled: !schedule.enabled })),
+        scheduleButton('Delete', () => updateSchedule(schedule.id, 'DELETE'))
+      );
+      scheduleList.appendChild(li);
+    });
+  } catch (err) {
+    console.error('Schedules Error:', err);
+  }
+}
+
+// Only show the timing fields that apply to the chosen frequency
+function toggleScheduleFields() {
+  const frequency = scheduleFrequency.value;
+  document.getElementById('schedule-time-fields').hidden = frequency === 'cron';
+  document.getElementById('schedule-day-fields').hidden = frequency !== 'weekly';
+  document.getElementById('schedule-cron-fields').hidden = frequency !== 'cron';
+}
+
+scheduleFrequency.addEventListener('change', toggleScheduleFields);
+
+scheduleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const fields = Object.fromEntries(new FormData(scheduleForm));
+  const urls = fields.urls.split(/\s+/).map(u => u.trim()).filter(Boolean);
+
+  const body = {
+    url: fields.url.trim(),
+    name: fields.name.trim() || undefined,
+    frequency: fields.frequency,
+    time: fields.time,
+    dayOfWeek: Number(fields.dayOfWeek),
+    cron: fields.cron.trim() || undefined,
+    sitemap: fields.sitemap.trim() || undefined,
+    urls: urls.length ? urls : undefined,
+    incremental: fields.incremental === 'on' || undefined
+  };
+
+  try {
+    const resp = await fetch('/api/schedules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Failed to save schedule');
+
+    scheduleForm.reset();
+    toggleScheduleFields();
+    scheduleStatus.textContent = `Saved. Next run ${new Date(data.nextRunAt).toLocaleString()}.`;
+    fetchSchedules();
+  } catch (err) {
+    console.error(err);
+    scheduleStatus.textContent = err.message;
+  }
+});
+
+// Fetch history, the queue, schedules and any in-flight or interrupted audit on page load
 fetchAuditHistory();
+fetchAuditQueue();
+fetchSchedules();
+restoreAuditState();
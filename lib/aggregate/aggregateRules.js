@@ -1,24 +1,31 @@
+import { countPages } from '../utils.js';
+
+// Map Severity to a numeric rank (Lower = More Urgent)
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
 /**
- * Aggregate Axe rules across multiple pages.
- *
- * @param {Array} rawResults - raw Axe results from multiple pages
- * @param {Object} options
- * @param {Function} options.stripChildren - function to clean HTML snippets
- * @returns {Object} { rules: aggregated rules, summary: impact summary }
+ * The initial render plus any named states captured by user flows.
  */
-export function aggregateRules(rawResults, { stripChildren }) {
-  const rulesMap = new Map();
-  let totalOccurrencesCount = 0; 
-  const totalPagesCount = rawResults.length;
+function getSnapshots(pageResult) {
+  return [
+    { state: null, result: pageResult },
+    ...(pageResult.states || [])
+      .filter(s => !s.error)
+      .map(s => ({ state: s.name, result: s }))
+  ];
+}
 
-  // 1. Map Severity to a numeric rank (Lower = More Urgent)
-  const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+/**
+ * Group one kind of axe result ('violations' or 'incomplete') by rule across every page and state.
+ */
+function collectByRule(rawResults, resultKey, stripChildren) {
+  const rulesMap = new Map();
+  let occurrenceCount = 0;
 
   rawResults.forEach(pageResult => {
     const pageUrl = pageResult.url;
-    const violations = pageResult.violations || [];
 
-    violations.forEach(rule => {
+    getSnapshots(pageResult).forEach(({ state, result }) => (result[resultKey] || []).forEach(rule => {
       if (!rulesMap.has(rule.id)) {
         rulesMap.set(rule.id, {
           ...rule,
@@ -31,16 +38,73 @@ export function aggregateRules(rawResults, { stripChildren }) {
       entry.uniquePages.add(pageUrl);
 
       rule.nodes.forEach(node => {
-        totalOccurrencesCount++;
-        entry.occurrences.push({
+        occurrenceCount++;
+        const occurrence = {
           page: pageUrl,
+          ...(state ? { state } : {}),
+          ...(pageResult.viewport ? { viewport: pageResult.viewport } : {}),
           html: stripChildren(node.html),
-          target: node.target.join(' > ')
-        });
+          target: node.target.join(' > '),
+          ...(node.screenshot ? { screenshot: node.screenshot } : {})
+        };
+
+        // For "needs review" items, axe explains what it could not decide
+        if (resultKey === 'incomplete') {
+          const check = [...(node.any || []), ...(node.all || []), ...(node.none || [])].find(c => c.message);
+          if (check) occurrence.reviewReason = check.message;
+        }
+
+        entry.occurrences.push(occurrence);
       });
-    });
+    }));
   });
 
+  return { rulesMap, occurrenceCount };
+}
+
+/**
+ * Rules that passed somewhere in the audit, with the number of pages they passed on.
+ * Raw results store passes as { id, help, tags, nodeCount } (see runAudit).
+ */
+function collectPasses(rawResults) {
+  const passedMap = new Map();
+
+  rawResults.forEach(pageResult => {
+    const pageUrl = pageResult.url;
+    getSnapshots(pageResult).forEach(({ result }) => (result.passes || []).forEach(pass => {
+      if (!passedMap.has(pass.id)) {
+        passedMap.set(pass.id, { id: pass.id, help: pass.help, tags: pass.tags || [], pages: new Set() });
+      }
+      passedMap.get(pass.id).pages.add(pageUrl);
+    }));
+  });
+
+  return Array.from(passedMap.values())
+    .map(({ pages, ...rest }) => ({ ...rest, pagesPassed: pages.size }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Aggregate Axe rules across multiple pages.
+ *
+ * @param {Array} rawResults - raw Axe results from multiple pages (including any user-flow `states`);
+ *   multi-viewport runs hold one result per page and viewport, and occurrences keep its `viewport`
+ * @param {Object} options
+ * @param {Function} options.stripChildren - function to clean HTML snippets
+ * @returns {Object} {
+ *   rules: aggregated violations,
+ *   summary: impact summary,
+ *   reviewRules: aggregated "needs manual review" (axe incomplete) items, kept out of violation counts,
+ *   passedRules: rules that passed, with pagesPassed,
+ *   coverage: { violated, needsReview, passed } distinct rule counts
+ * }
+ */
+export function aggregateRules(rawResults, { stripChildren }) {
+  const totalPagesCount = countPages(rawResults);
+
+  // 1. Group violations by rule across pages and states
+  const { rulesMap, occurrenceCount: totalOccurrencesCount } = collectByRule(rawResults, 'violations', stripChildren);
+
   // 2. Process and enrich aggregated rules
   const allRules = Array.from(rulesMap.values()).map(rule => {
     const pagesAffectedCount = rule.uniquePages.size;
@@ -84,6 +148,18 @@ export function aggregateRules(rawResults, { stripChildren }) {
     r.uniquePages.forEach(p => priorityPagesSet.add(p));
   });
 
+  // 5. Needs-review items and passes (reported separately; never counted as violations)
+  const reviewRules = Array.from(collectByRule(rawResults, 'incomplete', stripChildren).rulesMap.values())
+    .map(({ uniquePages, nodes, ...rest }) => ({ ...rest, pagesAffected: uniquePages.size }))
+    .sort((a, b) => {
+      const rankA = IMPACT_ORDER[a.impact] ?? 99;
+      const rankB = IMPACT_ORDER[b.impact] ?? 99;
+      if (rankA !== rankB) return rankA - rankB;
+      return b.occurrences.length - a.occurrences.length;
+    });
+
+  const passedRules = collectPasses(rawResults);
+
   return {
     // Strip the Set and the extra Axe rule metadata before returning
     rules: allRules.map(({ uniquePages, nodes, ...rest }) => rest),
@@ -95,6 +171,13 @@ export function aggregateRules(rawResults, { stripChildren }) {
       pagePercentage: totalPagesCount > 0 
         ? Math.round((priorityPagesSet.size / totalPagesCount) * 100) 
         : 0
+    },
+    reviewRules,
+    passedRules,
+    coverage: {
+      violated: allRules.length,
+      needsReview: reviewRules.length,
+      passed: passedRules.length
     }
   };
-}
\ No newline at end of file
+}
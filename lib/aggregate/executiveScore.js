@@ -0,0 +1,24 @@
+// lib/aggregate/executiveScore.js
+
+// Penalty points per occurrence, by impact
+export const IMPACT_PENALTIES = { critical: 10, serious: 5, moderate: 2, minor: 1 };
+
+// Highest impact density (penalty points per page) for each grade; anything above D is an F
+const GRADE_LIMITS = [['A', 2], ['B', 5], ['C', 15], ['D', 40]];
+
+export const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+/**
+ * The executive summary's score: impact density (average penalty points per audited page,
+ * to one decimal) and the letter grade it earns.
+ * @returns {Object} { score, grade, totalPenalty }
+ */
+export function computeExecutiveScore(rules, totalPages) {
+  const totalPenalty = rules.reduce((acc, r) => acc + (r.occurrences.length * (IMPACT_PENALTIES[r.impact] || 1)), 0);
+
+  // Use totalPages > 0 to prevent division by zero or NaN
+  const score = parseFloat((totalPages > 0 ? totalPenalty / totalPages : 0).toFixed(1));
+  const grade = GRADE_LIMITS.find(([, limit]) => score <= limit)?.[0] || 'F';
+
+  return { score, grade, totalPenalty };
+}
@@ -0,0 +1,110 @@
+import { AUDIT_ERROR_CODES } from '../errors/auditErrors.js';
+
+// Titles servers give error pages they serve with a 200 ("soft" 404s). A bare "error" is not
+// enough: "Error handling guide" and "Error messages" are real pages
+const SOFT_ERROR_TITLE = /\b(404|not found|page not found|page error|an error (has )?occurred|unavailable|does ?n[o']t exist|no longer available)\b/i;
+
+// URLs are compared without a trailing slash, as fetch-urls writes them
+const sameUrl = (a, b) => String(a).replace(/\/$/, '') === String(b).replace(/\/$/, '');
+
+/**
+ * Why a page result should not be trusted as an audit of a real page:
+ * an HTTP error, an error page served as a 200, a redirect elsewhere, or a failed load.
+ */
+function getPageFlags(page) {
+  if (page.error) return ['failed'];
+
+  const flags = [];
+  if (page.status >= 400) flags.push('http-error');
+  else if (page.title && SOFT_ERROR_TITLE.test(page.title)) flags.push('soft-error');
+  if (page.finalUrl && !sameUrl(page.finalUrl, page.url)) flags.push('redirected');
+  return flags;
+}
+
+// Issues per 1,000 elements, so pages of different sizes compare fairly
+function perThousand(occurrences, elementCount) {
+  return elementCount > 0 ? Math.round((occurrences / elementCount) * 10000) / 10 : null;
+}
+
+/**
+ * Every audited page (per viewport) with what was recorded about it, its issue counts and flags.
+ * Results from before run-audit recorded page details are listed with null fields.
+ * Counts cover the page as loaded, not user flow states.
+ * @returns {Object} { pages: [{ url, viewport, status, finalUrl, title, lang, elementCount, loadMs, axeMs,
+ *   rules, occurrences, issuesPer1000Elements, flags, error }], summary }
+ */
+export function buildPageInventory(rawResults) {
+  const pages = rawResults.map(page => {
+    const occurrences = (page.violations || []).reduce((sum, v) => sum + (v.nodes?.length || 0), 0);
+    return {
+      url: page.url,
+      viewport: page.viewport || null,
+      status: page.status ?? null,
+      finalUrl: page.finalUrl || null,
+      title: page.title || null,
+      lang: page.lang || null,
+      elementCount: page.elementCount ?? null,
+      loadMs: page.timing?.loadMs ?? null,
+      axeMs: page.timing?.axeMs ?? null,
+      rules: (page.violations || []).length,
+      occurrences,
+      issuesPer1000Elements: perThousand(occurrences, page.elementCount),
+      flags: getPageFlags(page),
+      error: page.error || null
+    };
+  });
+
+  const measured = pages.filter(p => p.elementCount !== null);
+  const elements = measured.reduce((sum, p) => sum + p.elementCount, 0);
+  const occurrences = measured.reduce((sum, p) => sum + p.occurrences, 0);
+  const loadTimes = pages.map(p => p.loadMs).filter(ms => ms !== null).sort((a, b) => a - b);
+  const countFlag = flag => pages.filter(p => p.flags.includes(flag)).length;
+
+  return {
+    pages,
+    summary: {
+      recorded: measured.length > 0,
+      httpErrors: countFlag('http-error'),
+      softErrors: countFlag('soft-error'),
+      redirected: countFlag('redirected'),
+      failed: countFlag('failed'),
+      elements,
+      issuesPer1000Elements: perThousand(occurrences, elements),
+      medianLoadMs: loadTimes.length > 0 ? loadTimes[Math.floor(loadTimes.length / 2)] : null
+    }
+  };
+}
+
+/**
+ * Every page (per viewport) that could not be audited, with why. Results from before run-audit
+ * classified failures are listed as 'unknown'.
+ * @returns {Array} [{ url, viewport, code, label, message, attempts }]
+ */
+export function collectFailedPages(rawResults) {
+  return rawResults
+    .filter(page => page.error)
+    .map(page => {
+      const code = Object.hasOwn(AUDIT_ERROR_CODES, page.errorCode) ? page.errorCode : 'unknown';
+      return {
+        url: page.url,
+        viewport: page.viewport || null,
+        code,
+        label: AUDIT_ERROR_CODES[code],
+        message: page.error,
+        attempts: page.attempts ?? null
+      };
+    });
+}
+
+/**
+ * How many distinct pages could not be audited, and how many failed at each viewport: a URL
+ * that failed at mobile and desktop is one page, with one failure at each.
+ * @returns {Object} { pages, byViewport: { [viewport]: count } } (byViewport is {} without viewports)
+ */
+export function summarizeFailedPages(failedPages) {
+  const byViewport = {};
+  failedPages.filter(p => p.viewport).forEach(p => {
+    byViewport[p.viewport] = (byViewport[p.viewport] || 0) + 1;
+  });
+  return { pages: new Set(failedPages.map(p => p.url)).size, byViewport };
+}
@@ -0,0 +1,244 @@
+// lib/auth/authSession.js
+import fs from 'fs';
+
+const LOGIN_TIMEOUT = 30000;
+
+/**
+ * Resolve an "env:NAME" reference to the value of that environment variable.
+ * Secrets never live in the auth file itself, only the name of the variable holding them.
+ */
+function resolveSecret(value, label) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+
+  const envName = value.slice(4);
+  const resolved = process.env[envName];
+  if (resolved === undefined || resolved === '') {
+    throw new Error(`❌ Auth config error: environment variable ${envName} (${label}) is not set.`);
+  }
+  return resolved;
+}
+
+/**
+ * Load and validate an auth config file.
+ *
+ * Shape (every section optional):
+ * {
+ *   "headers": { "X-Preview-Token": "env:PREVIEW_TOKEN" },
+ *   "cookies": [{ "name": "session", "value": "env:SESSION_ID", "domain": "example.com" }],
+ *   "login": {
+ *     "url": "https://example.com/login",
+ *     "usernameSelector": "#email",
+ *     "passwordSelector": "#password",
+ *     "submitSelector": "button[type=submit]",
+ *     "usernameEnv": "AUDIT_USERNAME",
+ *     "passwordEnv": "AUDIT_PASSWORD",
+ *     "successSelector": ".account-menu",
+ *     "failureSelector": ".login-error"
+ *   }
+ * }
+ *
+ * @param {string} filePath - path to the JSON auth config
+ * @returns {Object|null} resolved config, or null if no path was given
+ */
+export function loadAuthConfig(filePath) {
+  if (!filePath) return null;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`❌ Auth config not found: ${filePath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`❌ Failed to parse auth config ${filePath}: ${err.message}`);
+  }
+
+  const headers = {};
+  Object.entries(raw.headers || {}).forEach(([name, value]) => {
+    headers[name] = resolveSecret(value, `header ${name}`);
+  });
+
+  const cookies = (raw.cookies || []).map(cookie => {
+    if (!cookie.name) throw new Error('❌ Auth config error: every cookie needs a "name".');
+    return { ...cookie, value: resolveSecret(cookie.value, `cookie ${cookie.name}`) };
+  });
+
+  let login = null;
+  if (raw.login) {
+    const required = ['url', 'usernameSelector', 'passwordSelector', 'usernameEnv', 'passwordEnv'];
+    const missing = required.filter(key => !raw.login[key]);
+    if (missing.length) {
+      throw new Error(`❌ Auth config error: login is missing ${missing.join(', ')}.`);
+    }
+
+    login = {
+      ...raw.login,
+      username: resolveSecret(`env:${raw.login.usernameEnv}`, 'login username'),
+      password: resolveSecret(`env:${raw.login.passwordEnv}`, 'login password')
+    };
+  }
+
+  return { headers, cookies, login };
+}
+
+/**
+ * Keep only the fields Puppeteer's setCookie accepts.
+ */
+function toCookieParam(cookie) {
+  const param = { name: cookie.name, value: cookie.value, path: cookie.path || '/' };
+  if (cookie.domain) param.domain = cookie.domain;
+  if (cookie.url) param.url = cookie.url;
+  if (cookie.httpOnly !== undefined) param.httpOnly = cookie.httpOnly;
+  if (cookie.secure !== undefined) param.secure = cookie.secure;
+  if (cookie.sameSite) param.sameSite = cookie.sameSite;
+  if (typeof cookie.expires === 'number' && cookie.expires > 0) param.expires = cookie.expires;
+  return param;
+}
+
+/**
+ * Run the login recipe in a throwaway context and return the resulting cookies.
+ */
+async function performLogin(browser, login) {
+  const context = await browser.createIncognitoBrowserContext();
+
+  try {
+    const page = await context.newPage();
+    console.log(`🔐 Logging in at ${login.url}`);
+
+    try {
+      await page.goto(login.url, { waitUntil: 'networkidle2', timeout: LOGIN_TIMEOUT });
+    } catch (err) {
+      throw new Error(`❌ Login failed: could not load ${login.url} (${err.message})`);
+    }
+
+    for (const selector of [login.usernameSelector, login.passwordSelector]) {
+      try {
+        await page.waitForSelector(selector, { visible: true, timeout: LOGIN_TIMEOUT });
+      } catch {
+        throw new Error(`❌ Login failed: could not find "${selector}" on ${login.url}`);
+      }
+    }
+
+    await page.type(login.usernameSelector, login.username);
+    await page.type(login.passwordSelector, login.password);
+
+    // Not every login form navigates (SPAs often swap content in place), so navigation is optional
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: LOGIN_TIMEOUT }).catch(() => {}),
+      login.submitSelector
+        ? page.click(login.submitSelector)
+        : page.keyboard.press('Enter')
+    ]);
+
+    if (login.failureSelector && await page.$(login.failureSelector)) {
+      throw new Error(`❌ Login failed: the login page reported an error ("${login.failureSelector}" is present).`);
+    }
+
+    if (login.successSelector) {
+      try {
+        await page.waitForSelector(login.successSelector, { timeout: LOGIN_TIMEOUT });
+      } catch {
+        throw new Error(`❌ Login failed: "${login.successSelector}" did not appear after submitting credentials.`);
+      }
+    } else if (page.url().replace(/\/$/, '') === login.url.replace(/\/$/, '')) {
+      throw new Error('❌ Login failed: still on the login page after submitting credentials. Check credentials or add a successSelector.');
+    }
+
+    const client = await page.target().createCDPSession();
+    const { cookies } = await client.send('Network.getAllCookies');
+
+    console.log(`🔓 Logged in (${cookies.length} session cookies captured)`);
+    return cookies.map(toCookieParam);
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+/**
+ * Turn an auth config into a reusable session: static headers plus cookies.
+ * The login recipe (if any) runs once; every page afterwards reuses its cookies.
+ *
+ * @param {Object|null} auth - config from loadAuthConfig()
+ * @param {Object} [browser] - Puppeteer browser; required only when auth.login is set
+ * @param {string} [options.siteUrl] - the site audited; getRequestHeaders() only sends credentials to its host
+ * @returns {Promise<Object|null>} { headers, cookies, site } or null when unauthenticated
+ */
+export async function createAuthSession(auth, browser = null, { siteUrl = null } = {}) {
+  if (!auth) return null;
+
+  const cookies = auth.cookies.map(toCookieParam);
+
+  if (auth.login) {
+    if (!browser) throw new Error('❌ A browser is required to run the login recipe.');
+    cookies.push(...await performLogin(browser, auth.login));
+  }
+
+  return { headers: auth.headers, cookies, site: siteUrl ? new URL(siteUrl).hostname : null };
+}
+
+/**
+ * Apply a session to a page before it navigates to `url`.
+ * Cookies without a domain are scoped to the URL being visited. The headers are added only to
+ * requests for the audited origin, so tokens never reach third-party scripts, CDNs or ads.
+ */
+export async function applyAuthSession(page, session, url) {
+  if (!session) return;
+
+  if (Object.keys(session.headers).length > 0) {
+    const { origin } = new URL(url);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const sameOrigin = new URL(request.url()).origin === origin;
+      request.continue(sameOrigin ? { headers: { ...request.headers(), ...session.headers } } : {});
+    });
+  }
+
+  if (session.cookies.length > 0) {
+    await page.setCookie(...session.cookies.map(c => (c.domain || c.url ? c : { ...c, url })));
+  }
+}
+
+/**
+ * Whether a cookie would be sent to `url` by a browser: its domain (the session's site when it
+ * has none), path and `secure` flag match.
+ */
+function cookieMatches(cookie, url, site) {
+  const { hostname, pathname, protocol } = url;
+  const domain = cookie.domain
+    ? cookie.domain.replace(/^\./, '')
+    : (cookie.url ? new URL(cookie.url).hostname : site);
+  // A cookie set without a domain is host-only
+  const domainMatches = cookie.domain
+    ? hostname === domain || hostname.endsWith(`.${domain}`)
+    : hostname === domain;
+  if (!domainMatches) return false;
+
+  const cookiePath = cookie.path || '/';
+  const pathMatches = pathname === cookiePath
+    || (pathname.startsWith(cookiePath) && (cookiePath.endsWith('/') || pathname[cookiePath.length] === '/'));
+  if (!pathMatches) return false;
+
+  return !cookie.secure || protocol === 'https:';
+}
+
+/**
+ * Build request headers (including a Cookie header) for non-browser fetches such as sitemaps.
+ * URLs on any host but the session's site get none: sitemap indexes and robots.txt can point
+ * at other hosts, and credentials must not follow them there.
+ */
+export function getRequestHeaders(session, url) {
+  if (!session?.site) return {};
+
+  const target = new URL(url);
+  if (target.hostname !== session.site) return {};
+
+  const matching = session.cookies.filter(c => cookieMatches(c, target, session.site));
+
+  const headers = { ...session.headers };
+  if (matching.length > 0) {
+    headers.Cookie = matching.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+  return headers;
+}
@@ -0,0 +1,151 @@
+// lib/config/axeOptions.js
+
+const LIST_FIELDS = ['withTags', 'include', 'exclude', 'disableRules'];
+
+/**
+ * Validate and tidy one set of axe run options.
+ * Accepts a single string or an array for every field; drops empty fields.
+ */
+export function normalizeAxeOptions(raw = {}, source = 'axe options') {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`❌ ${source} must be an object.`);
+  }
+
+  const options = {};
+  LIST_FIELDS.forEach(field => {
+    if (raw[field] === undefined) return;
+
+    const values = [].concat(raw[field]);
+    if (!values.every(v => typeof v === 'string' && v.trim())) {
+      throw new Error(`❌ ${source}: "${field}" must be a string or an array of strings.`);
+    }
+    if (values.length) options[field] = [...new Set(values.map(v => v.trim()))];
+  });
+
+  return options;
+}
+
+/**
+ * Build the run's axe config from the project config's `axe` section,
+ * with request-level options (CLI / API) replacing the matching base fields.
+ *
+ * Config shape:
+ * {
+ *   "axe": {
+ *     "withTags": ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"],
+ *     "exclude": ["#third-party-chat"],
+ *     "disableRules": ["region"],
+ *     "overrides": [
+ *       { "pattern": "/blog/", "disableRules": ["heading-order"] }
+ *     ]
+ *   }
+ * }
+ *
+ * @param {Object} projectConfig - from loadProjectConfig()
+ * @param {Object} [requestOptions] - withTags / include / exclude / disableRules for this run only
+ * @returns {Object} { ...base options, overrides: [{ pattern, ...options }] }
+ */
+export function buildAxeConfig(projectConfig = {}, requestOptions = {}) {
+  const { overrides = [], ...base } = projectConfig.axe || {};
+
+  if (!Array.isArray(overrides)) {
+    throw new Error('❌ axe.overrides must be an array.');
+  }
+
+  const normalizedOverrides = overrides.map((override, i) => {
+    const { pattern, ...rest } = override || {};
+    if (!pattern) throw new Error(`❌ axe.overrides[${i}] needs a "pattern".`);
+    try {
+      new RegExp(pattern);
+    } catch (err) {
+      throw new Error(`❌ axe.overrides[${i}] has an invalid pattern: ${err.message}`);
+    }
+    return { pattern, ...normalizeAxeOptions(rest, `axe.overrides[${i}]`) };
+  });
+
+  return {
+    ...normalizeAxeOptions(base, 'axe'),
+    ...normalizeAxeOptions(requestOptions, 'request axe options'),
+    overrides: normalizedOverrides
+  };
+}
+
+/**
+ * Effective options for one URL. Matching overrides apply in order:
+ * `withTags` replaces the tag set, while include / exclude / disableRules accumulate.
+ */
+export function resolveAxeOptions(axeConfig, url) {
+  if (!axeConfig) return {};
+
+  const { overrides = [], ...effective } = axeConfig;
+
+  overrides
+    .filter(o => new RegExp(o.pattern).test(url))
+    .forEach(({ pattern, ...options }) => {
+      Object.entries(options).forEach(([field, values]) => {
+        effective[field] = field === 'withTags'
+          ? values
+          : [...new Set([...(effective[field] || []), ...values])];
+      });
+    });
+
+  return effective;
+}
+
+/**
+ * Apply effective options to an AxePuppeteer builder.
+ */
+export function applyAxeOptions(builder, options = {}) {
+  if (options.withTags) builder.withTags(options.withTags);
+  (options.include || []).forEach(selector => builder.include(selector));
+  (options.exclude || []).forEach(selector => builder.exclude(selector));
+  if (options.disableRules) builder.disableRules(options.disableRules);
+  return builder;
+}
+
+/**
+ * Order-independent identity for a set of effective options, used to compare runs.
+ */
+function optionsKey(options = {}) {
+  return JSON.stringify(
+    LIST_FIELDS
+      .filter(field => options[field]?.length)
+      .map(field => [field, [...options[field]].sort()])
+  );
+}
+
+/**
+ * Order-independent identity for a whole run config from buildAxeConfig(), overrides included.
+ */
+export function getAxeConfigKey(axeConfig) {
+  if (!axeConfig) return optionsKey({});
+  const { overrides = [], ...base } = axeConfig;
+  return JSON.stringify([optionsKey(base), overrides.map(({ pattern, ...options }) => [pattern, optionsKey(options)])]);
+}
+
+/**
+ * Distinct effective configs used across a run's raw page results.
+ * Pages recorded before axe options existed count as the axe defaults ({}). Pages that failed
+ * before axe ran have no options and are left out.
+ */
+export function collectAxeConfigs(rawResults) {
+  const byKey = new Map();
+  rawResults.filter(page => !page.error).forEach(page => {
+    const options = page.axeOptions || {};
+    byKey.set(optionsKey(options), options);
+  });
+
+  return [...byKey.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([, options]) => options);
+}
+
+/**
+ * True when two runs' collectAxeConfigs() output describe the same configuration.
+ * A run in which no page got as far as axe ([]) has nothing to compare, and matches any.
+ */
+export function isSameAxeConfig(a = [{}], b = [{}]) {
+  if (a.length === 0 || b.length === 0) return true;
+  const keys = list => list.map(optionsKey).sort().join('\n');
+  return keys(a) === keys(b);
+}
@@ -0,0 +1,114 @@
+// lib/config/baseline.js
+import fs from 'fs';
+import path from 'path';
+import { getOccurrenceKey } from '../diff/diffRules.js';
+
+export const DEFAULT_BASELINE_FILE = 'audit.baseline.json';
+
+// Keys are written by hand, so their page part is cleaned the way getOccurrenceKey cleans it
+const normalizeKey = key => key.replace(/^[^|]*/, page => page.replace(/\/$/, '').split('#')[0]);
+
+/**
+ * Load the accepted-issues baseline, a file committed next to audit.config.json:
+ *   {
+ *     "accepted": [
+ *       {
+ *         "key": "https://example.com/about|color-contrast|.hero > a",   // page|rule|selector[|state][|@viewport]
+ *         "owner": "web-team",
+ *         "reason": "Brand colors, fixed in the Q3 redesign",
+ *         "expires": "2025-09-30"                                         // accepted through this day (UTC)
+ *       }
+ *     ]
+ *   }
+ * An explicit path must exist; the default (audit.baseline.json in cwd) is optional.
+ *
+ * @returns {Object} { file, entries: [{ key, owner, reason, expires }] } (file is null without a baseline)
+ */
+export function loadBaseline(filePath = null, cwd = process.cwd()) {
+  const resolved = path.resolve(cwd, filePath || DEFAULT_BASELINE_FILE);
+
+  if (!fs.existsSync(resolved)) {
+    if (filePath) throw new Error(`❌ Baseline file not found: ${filePath}`);
+    return { file: null, entries: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`❌ Failed to parse baseline ${resolved}: ${err.message}`);
+  }
+  if (!Array.isArray(data?.accepted)) {
+    throw new Error(`❌ Baseline ${resolved} must have an "accepted" array.`);
+  }
+
+  const seen = new Set();
+  const entries = data.accepted.map((entry, i) => {
+    const where = `Baseline entry ${i + 1}`;
+    ['key', 'owner', 'reason', 'expires'].forEach(field => {
+      if (typeof entry?.[field] !== 'string' || !entry[field].trim()) {
+        throw new Error(`❌ ${where} needs a "${field}".`);
+      }
+    });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.expires) || Number.isNaN(Date.parse(entry.expires))) {
+      throw new Error(`❌ ${where}: expires must be a date like 2025-09-30 (got "${entry.expires}").`);
+    }
+
+    const key = normalizeKey(entry.key.trim());
+    if (seen.has(key)) throw new Error(`❌ ${where} repeats the key "${key}".`);
+    seen.add(key);
+
+    return { key, owner: entry.owner.trim(), reason: entry.reason.trim(), expires: entry.expires };
+  });
+
+  return { file: resolved, entries };
+}
+
+/**
+ * Mark the occurrences a baseline accepts. Returns new rules whose occurrences carry
+ * `accepted: { owner, reason, expires }`, or `acceptanceExpired` once the entry's date has passed
+ * (the occurrence then counts like any other again), plus a summary:
+ *   accepted   - occurrences currently accepted
+ *   acceptedNew - of those, how many the diff reported as new
+ *   expired    - baseline entries past their date that still match an occurrence
+ *   unused     - baseline entries that match nothing (fixed, or the key is wrong)
+ */
+export function applyBaseline(rules, entries = [], { now = new Date() } = {}) {
+  const byKey = new Map(entries.map(entry => [entry.key, entry]));
+  const matched = new Set();
+  const expired = new Map();
+  const acceptedNew = new Set();
+  let accepted = 0;
+
+  // An entry is good through the end of its expiry day
+  const isExpired = entry => now.getTime() >= Date.parse(entry.expires) + 24 * 60 * 60 * 1000;
+
+  const marked = rules.map(rule => ({
+    ...rule,
+    occurrences: rule.occurrences.map(o => {
+      const entry = byKey.get(getOccurrenceKey(o.page, rule.id, o));
+      if (!entry) return o;
+
+      matched.add(entry.key);
+      const { owner, reason, expires } = entry;
+      if (isExpired(entry)) {
+        expired.set(entry.key, entry);
+        return { ...o, acceptanceExpired: { owner, reason, expires } };
+      }
+
+      accepted++;
+      if (o.isNewOccurrence) acceptedNew.add(entry.key);
+      return { ...o, accepted: { owner, reason, expires } };
+    })
+  }));
+
+  return {
+    rules: marked,
+    summary: {
+      accepted,
+      acceptedNew: acceptedNew.size,
+      expired: [...expired.values()],
+      unused: entries.filter(entry => !matched.has(entry.key))
+    }
+  };
+}
@@ -0,0 +1,201 @@
+// lib/config/pageFilters.js
+import crypto from 'crypto';
+
+// Path segments that identify one record rather than a kind of page: numbers, hashes, UUIDs
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8,}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Compile a page pattern, matched against a URL's path:
+ *   - a glob: `/products/*` (one segment), `/blog/**` (any depth), `?` (one character)
+ *   - a regex, prefixed with `re:`: `re:^/blog/\d{4}/`
+ */
+export function compilePattern(pattern, label) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error(`❌ ${label} must be a non-empty string.`);
+  }
+
+  if (pattern.startsWith('re:')) {
+    try {
+      return new RegExp(pattern.slice(3));
+    } catch (err) {
+      throw new Error(`❌ ${label} is not a valid regular expression: ${err.message}`);
+    }
+  }
+
+  // URLs are normalized without a trailing slash, so patterns are too
+  let glob = pattern.trim().startsWith('/') ? pattern.trim() : `/${pattern.trim()}`;
+  if (glob.length > 1) glob = glob.replace(/\/$/, '');
+
+  const source = glob
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function compileList(list, label) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error(`❌ ${label} must be an array of patterns.`);
+  return list.map((pattern, i) => ({ pattern, regex: compilePattern(pattern, `${label}[${i}]`) }));
+}
+
+function queryParamList(list, label) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list) || !list.every(name => typeof name === 'string' && name.trim())) {
+    throw new Error(`❌ ${label} must be an array of query parameter names.`);
+  }
+  return list.map(name => name.trim());
+}
+
+function pathOf(url) {
+  return new URL(url).pathname;
+}
+
+/**
+ * Resolve which discovered pages a run audits.
+ *
+ * The project config's `pages` section:
+ *   "pages": {
+ *     "include": ["/products/**", "/blog/*"],   // only keep pages matching one of these
+ *     "exclude": ["re:/print$"],                // drop pages matching any of these
+ *     "defaultExcludes": false,                 // audit /admin, /cart, /checkout and /account too
+ *     "sample": 3,                              // audit 3 pages per path group
+ *     "groups": ["/products/*\/reviews"],        // group patterns checked before the automatic ones
+ *     "queryParams": ["page", "lang"],          // query parameters that make a different page ("*" keeps all)
+ *     "dedupe": true                            // load sitemap pages to merge redirects and canonical duplicates
+ *   }
+ * `overrides` (from CLI flags or an API request) add include/exclude patterns and query parameters,
+ * and replace `sample` and `dedupe`.
+ *
+ * @param {Object} [projectConfig] - from loadProjectConfig()
+ * @param {Object} [overrides] - { include, exclude, sample, queryParams, dedupe }
+ * @returns {Object} { include, exclude, defaultExcludes, sample, groups, queryParams, dedupe } with compiled patterns
+ */
+export function resolvePageFilters(projectConfig = {}, overrides = {}) {
+  const config = projectConfig.pages || {};
+  const sample = overrides.sample ?? config.sample ?? null;
+
+  if (sample !== null && (!Number.isInteger(sample) || sample < 1)) {
+    throw new Error('❌ pages.sample must be a positive integer (pages audited per group).');
+  }
+
+  return {
+    include: [...compileList(config.include, 'pages.include'), ...compileList(overrides.include, 'include')],
+    exclude: [...compileList(config.exclude, 'pages.exclude'), ...compileList(overrides.exclude, 'exclude')],
+    defaultExcludes: config.defaultExcludes !== false,
+    sample,
+    groups: compileList(config.groups, 'pages.groups'),
+    queryParams: [...new Set([
+      ...queryParamList(config.queryParams, 'pages.queryParams'),
+      ...queryParamList(overrides.queryParams, 'queryParams')
+    ])],
+    dedupe: (overrides.dedupe ?? config.dedupe) === true
+  };
+}
+
+/**
+ * Whether a URL is dropped by the exclude patterns (used while crawling, so excluded
+ * sections are not followed).
+ */
+export function isExcludedPage(url, filters) {
+  if (!filters?.exclude.length) return false;
+  const path = pathOf(url);
+  return filters.exclude.some(({ regex }) => regex.test(path));
+}
+
+/**
+ * Keep the URLs that match an include pattern (if any are set) and no exclude pattern.
+ */
+export function filterPages(urls, filters) {
+  if (!filters) return urls;
+  return urls.filter(url => {
+    if (isExcludedPage(url, filters)) return false;
+    if (filters.include.length === 0) return true;
+    const path = pathOf(url);
+    return filters.include.some(({ regex }) => regex.test(path));
+  });
+}
+
+/**
+ * The path template a page belongs to: the first configured group pattern it matches, or
+ * its path with ID-like segments and the last segment replaced by `*`
+ * (`/products/blue-shoe` → `/products/*`, `/blog/2024/05/hello` → `/blog/*\/*\/*`).
+ * Top-level pages (`/`, `/about`) are each their own group.
+ */
+export function getPageGroup(url, groups = []) {
+  const path = pathOf(url);
+  const configured = groups.find(({ regex }) => regex.test(path));
+  if (configured) return configured.pattern;
+
+  const segments = path.split('/').filter(Boolean).map(s => (ID_SEGMENT.test(s) ? '*' : s));
+  if (segments.length >= 2) segments[segments.length - 1] = '*';
+  return `/${segments.join('/')}`;
+}
+
+// Stable across runs, so the same representatives are audited (and diffed) each time
+function sampleRank(url) {
+  return crypto.createHash('md5').update(url).digest('hex');
+}
+
+/**
+ * Template-aware sampling: group URLs by path template and keep `sample` representatives of each.
+ * Representatives are picked by a hash of the URL, so they stay the same as a group grows.
+ * @returns {Object} { urls, groups: [{ pattern, total, sampled }], pageGroups: { [url]: pattern } }
+ *   `urls` keeps the input order
+ */
+export function samplePages(urls, { sample, groups = [] }) {
+  const byGroup = new Map();
+  urls.forEach(url => {
+    const pattern = getPageGroup(url, groups);
+    if (!byGroup.has(pattern)) byGroup.set(pattern, []);
+    byGroup.get(pattern).push(url);
+  });
+
+  const pageGroups = {};
+  const summary = [...byGroup].map(([pattern, members]) => {
+    const representatives = [...members]
+      .sort((a, b) => sampleRank(a).localeCompare(sampleRank(b)))
+      .slice(0, sample);
+    representatives.forEach(url => { pageGroups[url] = pattern; });
+    return { pattern, total: members.length, sampled: representatives.length };
+  });
+
+  return {
+    urls: urls.filter(url => url in pageGroups),
+    groups: summary.sort((a, b) => b.total - a.total || a.pattern.localeCompare(b.pattern)),
+    pageGroups
+  };
+}
+
+/**
+ * Page groups of a sampled run, from the `group` and `groupSize` each raw result carries:
+ * [{ pattern, total, audited, pagesWithIssues, occurrences }], largest groups first ([] if not sampled).
+ */
+export function collectPageGroups(rawResults) {
+  const groups = new Map();
+
+  rawResults.filter(page => page.group).forEach(page => {
+    if (!groups.has(page.group)) {
+      groups.set(page.group, { pattern: page.group, total: page.groupSize || 0, pages: new Set(), flagged: new Set(), occurrences: 0 });
+    }
+    const group = groups.get(page.group);
+    const occurrences = (page.violations || []).reduce((sum, v) => sum + (v.nodes?.length || 0), 0);
+
+    group.pages.add(page.url);
+    group.occurrences += occurrences;
+    if (occurrences > 0) group.flagged.add(page.url);
+  });
+
+  return [...groups.values()]
+    .map(({ pattern, total, pages, flagged, occurrences }) => ({
+      pattern,
+      total,
+      audited: pages.size,
+      pagesWithIssues: flagged.size,
+      occurrences
+    }))
+    .sort((a, b) => b.total - a.total || a.pattern.localeCompare(b.pattern));
+}
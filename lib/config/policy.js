@@ -0,0 +1,206 @@
+// lib/config/policy.js
+import fs from 'fs';
+import path from 'path';
+import { compilePattern } from './pageFilters.js';
+import { GRADES, computeExecutiveScore } from '../aggregate/executiveScore.js';
+
+export const DEFAULT_POLICY_FILE = 'audit.policy.json';
+
+// Exit code for each kind of breach. Breaches are reported in this order, and the first sets the code
+// (1 stays reserved for a run that failed to process).
+export const POLICY_EXIT_CODES = {
+  impact: 10,
+  wcagLevel: 11,
+  rule: 12,
+  page: 13,
+  newViolations: 14,
+  score: 15,
+  pagesAudited: 16,
+  expiredAcceptances: 17
+};
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const WCAG_LEVELS = ['A', 'AA', 'AAA', 'Best Practice'];
+
+function checkCount(value, label) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) throw new Error(`❌ ${label} must be a non-negative integer.`);
+  return value;
+}
+
+function checkLimits(limits, label, allowedKeys = null) {
+  if (limits === undefined || limits === null) return {};
+  if (typeof limits !== 'object' || Array.isArray(limits)) throw new Error(`❌ ${label} must be an object of limits.`);
+  return Object.fromEntries(Object.entries(limits).map(([key, max]) => {
+    if (allowedKeys && !allowedKeys.includes(key)) {
+      throw new Error(`❌ ${label} has an unknown key "${key}" (expected ${allowedKeys.join(', ')}).`);
+    }
+    return [key, checkCount(max, `${label}.${key}`)];
+  }));
+}
+
+/**
+ * Validate a policy object and compile its page patterns. Limits that are left out are not checked.
+ * @returns {Object} { impact, wcagLevel, rules, pages: [{ pattern, regex, max }], maxNewViolations,
+ *   maxScore, minGrade, minPagesAudited, failOnExpiredAcceptances }
+ */
+export function resolvePolicy(config = {}) {
+  const limits = config.maxViolations || {};
+  const pages = checkLimits(limits.pages, 'maxViolations.pages');
+
+  if (config.maxScore !== undefined && config.maxScore !== null && (typeof config.maxScore !== 'number' || !(config.maxScore >= 0))) {
+    throw new Error('❌ maxScore must be a non-negative number (the executive summary\'s impact density).');
+  }
+  if (config.minGrade !== undefined && config.minGrade !== null && !GRADES.includes(config.minGrade)) {
+    throw new Error(`❌ minGrade must be one of ${GRADES.join(', ')}.`);
+  }
+
+  return {
+    impact: checkLimits(limits.impact, 'maxViolations.impact', IMPACTS),
+    wcagLevel: checkLimits(limits.wcagLevel, 'maxViolations.wcagLevel', WCAG_LEVELS),
+    rules: checkLimits(limits.rules, 'maxViolations.rules'),
+    pages: Object.entries(pages).map(([pattern, max]) => ({
+      pattern,
+      regex: compilePattern(pattern, `maxViolations.pages "${pattern}"`),
+      max
+    })),
+    maxNewViolations: checkCount(config.maxNewViolations, 'maxNewViolations'),
+    maxScore: config.maxScore ?? null,
+    minGrade: config.minGrade ?? null,
+    minPagesAudited: checkCount(config.minPagesAudited, 'minPagesAudited'),
+    failOnExpiredAcceptances: config.failOnExpiredAcceptances !== false
+  };
+}
+
+/**
+ * Load the CI gating policy, a file committed next to audit.config.json:
+ *   {
+ *     "maxViolations": {
+ *       "impact": { "critical": 0, "serious": 10 },   // occurrences allowed per impact
+ *       "wcagLevel": { "A": 0, "AA": 25 },            // ... per WCAG level (A / AA / AAA / Best Practice)
+ *       "rules": { "color-contrast": 50 },            // ... per rule ID
+ *       "pages": { "/checkout/**": 0 }                // ... across pages matching a pattern (as in pages.include)
+ *     },
+ *     "maxNewViolations": 0,                          // new since the previous audit
+ *     "maxScore": 5,                                  // executive summary impact density (penalty points per page)
+ *     "minGrade": "B",                                // ... or the grade it earns
+ *     "minPagesAudited": 20,
+ *     "failOnExpiredAcceptances": true                // expired baseline acceptances fail the gate (the default)
+ *   }
+ * An explicit path must exist; the default (audit.policy.json in cwd) is optional.
+ * FAIL_ON_ACCESSIBILITY_CRITICAL=true adds a limit of 0 critical occurrences, and
+ * FAIL_ON_ACCESSIBILITY_REGRESSIONS=true a limit of 0 new ones.
+ *
+ * @returns {Object|null} resolvePolicy() output plus `file`, or null when nothing is gated
+ */
+export function loadPolicy(filePath = null, { cwd = process.cwd(), env = process.env } = {}) {
+  const resolved = path.resolve(cwd, filePath || DEFAULT_POLICY_FILE);
+  let config = {};
+  let file = null;
+
+  if (fs.existsSync(resolved)) {
+    try {
+      config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    } catch (err) {
+      throw new Error(`❌ Failed to parse policy ${resolved}: ${err.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`❌ Policy ${resolved} must be a JSON object.`);
+    }
+    file = resolved;
+  } else if (filePath) {
+    throw new Error(`❌ Policy file not found: ${filePath}`);
+  }
+
+  const failOnCritical = env.FAIL_ON_ACCESSIBILITY_CRITICAL === 'true';
+  const failOnRegressions = env.FAIL_ON_ACCESSIBILITY_REGRESSIONS === 'true';
+  if (!file && !failOnCritical && !failOnRegressions) return null;
+
+  let policy;
+  try {
+    policy = resolvePolicy(config);
+  } catch (err) {
+    throw new Error(file ? `❌ Policy ${path.basename(file)}: ${err.message.replace(/^❌ /, '')}` : err.message);
+  }
+
+  if (failOnCritical) policy.impact.critical = 0;
+  if (failOnRegressions) policy.maxNewViolations = 0;
+  return { file, ...policy };
+}
+
+const breach = (check, message, extra = {}) => ({ check, exitCode: POLICY_EXIT_CODES[check], message, ...extra });
+
+const overLimit = (count, max) => max !== null && count > max;
+
+/**
+ * Check an audit against a policy. Occurrences accepted in the baseline don't count, in the
+ * limits or in the impact density and grade checked against maxScore and minGrade.
+ *
+ * @param {Object} policy - from loadPolicy()
+ * @param {Object} audit - { rules, newViolations, pagesAudited, expiredAcceptances, baselineFile }
+ * @returns {Object} { breaches: [{ check, exitCode, message, rules? }], exitCode } (exitCode 0 when all pass)
+ */
+export function evaluatePolicy(policy, { rules, newViolations = 0, pagesAudited = 0, expiredAcceptances = [], baselineFile = 'the baseline' }) {
+  const open = rules.flatMap(rule => rule.occurrences.filter(o => !o.accepted).map(o => ({ rule, page: o.page })));
+  const { score, grade } = computeExecutiveScore(
+    rules.map(rule => ({ ...rule, occurrences: rule.occurrences.filter(o => !o.accepted) })),
+    pagesAudited
+  );
+  const breaches = [];
+
+  // Occurrences (and the rules behind them) that one limit counts
+  const countWhere = predicate => {
+    const matched = open.filter(predicate);
+    return { count: matched.length, rules: [...new Set(matched.map(({ rule }) => rule.id))] };
+  };
+
+  Object.entries(policy.impact).forEach(([impact, max]) => {
+    const { count, rules: ruleIds } = countWhere(({ rule }) => rule.impact === impact);
+    if (overLimit(count, max)) {
+      breaches.push(breach('impact', `${count} ${impact} violation(s), over the limit of ${max}.`, { rules: ruleIds }));
+    }
+  });
+
+  Object.entries(policy.wcagLevel).forEach(([level, max]) => {
+    const { count, rules: ruleIds } = countWhere(({ rule }) => rule.wcagLevel === level);
+    const label = level === 'Best Practice' ? 'best practice' : `WCAG ${level}`;
+    if (overLimit(count, max)) {
+      breaches.push(breach('wcagLevel', `${count} ${label} violation(s), over the limit of ${max}.`, { rules: ruleIds }));
+    }
+  });
+
+  Object.entries(policy.rules).forEach(([ruleId, max]) => {
+    const { count } = countWhere(({ rule }) => rule.id === ruleId);
+    if (overLimit(count, max)) {
+      breaches.push(breach('rule', `${count} ${ruleId} violation(s), over the limit of ${max}.`));
+    }
+  });
+
+  policy.pages.forEach(({ pattern, regex, max }) => {
+    const { count, rules: ruleIds } = countWhere(({ page }) => regex.test(new URL(page).pathname));
+    if (overLimit(count, max)) {
+      breaches.push(breach('page', `${count} violation(s) on pages matching ${pattern}, over the limit of ${max}.`, { rules: ruleIds }));
+    }
+  });
+
+  if (overLimit(newViolations, policy.maxNewViolations)) {
+    breaches.push(breach('newViolations', `${newViolations} new violation(s) introduced, over the limit of ${policy.maxNewViolations}.`));
+  }
+
+  if (overLimit(score, policy.maxScore)) {
+    breaches.push(breach('score', `Impact density ${score.toFixed(1)} (grade ${grade}), over the limit of ${policy.maxScore}.`));
+  }
+  if (policy.minGrade && GRADES.indexOf(grade) > GRADES.indexOf(policy.minGrade)) {
+    breaches.push(breach('score', `Grade ${grade} (impact density ${score.toFixed(1)}), below the minimum of ${policy.minGrade}.`));
+  }
+
+  if (policy.minPagesAudited !== null && pagesAudited < policy.minPagesAudited) {
+    breaches.push(breach('pagesAudited', `${pagesAudited} page(s) audited, under the minimum of ${policy.minPagesAudited}.`));
+  }
+
+  if (policy.failOnExpiredAcceptances && expiredAcceptances.length > 0) {
+    breaches.push(breach('expiredAcceptances', `${expiredAcceptances.length} accepted issue(s) in ${baselineFile} expired. Fix them or renew their acceptance.`));
+  }
+
+  return { breaches, exitCode: breaches[0]?.exitCode || 0 };
+}
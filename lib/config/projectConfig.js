@@ -0,0 +1,27 @@
+// lib/config/projectConfig.js
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_CONFIG_FILE = 'audit.config.json';
+
+/**
+ * Load the project config file.
+ * An explicit path must exist; the default (audit.config.json in cwd) is optional.
+ *
+ * @param {string} [filePath] - explicit config path (e.g. from --config or AUDIT_CONFIG_FILE)
+ * @returns {Object} parsed config, or {} when no default file is present
+ */
+export function loadProjectConfig(filePath = null, cwd = process.cwd()) {
+  const resolved = path.resolve(cwd, filePath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(resolved)) {
+    if (filePath) throw new Error(`❌ Config file not found: ${filePath}`);
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`❌ Failed to parse config ${resolved}: ${err.message}`);
+  }
+}
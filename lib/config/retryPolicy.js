@@ -0,0 +1,45 @@
+// lib/config/retryPolicy.js
+import { AUDIT_ERROR_CODES, TRANSIENT_ERROR_CODES } from '../errors/auditErrors.js';
+
+const MAX_RETRY_DELAY_MS = 60000;
+
+/**
+ * Resolve how failed pages are retried, from the project config's `retry` section:
+ *   "retry": {
+ *     "retries": 2,                            // extra attempts per page (0 disables retries)
+ *     "backoffMs": 2000,                       // wait before the first retry, doubled for each one after
+ *     "on": ["timeout", "connection", "crash"] // error codes worth retrying (see lib/errors/auditErrors.js)
+ *   }
+ * `overrides` (CLI flags or an API request) replace individual fields.
+ * @returns {Object} { retries, backoffMs, on }
+ */
+export function resolveRetryPolicy(projectConfig = {}, overrides = {}) {
+  const config = { ...(projectConfig.retry || {}) };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) config[key] = value;
+  });
+
+  const retries = config.retries ?? 1;
+  if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+    throw new Error('❌ retry.retries must be a whole number from 0 to 10.');
+  }
+
+  const backoffMs = config.backoffMs ?? 2000;
+  if (!Number.isFinite(backoffMs) || backoffMs < 0) {
+    throw new Error('❌ retry.backoffMs must be a number of milliseconds (0 or more).');
+  }
+
+  const on = config.on ?? TRANSIENT_ERROR_CODES;
+  if (!Array.isArray(on) || !on.every(code => Object.hasOwn(AUDIT_ERROR_CODES, code))) {
+    throw new Error(`❌ retry.on must be an array of error codes: ${Object.keys(AUDIT_ERROR_CODES).join(', ')}.`);
+  }
+
+  return { retries, backoffMs, on };
+}
+
+/**
+ * How long to wait before retry number `retry` (1 for the first): backoffMs, 2×, 4×… capped at a minute.
+ */
+export function getRetryDelay(policy, retry) {
+  return Math.min(policy.backoffMs * 2 ** (retry - 1), MAX_RETRY_DELAY_MS);
+}
@@ -0,0 +1,111 @@
+// lib/config/viewports.js
+
+/**
+ * Built-in viewport profiles. `desktop` matches the single viewport audits have always used.
+ */
+export const VIEWPORT_PRESETS = {
+  mobile: {
+    name: 'mobile',
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  tablet: {
+    name: 'tablet',
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  desktop: {
+    name: 'desktop',
+    width: 1280,
+    height: 2000,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  }
+};
+
+/**
+ * Validate a custom profile, filling unspecified device flags from the preset of the same name.
+ */
+function normalizeProfile(profile, index) {
+  const base = VIEWPORT_PRESETS[profile.name] || {};
+  const merged = { ...base, ...profile };
+  const label = `viewports[${index}]${profile.name ? ` ("${profile.name}")` : ''}`;
+
+  if (!merged.name) throw new Error(`❌ ${label} needs a "name".`);
+  ['width', 'height'].forEach(field => {
+    if (!Number.isInteger(merged[field]) || merged[field] <= 0) {
+      throw new Error(`❌ ${label}: "${field}" must be a positive integer.`);
+    }
+  });
+
+  return {
+    name: merged.name,
+    width: merged.width,
+    height: merged.height,
+    deviceScaleFactor: merged.deviceScaleFactor || 1,
+    isMobile: Boolean(merged.isMobile),
+    hasTouch: Boolean(merged.hasTouch),
+    ...(merged.userAgent ? { userAgent: merged.userAgent } : {})
+  };
+}
+
+/**
+ * Resolve the viewport profiles for a run.
+ *
+ * The project config's `viewports` may list preset names and/or full profiles:
+ *   "viewports": ["mobile", { "name": "wide", "width": 1920, "height": 1080 }]
+ * `names` (e.g. from --viewports mobile,desktop) picks a subset from presets plus that list.
+ *
+ * @param {string[]} [names] - profile names requested for this run
+ * @param {Object} [projectConfig] - from loadProjectConfig()
+ * @returns {Array|null} profiles, or null for the legacy single, untagged desktop viewport
+ */
+export function resolveViewports(names = [], projectConfig = {}) {
+  const configured = (projectConfig.viewports || []).map((entry, i) => {
+    if (typeof entry === 'string') {
+      if (!VIEWPORT_PRESETS[entry]) throw new Error(`❌ Unknown viewport preset "${entry}".`);
+      return VIEWPORT_PRESETS[entry];
+    }
+    return normalizeProfile(entry, i);
+  });
+
+  let profiles = configured;
+
+  if (names.length > 0) {
+    const available = new Map(Object.values(VIEWPORT_PRESETS).map(p => [p.name, p]));
+    configured.forEach(p => available.set(p.name, p));
+
+    profiles = names.map(name => {
+      if (!available.has(name)) {
+        throw new Error(`❌ Unknown viewport "${name}". Available: ${[...available.keys()].join(', ')}.`);
+      }
+      return available.get(name);
+    });
+  }
+
+  if (profiles.length === 0) return null;
+
+  const seen = new Set();
+  profiles.forEach(p => {
+    if (seen.has(p.name)) throw new Error(`❌ Viewport "${p.name}" is listed more than once.`);
+    seen.add(p.name);
+  });
+
+  return profiles;
+}
+
+/**
+ * Viewport names used across a run's raw results, in first-seen order ([] for single-viewport runs).
+ */
+export function collectViewports(rawResults) {
+  return [...new Set(rawResults.map(page => page.viewport).filter(Boolean))];
+}
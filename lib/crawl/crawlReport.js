@@ -0,0 +1,49 @@
+// lib/crawl/crawlReport.js
+
+/**
+ * What happened to every URL fetch-urls came across: where it was discovered, why it was
+ * skipped, or which kept URL it duplicates. Saved next to the URL list (see urlListMeta.js).
+ *
+ *   discovered: [{ url, source }]            - source: 'sitemap' or 'crawl'
+ *   skipped:    [{ url, reason }]
+ *   duplicates: [{ url, duplicateOf, reason }]
+ */
+export function createCrawlReport() {
+  const discovered = new Map();
+  const skipped = [];
+  const duplicates = [];
+
+  return {
+    addDiscovered(url, source) {
+      if (!discovered.has(url)) discovered.set(url, { url, source });
+    },
+
+    addSkipped(url, reason) {
+      skipped.push({ url, reason });
+    },
+
+    addDuplicate(url, duplicateOf, reason) {
+      duplicates.push({ url, duplicateOf, reason });
+    },
+
+    toJSON() {
+      return { discovered: [...discovered.values()], skipped, duplicates };
+    },
+
+    /**
+     * Counts for the end of a run, with skips grouped by reason (their URLs stripped).
+     */
+    summary() {
+      const lines = [`${discovered.size} URL(s) discovered`];
+      if (duplicates.length) lines.push(`${duplicates.length} duplicate(s) removed`);
+
+      const byReason = skipped.reduce((counts, { reason }) => {
+        const key = reason.replace(/:.*$/, '');
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+      }, {});
+      Object.entries(byReason).forEach(([reason, count]) => lines.push(`${count} skipped: ${reason}`));
+      return lines;
+    }
+  };
+}
@@ -0,0 +1,199 @@
+// lib/crawl/politeness.js
+import { fetchRobotsTxt, selectRobotsRules, isAllowedByRobots } from './robotsTxt.js';
+
+// Statuses that mean "slow down": Too Many Requests and Service Unavailable
+const BACKOFF_STATUSES = [429, 503];
+const BACKOFF_BASE_MS = 5000;
+const MAX_BACKOFF_MS = 120000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function positiveNumber(value, label) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) throw new Error(`❌ ${label} must be a positive number.`);
+  return number;
+}
+
+/**
+ * Resolve how politely to load a site's pages, from the project config's `crawl` section:
+ *   "crawl": {
+ *     "respectRobotsTxt": true,      // skip pages robots.txt disallows and honor its Crawl-delay
+ *     "requestsPerSecond": 2,        // at most this many page loads per second, across all workers
+ *     "delayMs": 1000,               // and at least this long between page loads
+ *     "userAgent": "A11yAuditBot/1.0 (+https://example.com/bot)",
+ *     "maxRetries": 3                // retries of a page answered with 429 or 503, with backoff
+ *   }
+ * `overrides` (CLI flags or an API request) replace individual fields.
+ * Without any of these, pages load as fast as the workers go, but 429/503 responses still back off.
+ */
+export function resolvePolitenessOptions(projectConfig = {}, overrides = {}) {
+  const config = { ...(projectConfig.crawl || {}) };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) config[key] = value;
+  });
+
+  const maxRetries = config.maxRetries ?? 3;
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    throw new Error('❌ crawl.maxRetries must be a whole number (0 disables retries).');
+  }
+  if (config.userAgent !== undefined && (typeof config.userAgent !== 'string' || !config.userAgent.trim())) {
+    throw new Error('❌ crawl.userAgent must be a non-empty string.');
+  }
+
+  return {
+    respectRobotsTxt: config.respectRobotsTxt === true,
+    requestsPerSecond: positiveNumber(config.requestsPerSecond, 'crawl.requestsPerSecond'),
+    delayMs: positiveNumber(config.delayMs, 'crawl.delayMs'),
+    userAgent: config.userAgent?.trim() || null,
+    maxRetries
+  };
+}
+
+/**
+ * Shared pacing for every request a run makes to a site: page loads are spaced out (across
+ * concurrent workers), robots.txt is checked per origin when enabled, and a 429/503 pauses all
+ * requests before the page is retried. Counts what happened for the run summary.
+ *
+ * @param {Object} [options] - from resolvePolitenessOptions()
+ */
+export function createPoliteness(options = {}) {
+  const {
+    respectRobotsTxt = false,
+    requestsPerSecond = null,
+    delayMs = null,
+    userAgent = null,
+    maxRetries = 3
+  } = options;
+
+  const baseInterval = Math.max(requestsPerSecond ? 1000 / requestsPerSecond : 0, delayMs || 0);
+  const robotsByOrigin = new Map();
+  let nextSlot = 0;
+  let crawlDelayMs = 0;
+
+  const stats = {
+    requests: 0,
+    waitedMs: 0,
+    backoffs: 0,
+    backoffStatuses: {},
+    gaveUp: 0,
+    robotsBlocked: [],
+    robotsUnreachable: []
+  };
+
+  function getRobots(url) {
+    const { origin } = new URL(url);
+    if (!robotsByOrigin.has(origin)) {
+      const headers = userAgent ? { 'User-Agent': userAgent } : {};
+      robotsByOrigin.set(origin, fetchRobotsTxt(origin, { headers }).then(robots => {
+        if (robots.unreachable) {
+          stats.robotsUnreachable.push(origin);
+          console.warn(`⚠️ ${origin}/robots.txt is unreachable; treating every page as disallowed.`);
+        }
+        const selected = selectRobotsRules(robots, userAgent);
+        if (selected.crawlDelay) {
+          crawlDelayMs = Math.max(crawlDelayMs, selected.crawlDelay * 1000);
+          console.log(`🐢 ${origin}/robots.txt asks for ${selected.crawlDelay}s between requests`);
+        }
+        return selected;
+      }));
+    }
+    return robotsByOrigin.get(origin);
+  }
+
+  return {
+    userAgent,
+    maxRetries,
+    stats,
+
+    /**
+     * The user agent for a page: the configured one, appended to a viewport profile's own
+     * (so mobile layouts still render) when there is one.
+     */
+    userAgentFor(profileUserAgent = null) {
+      if (profileUserAgent && userAgent) return `${profileUserAgent} ${userAgent}`;
+      return userAgent || profileUserAgent || null;
+    },
+
+    /**
+     * Whether robots.txt lets this run load the URL (always true unless respectRobotsTxt is set).
+     */
+    async isAllowed(url) {
+      if (!respectRobotsTxt) return true;
+      const { rules } = await getRobots(url);
+      const allowed = isAllowedByRobots(rules, url);
+      if (!allowed && !stats.robotsBlocked.includes(url)) stats.robotsBlocked.push(url);
+      return allowed;
+    },
+
+    /**
+     * Wait for this request's turn. Turns are handed out in order, so concurrent workers
+     * together stay within the rate.
+     */
+    async throttle(url = null) {
+      if (respectRobotsTxt && url) await getRobots(url);
+      stats.requests++;
+
+      const interval = Math.max(baseInterval, crawlDelayMs);
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+
+      if (slot > now) {
+        stats.waitedMs += slot - now;
+        await sleep(slot - now);
+      }
+    },
+
+    shouldBackOff(status) {
+      return BACKOFF_STATUSES.includes(status);
+    },
+
+    /**
+     * Pause every request after a 429/503: for the server's Retry-After if it sent one,
+     * otherwise 5s, 10s, 20s… Returns false once the page has used up its retries.
+     */
+    async backoff(url, status, retryAfter, attempt) {
+      stats.backoffStatuses[status] = (stats.backoffStatuses[status] || 0) + 1;
+      if (attempt >= maxRetries) {
+        stats.gaveUp++;
+        return false;
+      }
+
+      // Retry-After is either seconds or an HTTP date
+      const seconds = retryAfter ? Number(retryAfter) : NaN;
+      const retryAt = Number.isFinite(seconds) ? Date.now() + seconds * 1000 : Date.parse(retryAfter || '');
+      const delay = Math.min(
+        Number.isFinite(retryAt) ? Math.max(0, retryAt - Date.now()) : BACKOFF_BASE_MS * 2 ** attempt,
+        MAX_BACKOFF_MS
+      );
+
+      stats.backoffs++;
+      console.warn(`   ⏳ ${url} answered ${status}; backing off for ${Math.round(delay / 1000)}s (retry ${attempt + 1} of ${maxRetries})`);
+      nextSlot = Math.max(nextSlot, Date.now() + delay);
+      return true;
+    },
+
+    /**
+     * One-line summaries for the end of a run (empty when nothing worth reporting happened).
+     */
+    summary() {
+      const lines = [];
+      if (userAgent) lines.push(`User agent: ${userAgent}`);
+      if (baseInterval || crawlDelayMs) {
+        lines.push(`Rate limit: one request every ${Math.max(baseInterval, crawlDelayMs) / 1000}s (waited ${Math.round(stats.waitedMs / 1000)}s in total)`);
+      }
+      if (respectRobotsTxt) {
+        lines.push(`robots.txt: ${stats.robotsBlocked.length} page(s) skipped as disallowed`);
+      }
+      if (stats.robotsUnreachable.length) {
+        lines.push(`robots.txt unreachable for ${stats.robotsUnreachable.join(', ')}: all pages skipped`);
+      }
+      const statuses = Object.entries(stats.backoffStatuses).map(([status, count]) => `${count}× ${status}`);
+      if (statuses.length) {
+        lines.push(`Slow-down responses: ${statuses.join(', ')}; ${stats.backoffs} backoff(s), ${stats.gaveUp} page(s) gave up`);
+      }
+      return lines;
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// lib/crawl/robotsTxt.js
+import axios from 'axios';
+import { isSafeUrl } from '../utils/security.js';
+
+const ROBOTS_TIMEOUT = 10000;
+
+// robots.txt is capped at 500 KiB by RFC 9309; anything after that is ignored
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Parse robots.txt into its user-agent groups and the sitemaps it lists.
+ * Each group: { agents: ['*' | lowercase product token], rules: [{ allow, path }], crawlDelay }.
+ */
+export function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  String(text).slice(0, MAX_ROBOTS_BYTES).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group of rules
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!group) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * The product token robots.txt groups are matched against: "A11yAuditBot/1.0 (+https://…)" → "a11yauditbot".
+ */
+export function getProductToken(userAgent) {
+  return String(userAgent || '').trim().split(/[\s/]/)[0].toLowerCase();
+}
+
+/**
+ * The rules that apply to a user agent: every group naming its product token, or the `*` group.
+ * @returns {Object} { rules, crawlDelay }
+ */
+export function selectRobotsRules(robots, userAgent = null) {
+  const token = getProductToken(userAgent);
+  const named = token ? robots.groups.filter(g => g.agents.includes(token)) : [];
+  const groups = named.length > 0 ? named : robots.groups.filter(g => g.agents.includes('*'));
+
+  const delays = groups.map(g => g.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: groups.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+function ruleToRegex(rulePath) {
+  const anchored = rulePath.endsWith('$');
+  const source = (anchored ? rulePath.slice(0, -1) : rulePath)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether robots rules allow a URL. The longest matching rule wins, and Allow wins a tie.
+ * `*` matches any characters and a trailing `$` anchors the end of the path (and query).
+ */
+export function isAllowedByRobots(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  let best = null;
+  rules.forEach(rule => {
+    if (!ruleToRegex(rule.path).test(target)) return;
+    const longer = !best || rule.path.length > best.path.length;
+    const tieAllow = best && rule.path.length === best.path.length && rule.allow;
+    if (longer || tieAllow) best = rule;
+  });
+
+  return !best || best.allow;
+}
+
+/**
+ * Fetch and parse a site's robots.txt. Following RFC 9309, a missing robots.txt (4xx) allows
+ * everything, and an unreachable one (5xx or a network error) disallows everything.
+ * @returns {Promise<Object>} { groups, sitemaps, unreachable }
+ */
+export async function fetchRobotsTxt(siteUrl, { headers = {} } = {}) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).toString();
+  if (!isSafeUrl(robotsUrl)) throw new Error(`SSRF Block: ${robotsUrl} is unsafe.`);
+
+  try {
+    const { data } = await axios.get(robotsUrl, {
+      timeout: ROBOTS_TIMEOUT,
+      headers,
+      responseType: 'text',
+      maxContentLength: MAX_ROBOTS_BYTES * 4
+    });
+    return { ...parseRobotsTxt(data), unreachable: false };
+  } catch (err) {
+    const status = err.response?.status;
+    if (status >= 400 && status < 500) return { groups: [], sitemaps: [], unreachable: false };
+    return {
+      groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }],
+      sitemaps: [],
+      unreachable: true
+    };
+  }
+}
@@ -0,0 +1,116 @@
+// lib/diff/compareAudits.js
+import fs from 'fs';
+import path from 'path';
+import { diffRules } from './diffRules.js';
+
+const cleanPage = page => page.replace(/\/$/, '').split('#')[0];
+
+function readAudit(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`❌ Failed to read audit ${path.basename(file)}: ${err.message}`);
+  }
+}
+
+/**
+ * Pages an incremental audit revisited (null for a full audit, or one from before page inventories).
+ */
+function getAuditedPages(audit) {
+  if (!audit.incremental || !audit.pageInventory) return null;
+  return new Set(audit.pageInventory.pages.filter(p => !p.error).map(p => cleanPage(p.url)));
+}
+
+function describeAudit(file, audit) {
+  return {
+    id: path.basename(file, '.json'),
+    timestamp: audit.timestamp,
+    pagesAudited: audit.pagesAudited,
+    incremental: Boolean(audit.incremental)
+  };
+}
+
+/**
+ * Diff two processed audits of a site: what is new in `head`, what `base` had that is resolved,
+ * and what persisted (unchanged or moved), overall, per rule and per page. When either audit is
+ * incremental, only the pages both checked are compared.
+ *
+ * @param {string} baseFile - the earlier processed audit JSON
+ * @param {string} headFile - the later one
+ * @param {Object} [options.friendlyNames] - rule ID → name, for rules only the base audit has
+ * @returns {Object} { site, base, head, totals: { new, resolved, persisted, moved }, rules, byRule, byPage,
+ *   resolvedOccurrences, fullyResolvedRules, axeConfig, configChanged, comparedPages }
+ */
+export function compareAudits(baseFile, headFile, { friendlyNames = {} } = {}) {
+  const base = readAudit(baseFile);
+  const head = readAudit(headFile);
+  if (base.site !== head.site) {
+    throw new Error(`❌ Can't compare audits of different sites (${base.site} and ${head.site}).`);
+  }
+
+  const scopes = [getAuditedPages(base), getAuditedPages(head)].filter(Boolean);
+  const pages = scopes.length > 0 ? new Set([...scopes[0]].filter(p => scopes.every(scope => scope.has(p)))) : null;
+  const inScope = o => !pages || pages.has(cleanPage(o.page));
+
+  // The head audit was diffed against whatever ran before it; drop that and diff it against the base
+  const headRules = head.rules
+    .map(({ diff, isNewRule, ...rule }) => ({
+      ...rule,
+      occurrences: rule.occurrences.filter(inScope).map(({ isNewOccurrence, isNewPage, movedFrom, ...o }) => o)
+    }))
+    .filter(rule => rule.occurrences.length > 0);
+
+  const { rules, fullyResolvedRules, resolvedOccurrences, configChanged } = diffRules(
+    headRules,
+    path.dirname(baseFile),
+    friendlyNames,
+    path.basename(baseFile),
+    { axeConfig: head.axeConfig || null, pages }
+  );
+
+  const baseRules = new Map(base.rules.map(rule => [rule.id, rule]));
+  const resolved = [
+    ...resolvedOccurrences,
+    ...fullyResolvedRules.flatMap(r => baseRules.get(r.id).occurrences.filter(inScope).map(o => ({ ruleId: r.id, ...o })))
+  ];
+
+  const countRow = () => ({ new: 0, resolved: 0, persisted: 0, moved: 0 });
+  const ruleRows = new Map();
+  const pageRows = new Map();
+  const tally = (rule, page, field) => {
+    if (!ruleRows.has(rule.id)) {
+      ruleRows.set(rule.id, { id: rule.id, displayName: rule.displayName || rule.id, impact: rule.impact, ...countRow() });
+    }
+    if (!pageRows.has(page)) pageRows.set(page, { page, ...countRow() });
+    ruleRows.get(rule.id)[field]++;
+    pageRows.get(page)[field]++;
+  };
+
+  rules.forEach(rule => rule.occurrences.forEach(o => {
+    tally(rule, cleanPage(o.page), o.isNewOccurrence ? 'new' : 'persisted');
+    if (o.movedFrom) tally(rule, cleanPage(o.page), 'moved');
+  }));
+  resolved.forEach(o => tally(baseRules.get(o.ruleId), cleanPage(o.page), 'resolved'));
+
+  const byRule = [...ruleRows.values()].sort((a, b) => b.new - a.new || b.resolved - a.resolved);
+  const byPage = [...pageRows.values()].sort((a, b) => b.new - a.new || b.resolved - a.resolved);
+  const totals = byRule.reduce((sum, row) => {
+    Object.keys(sum).forEach(field => { sum[field] += row[field]; });
+    return sum;
+  }, countRow());
+
+  return {
+    site: head.site,
+    base: describeAudit(baseFile, base),
+    head: describeAudit(headFile, head),
+    totals,
+    rules,
+    byRule,
+    byPage,
+    resolvedOccurrences: resolved,
+    fullyResolvedRules,
+    axeConfig: head.axeConfig || [],
+    configChanged,
+    comparedPages: pages ? pages.size : null
+  };
+}
@@ -1,12 +1,15 @@
 // lib/diff/diffRules.js
 import fs from 'fs';
 import path from 'path';
+import { isSameAxeConfig } from '../config/axeOptions.js';
+import { matchMovedOccurrences } from './matchOccurrences.js';
 
 /**
  * Generates a stable unique key for an occurrence.
  * Normalizes URLs and selectors to prevent "Badge Spam."
+ * Baseline files (lib/config/baseline.js) accept occurrences by this key.
  */
-function getOccurrenceKey(page, ruleId, node) {
+export function getOccurrenceKey(page, ruleId, node) {
   const cleanPage = page.replace(/\/$/, '').split('#')[0];
 
   // Consistency fix: Handle both fresh Axe arrays and loaded JSON strings
@@ -14,14 +17,64 @@ function getOccurrenceKey(page, ruleId, node) {
     ? node.target.join(' > ') 
     : node.target;
 
-  return `${cleanPage}|${ruleId}|${selector}`;
+  // User-flow states are distinct snapshots of the page; the initial render keeps the legacy key
+  const state = node.state ? `|${node.state}` : '';
+
+  // Likewise for viewports: the same element at another breakpoint is a separate occurrence
+  const viewport = node.viewport ? `|@${node.viewport}` : '';
+
+  return `${cleanPage}|${ruleId}|${selector}${state}${viewport}`;
+}
+
+/**
+ * Where an occurrence was found, without its selector. A moved element keeps its page, state and viewport.
+ */
+function getLocationKey(node) {
+  const cleanPage = node.page.replace(/\/$/, '').split('#')[0];
+  return `${cleanPage}|${node.state || ''}|${node.viewport || ''}`;
+}
+
+/**
+ * Pair resolved and new occurrences of a rule that are likely the same element under a changed
+ * selector (see matchOccurrences.js). Returns a Map of new key → { previousKey, confidence }.
+ */
+function findMovedOccurrences(resolvedKeys, newKeys, prevByKey, currentByKey) {
+  const byLocation = (keys, occurrencesByKey, side) => keys.reduce((groups, key) => {
+    const location = getLocationKey(occurrencesByKey.get(key));
+    groups[location] ??= { previous: [], current: [] };
+    groups[location][side].push(key);
+    return groups;
+  }, {});
+
+  const groups = byLocation(resolvedKeys, prevByKey, 'previous');
+  Object.entries(byLocation(newKeys, currentByKey, 'current')).forEach(([location, { current }]) => {
+    (groups[location] ??= { previous: [], current: [] }).current = current;
+  });
+
+  const moves = new Map();
+  Object.values(groups).forEach(({ previous, current }) => {
+    const pairs = matchMovedOccurrences(previous.map(key => prevByKey.get(key)), current.map(key => currentByKey.get(key)));
+    pairs.forEach(pair => moves.set(current[pair.current], { previousKey: previous[pair.previous], confidence: pair.confidence }));
+  });
+  return moves;
 }
 
 /**
  * Compute diffs between current rules and previous audit.
  * Returns a NEW set of rules and totals without mutating the input.
+ * When `axeConfig` is given, `configChanged` reports whether the previous audit
+ * ran with different axe options (so its counts are not like-for-like).
+ * Occurrences whose selector changed but which look like the same element (same page, similar
+ * HTML, stable attributes and selector) count as `moved` rather than resolved plus new, and carry
+ * `movedFrom: { target, confidence }`.
+ * In multi-viewport audits, `diffTotals.byViewport` breaks the totals down per viewport.
+ * `resolvedOccurrences` lists the previous occurrences counted as resolved ({ ruleId, page, target, … });
+ * rules that disappeared entirely are in `fullyResolvedRules` instead.
+ * `pages` (a Set of URLs) limits the comparison to those pages, for incremental audits that
+ * did not revisit the rest: their previous issues are neither resolved nor carried over.
+ * `compared` says whether a previous audit was found; without one, nothing is new or resolved.
  */
-export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileName = null) {
+export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileName = null, { axeConfig = null, pages = null } = {}) {
   let prevAudit = null;
   const siteSlug = rules[0]?.siteSlug || 'unknown';
   
@@ -37,10 +90,34 @@ export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileNa
     }
   }
 
-  const diffTotals = { newViolations: 0, resolvedViolations: 0, unchanged: 0 };
+  const diffTotals = { newViolations: 0, resolvedViolations: 0, moved: 0, unchanged: 0 };
   const prevOccurrencesByRule = {};
   const prevPagesByRule = {};
   const prevRuleIds = new Set();
+  const viewportByKey = new Map();
+  const resolvedOccurrences = [];
+
+  // Per-breakpoint tallies, only for occurrences tagged with a viewport
+  const byViewport = {};
+  const tallyViewport = (key, field) => {
+    const viewport = viewportByKey.get(key);
+    if (!viewport) return;
+    byViewport[viewport] ??= { newViolations: 0, resolvedViolations: 0, moved: 0, unchanged: 0 };
+    byViewport[viewport][field]++;
+  };
+
+  // Incremental audits only compare the pages they audited. Rules are kept even when none of
+  // their occurrences are on those pages, so a rule seen elsewhere before is not reported as new.
+  const cleanPages = pages ? new Set([...pages].map(p => p.replace(/\/$/, ''))) : null;
+  if (prevAudit && cleanPages) {
+    prevAudit = {
+      ...prevAudit,
+      rules: prevAudit.rules.map(rule => ({
+        ...rule,
+        occurrences: rule.occurrences.filter(o => cleanPages.has(o.page.replace(/\/$/, '')))
+      }))
+    };
+  }
 
   // Index previous audit if it exists
   if (prevAudit) {
@@ -49,22 +126,44 @@ export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileNa
       prevPagesByRule[rule.id] = new Set(rule.occurrences.map(o => o.page.replace(/\/$/, '')));
       
       const keys = rule.occurrences.map(o => getOccurrenceKey(o.page, rule.id, o));
-      prevOccurrencesByRule[rule.id] = new Set(keys);
+      rule.occurrences.forEach((o, i) => { if (o.viewport) viewportByKey.set(keys[i], o.viewport); });
+      prevOccurrencesByRule[rule.id] = new Map(keys.map((key, i) => [key, rule.occurrences[i]]));
     });
   }
 
   // Use .map to create a new array of rule objects
   const processedRules = rules.map(rule => {
     const currentKeys = rule.occurrences.map(o => getOccurrenceKey(o.page, rule.id, o));
-    const prevSet = prevOccurrencesByRule[rule.id] || new Set();
+    rule.occurrences.forEach((o, i) => { if (o.viewport) viewportByKey.set(currentKeys[i], o.viewport); });
+    const prevByKey = prevOccurrencesByRule[rule.id] || new Map();
+    const currentByKey = new Map();
+    rule.occurrences.forEach((o, i) => { if (!currentByKey.has(currentKeys[i])) currentByKey.set(currentKeys[i], o); });
 
-    const newCount = prevAudit ? [...new Set(currentKeys)].filter(x => !prevSet.has(x)).length : 0;
-    const resolvedCount = prevAudit ? [...prevSet].filter(x => !new Set(currentKeys).has(x)).length : 0;
-    const unchangedCount = prevAudit ? [...new Set(currentKeys)].filter(x => prevSet.has(x)).length : currentKeys.length;
+    const appearedKeys = prevAudit ? [...currentByKey.keys()].filter(x => !prevByKey.has(x)) : [];
+    const disappearedKeys = prevAudit ? [...prevByKey.keys()].filter(x => !currentByKey.has(x)) : [];
+    const unchangedKeys = prevAudit ? [...currentByKey.keys()].filter(x => prevByKey.has(x)) : currentKeys;
+
+    // A selector change (CSS-module hash, nth-child shift) would otherwise read as a fix plus a new issue
+    const moves = findMovedOccurrences(disappearedKeys, appearedKeys, prevByKey, currentByKey);
+    const movedFromKeys = new Set([...moves.values()].map(move => move.previousKey));
+    const newKeys = appearedKeys.filter(x => !moves.has(x));
+    const resolvedKeys = disappearedKeys.filter(x => !movedFromKeys.has(x));
+    resolvedKeys.forEach(key => resolvedOccurrences.push({ ruleId: rule.id, ...prevByKey.get(key) }));
+
+    newKeys.forEach(key => tallyViewport(key, 'newViolations'));
+    resolvedKeys.forEach(key => tallyViewport(key, 'resolvedViolations'));
+    moves.forEach((move, key) => tallyViewport(key, 'moved'));
+    unchangedKeys.forEach(key => tallyViewport(key, 'unchanged'));
+
+    const newCount = newKeys.length;
+    const resolvedCount = resolvedKeys.length;
+    const movedCount = moves.size;
+    const unchangedCount = unchangedKeys.length;
 
     // Update the running totals (these are primitive numbers, so this is safe)
     diffTotals.newViolations += newCount;
     diffTotals.resolvedViolations += resolvedCount;
+    diffTotals.moved += movedCount;
     diffTotals.unchanged += unchangedCount;
 
     // Detect if rule spread to new pages
@@ -82,27 +181,33 @@ export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileNa
       diff: { 
         new: newCount, 
         resolved: resolvedCount, 
+        moved: movedCount,
         unchanged: unchangedCount,
         newPages 
       },
       occurrences: rule.occurrences.map((o, index) => {
         const key = currentKeys[index];
+        const move = moves.get(key);
         return {
           ...o,
-          isNewOccurrence: prevAudit ? !prevSet.has(key) : false,
-          isNewPage: prevAudit ? newPages.has(o.page.replace(/\/$/, '')) : false
+          isNewOccurrence: prevAudit ? !prevByKey.has(key) && !move : false,
+          isNewPage: prevAudit ? newPages.has(o.page.replace(/\/$/, '')) : false,
+          ...(move ? { movedFrom: { target: prevByKey.get(move.previousKey).target, confidence: move.confidence } } : {})
         };
       })
     };
   });
 
+  if (Object.keys(byViewport).length > 0) diffTotals.byViewport = byViewport;
+
   // Calculate fully resolved rules
   const fullyResolvedRules = [];
   const currentRuleIds = new Set(rules.map(rule => rule.id));
 
   if (prevAudit) {
     prevAudit.rules.forEach(prevRule => {
-      if (!currentRuleIds.has(prevRule.id)) {
+      const wasChecked = !cleanPages || prevRule.occurrences.length > 0;
+      if (!currentRuleIds.has(prevRule.id) && wasChecked) {
         fullyResolvedRules.push({
           id: prevRule.id,
           friendlyName: friendlyNames[prevRule.id] || prevRule.id,
@@ -112,6 +217,16 @@ export function diffRules(rules, resultsDir, friendlyNames = {}, prevAuditFileNa
     });
   }
 
+  const configChanged = Boolean(prevAudit && axeConfig && !isSameAxeConfig(prevAudit.axeConfig, axeConfig));
+
   // Return the new data structures
-  return { rules: processedRules, diffTotals, fullyResolvedRules };
+  return {
+    rules: processedRules,
+    diffTotals,
+    fullyResolvedRules,
+    resolvedOccurrences,
+    configChanged,
+    previousAxeConfig: prevAudit?.axeConfig || null,
+    compared: Boolean(prevAudit)
+  };
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+// lib/diff/matchOccurrences.js
+
+// Attributes that identify an element whatever its position or generated class names
+const STABLE_ATTRIBUTES = ['id', 'name', 'aria-label', 'src'];
+
+// How much each signal counts towards the confidence of a match
+const WEIGHTS = { html: 0.4, attributes: 0.35, selector: 0.25 };
+
+// Below this, an unmatched pair is left as one resolved and one new occurrence
+export const MIN_MOVE_CONFIDENCE = 0.7;
+
+/**
+ * Drop the build hash from a generated class name: "Button_primary__3xYz1" → "Button_primary",
+ * "css-1a2b3c" → "css", "jsx-123456" → "jsx". Hand-written names without a digit are kept.
+ */
+function stripClassHash(name) {
+  return name.replace(/([_-]{1,2})[A-Za-z0-9]*\d[A-Za-z0-9]*$/, (hash, separator, offset) => (offset > 0 ? '' : hash));
+}
+
+/**
+ * A selector with generated class hashes and sibling positions removed, split into its parts
+ * ("div", ".card", ":nth-child"), so "div.card_x__a1b2 > li:nth-child(3)" and
+ * "div.card_x__z9y8 > li:nth-child(4)" compare as the same path.
+ */
+function selectorTokens(target) {
+  const selector = Array.isArray(target) ? target.join(' > ') : String(target || '');
+  return new Set(
+    selector
+      .replace(/:(nth-child|nth-of-type|nth-last-child|nth-last-of-type)\([^)]*\)/g, ':$1')
+      .split(/\s*[>+~\s]\s*/)
+      .flatMap(compound => compound.split(/(?=[.#:[])/))
+      .filter(Boolean)
+      .map(part => (part.startsWith('.') ? `.${stripClassHash(part.slice(1))}` : part))
+  );
+}
+
+/**
+ * The tag and attributes of an element's opening tag (reports keep only that much HTML),
+ * with whitespace, quoting, attribute order and class hashes normalized away.
+ */
+function parseOpeningTag(html) {
+  const match = String(html || '').trim().match(/^<([a-z][\w-]*)([^>]*)>?/i);
+  if (!match) return { tag: null, attributes: {} };
+
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let attr;
+  while ((attr = pattern.exec(match[2])) !== null) {
+    const name = attr[1].toLowerCase();
+    const value = (attr[2] ?? attr[3] ?? attr[4] ?? '').trim().replace(/\s+/g, ' ');
+    attributes[name] = name === 'class'
+      ? value.split(' ').filter(Boolean).map(stripClassHash).sort().join(' ')
+      : value;
+  }
+  return { tag: match[1].toLowerCase(), attributes };
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  const shared = [...a].filter(token => b.has(token)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+function describe(occurrence) {
+  const { tag, attributes } = parseOpeningTag(occurrence.html);
+  return {
+    tag,
+    attributes,
+    htmlTokens: new Set(Object.entries(attributes).map(([name, value]) => `${name}=${value}`)),
+    selector: selectorTokens(occurrence.target)
+  };
+}
+
+function scoreDescribed(a, b) {
+  if (a.tag && b.tag && a.tag !== b.tag) return 0;
+
+  const present = STABLE_ATTRIBUTES.filter(name => a.attributes[name] || b.attributes[name]);
+  if (present.some(name => a.attributes[name] && b.attributes[name] && a.attributes[name] !== b.attributes[name])) {
+    return 0;
+  }
+
+  const scores = {
+    html: a.tag && b.tag ? jaccard(a.htmlTokens, b.htmlTokens) : null,
+    // Without any stable attribute to go on, only the HTML and selector count
+    attributes: present.length > 0
+      ? present.filter(name => a.attributes[name] === b.attributes[name]).length / present.length
+      : null,
+    selector: jaccard(a.selector, b.selector)
+  };
+
+  const counted = Object.keys(scores).filter(signal => scores[signal] !== null);
+  const weight = counted.reduce((sum, signal) => sum + WEIGHTS[signal], 0);
+  const confidence = counted.reduce((sum, signal) => sum + WEIGHTS[signal] * scores[signal], 0) / weight;
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * How likely it is that two occurrences of a rule on the same page are the same element,
+ * from 0 to 1. Different tags, or a stable attribute (id, name, aria-label, src) with
+ * different values, mean different elements.
+ */
+export function scoreOccurrenceMatch(previous, current) {
+  return scoreDescribed(describe(previous), describe(current));
+}
+
+/**
+ * Pair previous occurrences that disappeared with current ones that appeared, when they look
+ * like the same element under a new selector (a CSS-module hash or nth-child shift).
+ * Callers pass occurrences of one rule on one page (and state and viewport); the most
+ * confident pairs are taken first and each occurrence is used at most once.
+ * @returns {Array} [{ previous, current, confidence }] - indexes into the two arrays
+ */
+export function matchMovedOccurrences(previousOccurrences, currentOccurrences, { minConfidence = MIN_MOVE_CONFIDENCE } = {}) {
+  if (previousOccurrences.length === 0 || currentOccurrences.length === 0) return [];
+
+  const previous = previousOccurrences.map(describe);
+  const current = currentOccurrences.map(describe);
+
+  const candidates = [];
+  previous.forEach((a, i) => {
+    current.forEach((b, j) => {
+      const confidence = scoreDescribed(a, b);
+      if (confidence >= minConfidence) candidates.push({ previous: i, current: j, confidence });
+    });
+  });
+
+  const usedPrevious = new Set();
+  const usedCurrent = new Set();
+  return candidates
+    .sort((x, y) => y.confidence - x.confidence)
+    .filter(pair => {
+      if (usedPrevious.has(pair.previous) || usedCurrent.has(pair.current)) return false;
+      usedPrevious.add(pair.previous);
+      usedCurrent.add(pair.current);
+      return true;
+    });
+}
@@ -9,6 +9,7 @@
  *   - displayName
  *   - wcagLevel (A / AA / AAA / Best Practice)
  *   - resources (array of helpful links)
+ *   - plainText ({ name, description, rationale } unescaped, for formats with their own escaping)
  *   - all original rule properties
  */
 
@@ -35,7 +36,8 @@ export function enrichRules(rules, { axeMetadata = {}, wcagTags = {}, rationales
     const rawRationale = rationales[rule.id] || "This issue creates a barrier for users with disabilities.";
     const rationale = escape(rawRationale);
 
-    const displayName = escape(metadata.help || rule.id);
+    const name = metadata.help || rule.id;
+    const displayName = escape(name);
     const description = escape(metadata.description || '');
     
     const tags = metadata.tags || rule.tags || [];
@@ -67,7 +69,15 @@ export function enrichRules(rules, { axeMetadata = {}, wcagTags = {}, rationales
       rationale, 
       tags,
       wcagLevel,
-      resources
+      resources,
+      plainText: { name, description: metadata.description || '', rationale: rawRationale }
     };
   });
 }
+
+/**
+ * Rule ID → the name reports show for it (axe's help text), for rules that are no longer in an audit.
+ */
+export function getFriendlyNames(axeMetadata = {}) {
+  return Object.fromEntries(Object.entries(axeMetadata).map(([id, metadata]) => [id, metadata.help || id]));
+}
@@ -0,0 +1,65 @@
+// lib/errors/auditErrors.js
+
+/**
+ * Why a page could not be audited. Each failed page result records one of these as its
+ * `errorCode`, next to the human-readable `error`; the labels head the reports' failure sections.
+ */
+export const AUDIT_ERROR_CODES = {
+  dns: 'DNS lookup failed',
+  refused: 'Connection refused',
+  connection: 'Connection reset or dropped',
+  timeout: 'Page load timed out',
+  'axe-timeout': 'Axe analysis timed out',
+  crash: 'Browser crashed',
+  'non-html': 'Not an HTML page',
+  'rate-limited': 'Rate limited by the server',
+  blocked: 'Disallowed by robots.txt',
+  unknown: 'Other error'
+};
+
+// Failures that may not happen again on a second try
+export const TRANSIENT_ERROR_CODES = ['timeout', 'connection', 'crash'];
+
+// Chrome network errors behind a dropped connection rather than a missing or refusing server
+const CONNECTION_ERRORS = /net::ERR_(CONNECTION_RESET|CONNECTION_CLOSED|CONNECTION_ABORTED|EMPTY_RESPONSE|NETWORK_CHANGED|SOCKET_NOT_CONNECTED)/;
+
+/**
+ * An error whose code is already known where it is thrown (e.g. a PDF served instead of a page).
+ */
+export function createAuditError(code, message) {
+  return Object.assign(new Error(message), { errorCode: code });
+}
+
+/**
+ * Classify a Puppeteer / axe error and translate it into a message a human can act on.
+ * `crashed` says the browser itself went away, as opposed to the site failing.
+ * @returns {Object} { code, message }
+ */
+export function classifyAuditError(err, { gotoTimeout, analysisTimeout, crashed = false } = {}) {
+  const message = err?.message || String(err);
+
+  if (err?.errorCode) return { code: err.errorCode, message };
+  if (crashed) {
+    return { code: 'crash', message: 'The browser crashed or disconnected while auditing the page.' };
+  }
+  if (err?.name === 'TimeoutError' || message.includes('net::ERR_TIMED_OUT')) {
+    return { code: 'timeout', message: `Navigation timed out after ${gotoTimeout}ms. The page may be slow or continuously loading.` };
+  }
+  if (message.includes('Axe analysis timed out')) {
+    return { code: 'axe-timeout', message: `Axe analysis exceeded ${analysisTimeout}ms and was aborted.` };
+  }
+  if (message.includes('net::ERR_NAME_NOT_RESOLVED')) {
+    return { code: 'dns', message: 'DNS lookup failed. The domain may not exist or is unreachable.' };
+  }
+  if (message.includes('net::ERR_CONNECTION_REFUSED')) {
+    return { code: 'refused', message: 'Connection was refused by the server.' };
+  }
+  if (CONNECTION_ERRORS.test(message)) {
+    return { code: 'connection', message: `The connection was dropped while loading the page (${message.match(CONNECTION_ERRORS)[0]}).` };
+  }
+  // Chrome aborts navigations that turn into downloads
+  if (message.includes('net::ERR_ABORTED')) {
+    return { code: 'non-html', message: 'The browser did not display the URL, most likely because it is a file download.' };
+  }
+  return { code: 'unknown', message };
+}
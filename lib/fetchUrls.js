@@ -3,54 +3,140 @@ import axios from 'axios';
 import xml2js from 'xml2js';
 import fs from 'fs/promises';
 import path from 'path';
+import zlib from 'zlib';
 import puppeteer from 'puppeteer';
 import { isSafeUrl } from './utils/security.js';
+import { createAuthSession, applyAuthSession, getRequestHeaders } from './auth/authSession.js';
+import { filterPages, isExcludedPage, samplePages } from './config/pageFilters.js';
+import { writeUrlListMeta, writeCrawlReport } from './io/urlListMeta.js';
+import { fetchRobotsTxt } from './crawl/robotsTxt.js';
+import { createPoliteness } from './crawl/politeness.js';
+import { createCrawlReport } from './crawl/crawlReport.js';
 
 const REQUEST_TIMEOUT = 20000; // Increased for stability
 
+// Crawl cap when include patterns or sampling will narrow the list afterwards
+const FILTERED_CRAWL_LIMIT = 500;
+
+// Sitemap indexes can nest; stop following them past this depth or this many sitemaps
+const MAX_SITEMAP_DEPTH = 5;
+const MAX_SITEMAPS = 500;
+
+// The sitemap protocol caps a sitemap at 50 MB uncompressed
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// Checking a sitemap page for redirects and its canonical URL only needs the start of the HTML
+const MAX_DEDUPE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
 const NON_HTML_EXTENSIONS = [
   '.pdf', '.jpg', '.jpeg', '.png', '.gif', '.svg',
   '.zip', '.mp4', '.mp3', '.webp', '.json'
 ];
 
+// Skipped unless the project config sets `pages.defaultExcludes: false`
 const BLOCKED_PATH_FRAGMENTS = ['/admin', '/cart', '/checkout', '/account'];
 
-export function isLikelyHtml(url) {
+// Only reachable with a session, so only blocked for anonymous runs
+const AUTH_ONLY_PATH_FRAGMENTS = ['/account'];
+
+// Following these would end the session mid-crawl
+const LOGOUT_PATTERN = /log-?out|sign-?out/i;
+
+/**
+ * Why a URL is not worth auditing (for the crawl report), or null if it is.
+ */
+function getUnauditableReason(url, { authenticated = false, defaultExcludes = true } = {}) {
   const lower = url.toLowerCase();
-  if (NON_HTML_EXTENSIONS.some(ext => lower.endsWith(ext))) return false;
-  if (BLOCKED_PATH_FRAGMENTS.some(p => lower.includes(p))) return false;
-  return true;
+  if (NON_HTML_EXTENSIONS.some(ext => lower.endsWith(ext))) return 'not an HTML page';
+
+  const blocked = !defaultExcludes
+    ? []
+    : authenticated
+      ? BLOCKED_PATH_FRAGMENTS.filter(p => !AUTH_ONLY_PATH_FRAGMENTS.includes(p))
+      : BLOCKED_PATH_FRAGMENTS;
+  if (blocked.some(p => lower.includes(p))) return 'excluded by default (admin, cart, checkout or account page)';
+
+  if (authenticated && LOGOUT_PATTERN.test(lower)) return 'logs out';
+  return null;
 }
 
-export function normalizeUrl(rawUrl) {
+export function isLikelyHtml(url, options = {}) {
+  return getUnauditableReason(url, options) === null;
+}
+
+/**
+ * Normalize a URL so the same page is always written the same way: no fragment, lowercase host,
+ * no trailing slash, and no query string except the `queryParams` that route to different pages
+ * (sorted, so their order doesn't matter; `['*']` keeps every parameter).
+ * Returns null for anything that isn't an http(s) URL.
+ */
+export function normalizeUrl(rawUrl, { queryParams = [] } = {}) {
   try {
     const url = new URL(rawUrl);
     if (!['http:', 'https:'].includes(url.protocol)) return null;
     url.hash = '';
-    url.search = ''; // Keeping this clean; add back if site uses query-based routing
+    const keepAll = queryParams.includes('*');
+    const kept = [...url.searchParams]
+      .filter(([name]) => keepAll || queryParams.includes(name))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    url.search = new URLSearchParams(kept).toString();
     url.hostname = url.hostname.toLowerCase();
+    url.pathname = url.pathname.replace(/(.)\/$/, '$1');
     return url.toString().replace(/\/$/, '');
   } catch {
     return null;
   }
 }
 
-async function crawlSiteFallback(startUrl, maxDepth = 2, maxPages = 100) {
+/**
+ * Which other URL a loaded page stands for: its canonical URL (if it names one on the same
+ * site), otherwise where it redirected to. Null if it is its own page.
+ * @returns {Object|null} { url, reason } - reason: 'canonical' or 'redirect'
+ */
+function getPageAlias(url, finalUrl, canonicalHref, { hostname, queryParams }) {
+  let canonical = null;
+  try {
+    canonical = canonicalHref ? normalizeUrl(new URL(canonicalHref, finalUrl).toString(), { queryParams }) : null;
+  } catch { /* an unparseable canonical is ignored */ }
+
+  if (canonical && new URL(canonical).hostname === hostname && isSafeUrl(canonical)) {
+    return canonical === url ? null : { url: canonical, reason: 'canonical' };
+  }
+  return finalUrl !== url ? { url: finalUrl, reason: 'redirect' } : null;
+}
+
+/**
+ * Crawl the site from its start page with a browser, following internal links.
+ * Every loaded page's redirect target and canonical URL are recorded, so duplicates can be merged.
+ * @returns {Promise<Object>} { urls, aliases: Map(url → { url, reason }) }
+ */
+async function crawlSiteFallback(startUrl, maxDepth = 2, maxPages = 100, { auth = null, session = null, browser: sharedBrowser = null, pages = null, politeness = createPoliteness(), report = createCrawlReport() } = {}) {
   if (!isSafeUrl(startUrl)) throw new Error(`Security Block: ${startUrl} is unsafe.`);
 
   console.log(`🕵️ Starting deterministic crawler (Depth: ${maxDepth})...`);
   
-  const browser = await puppeteer.launch({ headless: 'new' });
+  const browser = sharedBrowser || await puppeteer.launch({ headless: 'new' });
+  const authenticated = Boolean(auth);
+  const defaultExcludes = pages?.defaultExcludes ?? true;
   const baseUrl = new URL(startUrl);
   const baseHostname = baseUrl.hostname.toLowerCase();
-  const normalizedStart = normalizeUrl(startUrl);
+  const queryParams = pages?.queryParams || [];
+  const normalizedStart = normalizeUrl(startUrl, { queryParams });
 
   const discovered = new Set([normalizedStart]);
   const queue = [{ url: normalizedStart, depth: 0 }];
   const results = new Set(); // Use a Set to avoid duplicates during crawl
+  const aliases = new Map();
 
   while (queue.length > 0 && results.size < maxPages) {
     const { url, depth } = queue.shift();
+    report.addDiscovered(url, 'crawl');
+    if (!await politeness.isAllowed(url)) {
+      console.log(`  🤖 Disallowed by robots.txt, not crawled: ${url}`);
+      report.addSkipped(url, 'disallowed by robots.txt');
+      continue;
+    }
     results.add(url);
 
     if (depth >= maxDepth) continue;
@@ -58,15 +144,42 @@ async function crawlSiteFallback(startUrl, maxDepth = 2, maxPages = 100) {
     const page = await browser.newPage();
     // Set a realistic viewport so mobile/hidden links might appear
     await page.setViewport({ width: 1280, height: 800 });
+    if (politeness.userAgent) await page.setUserAgent(politeness.userAgent);
 
     try {
+      await applyAuthSession(page, session, url);
+
       console.log(`  🔗 [Level ${depth}] Crawling: ${url}`);
       
       // Use networkidle2 to ensure JS-rendered links are present
-      await page.goto(url, { 
-        waitUntil: 'networkidle2', 
-        timeout: REQUEST_TIMEOUT 
-      });
+      for (let attempt = 0; ; attempt++) {
+        await politeness.throttle(url);
+        const response = await page.goto(url, { 
+          waitUntil: 'networkidle2', 
+          timeout: REQUEST_TIMEOUT 
+        });
+
+        const status = response?.status();
+        if (!politeness.shouldBackOff(status)) break;
+        if (!await politeness.backoff(url, status, response.headers()['retry-after'], attempt)) {
+          throw new Error(`still answering ${status}`);
+        }
+      }
+
+      const finalUrl = normalizeUrl(page.url(), { queryParams });
+      if (!finalUrl || new URL(finalUrl).hostname !== baseHostname || !isSafeUrl(finalUrl)) {
+        results.delete(url);
+        report.addSkipped(url, `redirects off-site: ${page.url()}`);
+        continue;
+      }
+
+      const canonicalHref = await page.evaluate(() => document.querySelector('link[rel="canonical"]')?.getAttribute('href') || null);
+      const alias = getPageAlias(url, finalUrl, canonicalHref, { hostname: baseHostname, queryParams });
+      if (alias) {
+        aliases.set(url, alias);
+        // The page it stands for has been seen now, so it isn't crawled again
+        discovered.add(alias.url);
+      }
 
       const links = await page.evaluate(() => {
         return Array.from(document.querySelectorAll('a[href]'))
@@ -75,13 +188,20 @@ async function crawlSiteFallback(startUrl, maxDepth = 2, maxPages = 100) {
       });
 
       for (const link of links) {
-        const normalized = normalizeUrl(link);
+        const normalized = normalizeUrl(link, { queryParams });
         if (!normalized || !isSafeUrl(normalized)) continue;
 
         const linkUrl = new URL(normalized);
         const isInternal = linkUrl.hostname === baseHostname;
 
-        if (isInternal && !discovered.has(normalized) && isLikelyHtml(normalized)) {
+        // Excluded sections are not followed; include patterns only apply to the final list,
+        // since included pages may only be linked from pages that are not
+        if (
+          isInternal &&
+          !discovered.has(normalized) &&
+          isLikelyHtml(normalized, { authenticated, defaultExcludes }) &&
+          !isExcludedPage(normalized, pages)
+        ) {
           discovered.add(normalized);
           queue.push({ url: normalized, depth: depth + 1 });
         }
@@ -93,89 +213,435 @@ async function crawlSiteFallback(startUrl, maxDepth = 2, maxPages = 100) {
     }
   }
 
-  await browser.close();
-  return Array.from(results);
+  if (!sharedBrowser) await browser.close();
+  return { urls: Array.from(results), aliases };
+}
+
+// Gzipped sitemaps (sitemap.xml.gz) are recognized by their magic bytes rather than the extension:
+// servers often also send them with Content-Encoding: gzip, and then axios has already unpacked them
+function decodeSitemap(buffer) {
+  const xml = buffer[0] === 0x1f && buffer[1] === 0x8b
+    ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES })
+    : buffer;
+  return xml.toString('utf-8');
+}
+
+// Auth headers for the URL, plus the configured user agent
+function getHeaders(session, url, politeness) {
+  const headers = getRequestHeaders(session, url);
+  return politeness.userAgent ? { ...headers, 'User-Agent': politeness.userAgent } : headers;
 }
 
-export async function fetchAndParseSitemap(url) {
+export async function fetchAndParseSitemap(url, { session = null, politeness = createPoliteness() } = {}) {
   if (!isSafeUrl(url)) throw new Error(`SSRF Block: Sitemap URL ${url} is unsafe.`);
+  for (let attempt = 0; ; attempt++) {
+    await politeness.throttle(url);
+    try {
+      const { data } = await axios.get(url, {
+        timeout: REQUEST_TIMEOUT,
+        headers: getHeaders(session, url, politeness),
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_SITEMAP_BYTES
+      });
+      return await xml2js.parseStringPromise(decodeSitemap(Buffer.from(data)));
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 404) throw new Error('404');
+      if (politeness.shouldBackOff(status) &&
+          await politeness.backoff(url, status, err.response.headers['retry-after'], attempt)) {
+        continue;
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Sitemaps a site declares with `Sitemap:` lines in its robots.txt ([] if none, or no robots.txt).
+ */
+export async function discoverSitemaps(siteUrl, { session = null, politeness = createPoliteness() } = {}) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).toString();
   try {
-    const { data } = await axios.get(url, { timeout: REQUEST_TIMEOUT });
-    return await xml2js.parseStringPromise(data);
-  } catch (err) {
-    if (err.response?.status === 404) throw new Error('404');
-    throw err;
+    const robots = await fetchRobotsTxt(siteUrl, { headers: getHeaders(session, robotsUrl, politeness) });
+    const sitemaps = robots.sitemaps
+      .map(loc => {
+        try { return new URL(loc, robotsUrl).toString(); } catch { return null; }
+      })
+      .filter(loc => loc && isSafeUrl(loc));
+    return [...new Set(sitemaps)];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read every page listed in the given sitemaps, following sitemap indexes down to
+ * MAX_SITEMAP_DEPTH levels. Each sitemap is fetched once, so indexes that list each other
+ * (or themselves) cannot loop. A sitemap that fails is skipped with a warning.
+ * @returns {Promise<Array<{ loc: string, lastmod: string | null }>>}
+ */
+export async function readSitemaps(sitemapUrls, { session = null, politeness = createPoliteness() } = {}) {
+  const entries = [];
+  const seen = new Set();
+  const queue = sitemapUrls.map(url => ({ url, depth: 0 }));
+
+  while (queue.length > 0) {
+    const { url, depth } = queue.shift();
+    if (seen.has(url)) {
+      console.warn(`  ⚠️ Sitemap listed more than once, skipping: ${url}`);
+      continue;
+    }
+    if (seen.size >= MAX_SITEMAPS) {
+      console.warn(`  ⚠️ Stopped after ${MAX_SITEMAPS} sitemaps; ${queue.length + 1} not read.`);
+      break;
+    }
+    seen.add(url);
+
+    let parsed;
+    try {
+      parsed = await fetchAndParseSitemap(url, { session, politeness });
+    } catch (err) {
+      console.warn(`  ⚠️ Sitemap failed: ${url} (${err.message})`);
+      continue;
+    }
+
+    if (parsed?.sitemapindex) {
+      const children = (parsed.sitemapindex.sitemap || []).map(s => s.loc?.[0]?.trim()).filter(Boolean);
+      if (depth >= MAX_SITEMAP_DEPTH) {
+        console.warn(`  ⚠️ Sitemap index nested more than ${MAX_SITEMAP_DEPTH} levels deep, not followed: ${url}`);
+      } else {
+        children.forEach(child => queue.push({ url: child, depth: depth + 1 }));
+      }
+    }
+
+    (parsed?.urlset?.url || []).forEach(u => {
+      const loc = u.loc?.[0]?.trim();
+      if (loc) entries.push({ loc, lastmod: u.lastmod?.[0]?.trim() || null });
+    });
+  }
+
+  return entries;
+}
+
+// The canonical URL a page names in a `Link: <…>; rel="canonical"` header or a <link rel="canonical"> tag
+function findCanonicalHref(html, linkHeader) {
+  const fromHeader = String(linkHeader || '').match(/<([^>]+)>\s*;[^,]*rel="?canonical"?/i)?.[1];
+  if (fromHeader) return fromHeader;
+
+  const tag = String(html || '').match(/<link\b[^>]*\brel=["']?canonical["']?[^>]*>/i)?.[0];
+  return tag?.match(/\bhref=["']?([^"'\s>]+)/i)?.[1] || null;
+}
+
+/**
+ * Request each page (without a browser) to see where it redirects and which canonical URL it
+ * names, for dedupePages(). Pages that fail to load are kept as they are; pages that redirect
+ * to another site are reported as skipped.
+ * @returns {Promise<Object>} { aliases: Map(url → { url, reason }), offSite: Set of URLs }
+ */
+async function findPageAliases(urls, { session, politeness, hostname, queryParams, report }) {
+  const aliases = new Map();
+  const offSite = new Set();
+
+  for (const url of urls) {
+    for (let attempt = 0; ; attempt++) {
+      await politeness.throttle(url);
+      // Redirects to another site are not followed
+      let offSiteLocation = null;
+      try {
+        const response = await axios.get(url, {
+          timeout: REQUEST_TIMEOUT,
+          headers: getHeaders(session, url, politeness),
+          responseType: 'text',
+          maxContentLength: MAX_DEDUPE_BYTES,
+          maxRedirects: MAX_REDIRECTS,
+          beforeRedirect: options => {
+            if (new URL(options.href).hostname !== hostname) {
+              offSiteLocation = options.href;
+              throw new Error(`redirects off-site: ${options.href}`);
+            }
+            if (!isSafeUrl(options.href)) throw new Error(`redirects to an unsafe address: ${options.href}`);
+          }
+        });
+
+        const finalUrl = normalizeUrl(response.request?.res?.responseUrl || url, { queryParams });
+        const isHtml = String(response.headers['content-type'] || '').includes('html');
+        const canonicalHref = findCanonicalHref(isHtml ? response.data : '', response.headers.link);
+        const alias = getPageAlias(url, finalUrl, canonicalHref, { hostname, queryParams });
+        if (alias) aliases.set(url, alias);
+        break;
+      } catch (err) {
+        if (offSiteLocation) {
+          offSite.add(url);
+          report.addSkipped(url, `redirects off-site: ${offSiteLocation}`);
+          break;
+        }
+        const status = err.response?.status;
+        if (politeness.shouldBackOff(status) &&
+            await politeness.backoff(url, status, err.response.headers['retry-after'], attempt)) {
+          continue;
+        }
+        console.warn(`  ⚠️ Could not check ${url} for duplicates: ${err.message}`);
+        break;
+      }
+    }
   }
+
+  return { aliases, offSite };
+}
+
+/**
+ * Whether a sitemap `lastmod` is later than `since`. A date without a time counts as the
+ * whole day, so a page edited later on the day of the previous audit is not missed.
+ * A lastmod that cannot be parsed counts as changed.
+ */
+export function isModifiedSince(lastmod, since) {
+  const date = new Date(lastmod);
+  if (Number.isNaN(date.getTime())) return true;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(lastmod.trim())) date.setUTCDate(date.getUTCDate() + 1);
+  return date > since;
 }
 
-export async function fetchUrls(siteUrl, outputFile = null, maxUrls = null) {
+/**
+ * Collect auditable URLs for a site from its sitemaps, falling back to a crawl.
+ * Sitemaps are the ones robots.txt declares, or <siteUrl>/sitemap.xml if it declares none.
+ * @param {string} siteUrl - site root
+ * @param {string} [outputFile] - where to write the URL list (default: urls-clean.txt)
+ * @param {number} [maxUrls] - cap on URLs returned
+ * @param {Object} [options]
+ * @param {Object} [options.auth] - auth config from loadAuthConfig(); applied to sitemap fetches and the crawler
+ * @param {string} [options.sitemapUrl] - sitemap (or sitemap index) to read instead of discovering them
+ * @param {Object} [options.pages] - page filters from resolvePageFilters(): include/exclude patterns,
+ *   `sample` to keep that many pages per path group (recorded in <outputFile>.meta.json), the
+ *   `queryParams` that make a different page, and `dedupe` to check sitemap pages for redirects and canonicals.
+ *   What happened to every discovered URL is written to <outputFile>.crawl.json
+ * @param {Date} [options.changedSince] - incremental audit: only keep sitemap pages whose `lastmod`
+ *   is later (pages without one are kept). Ignored when the pages come from a crawl.
+ * @param {Object} [options.politeness] - from createPoliteness(): paces sitemap fetches and the crawler,
+ *   sends its user agent, and drops pages robots.txt disallows when that is enabled
+ * @returns {Promise<string[]>} cleaned URL list; empty (not an error) when an incremental audit finds no changes
+ */
+export async function fetchUrls(siteUrl, outputFile = null, maxUrls = null, { auth = null, sitemapUrl = null, pages = null, changedSince = null, politeness = createPoliteness() } = {}) {
   if (!siteUrl) throw new Error('❌ SITE_URL is required.');
   if (!isSafeUrl(siteUrl)) throw new Error(`Security Block: ${siteUrl} is unsafe.`);
+  if (sitemapUrl && !isSafeUrl(sitemapUrl)) throw new Error(`SSRF Block: Sitemap URL ${sitemapUrl} is unsafe.`);
+
+  // A login recipe needs a browser up front; reuse it for the crawler so the session is shared
+  const browser = auth?.login ? await puppeteer.launch({ headless: 'new' }) : null;
+
+  try {
+    return await collectUrls(siteUrl, outputFile, maxUrls, { auth, browser, sitemapUrl, pages, changedSince, politeness });
+  } finally {
+    if (browser) await browser.close().catch(() => {});
+    politeness.summary().forEach(line => console.log(`🐢 ${line}`));
+  }
+}
+
+async function collectUrls(siteUrl, outputFile, maxUrls, { auth, browser, sitemapUrl: customSitemapUrl, pages, changedSince, politeness }) {
+  const session = await createAuthSession(auth, browser, { siteUrl });
+  const authenticated = Boolean(auth);
+  const defaultExcludes = pages?.defaultExcludes ?? true;
+  const narrowed = Boolean(pages?.sample || pages?.include.length);
 
   const baseUrl = new URL(siteUrl);
   const baseHostname = baseUrl.hostname.toLowerCase();
-  const sitemapUrl = `${siteUrl.replace(/\/$/, '')}/sitemap.xml`;
   const projectRoot = process.cwd();
   const finalOutput = outputFile || path.join(projectRoot, 'urls-clean.txt');
 
-  let rawUrls = [];
-  let useCrawler = false;
+  let sitemapUrls = customSitemapUrl ? [customSitemapUrl] : await discoverSitemaps(siteUrl, { session, politeness });
+  if (sitemapUrls.length > 0 && !customSitemapUrl) {
+    console.log(`🗺️ robots.txt lists ${sitemapUrls.length} sitemap(s)`);
+  } else if (sitemapUrls.length === 0) {
+    sitemapUrls = [`${siteUrl.replace(/\/$/, '')}/sitemap.xml`];
+  }
 
-  try {
-    const parsed = await fetchAndParseSitemap(sitemapUrl);
-    
-    // Flatten sitemap structure into rawUrls properly
-    if (parsed.sitemapindex?.sitemap) {
-      const subSitemaps = parsed.sitemapindex.sitemap.map(s => s.loc?.[0]).filter(Boolean);
-      for (const loc of subSitemaps) {
-        try {
-          const sub = await fetchAndParseSitemap(loc);
-          if (sub.urlset?.url) {
-            sub.urlset.url.forEach(u => rawUrls.push(u.loc?.[0]));
-          }
-        } catch (err) {
-          console.warn(`  ⚠️ Sub-sitemap failed: ${loc}`);
-        }
-      }
-    }
+  const sitemapEntries = await readSitemaps(sitemapUrls, { session, politeness });
+  const useCrawler = sitemapEntries.length === 0;
+  if (useCrawler) console.warn('⚠️ No pages found in the sitemap. Falling back to crawler...');
+
+  const queryParams = pages?.queryParams || [];
+  const report = createCrawlReport();
+  let collected;
+  let aliases = new Map();
+  if (useCrawler) {
+    const maxPages = narrowed ? Math.max(FILTERED_CRAWL_LIMIT, maxUrls || 0) : (maxUrls || 100);
+    ({ urls: collected, aliases } = await crawlSiteFallback(siteUrl, 2, maxPages, { auth, session, browser, pages, politeness, report }));
+  } else {
+    collected = sitemapEntries.map(entry => entry.loc);
+    collected.forEach(url => report.addDiscovered(url, 'sitemap'));
+  }
 
-    if (parsed.urlset?.url) {
-      parsed.urlset.url.forEach(u => rawUrls.push(u.loc?.[0]));
+  // Final Cleaning & Normalization
+  const cleanedUrls = [];
+  const cleaned = new Set();
+  collected.forEach(rawUrl => {
+    const url = normalizeUrl(rawUrl, { queryParams });
+    const reason = !url
+      ? 'not an http(s) URL'
+      : new URL(url).hostname !== baseHostname
+        ? 'on another site'
+        : !isSafeUrl(url)
+          ? 'unsafe address'
+          : getUnauditableReason(url, { authenticated, defaultExcludes });
+
+    if (reason) {
+      report.addSkipped(rawUrl, reason);
+    } else if (cleaned.has(url)) {
+      report.addDuplicate(rawUrl, url, rawUrl === url ? 'listed more than once' : 'same URL once normalized');
+    } else {
+      cleaned.add(url);
+      cleanedUrls.push(url);
     }
+  });
+
+  const allowedUrls = [];
+  for (const url of cleanedUrls) {
+    if (await politeness.isAllowed(url)) allowedUrls.push(url);
+    else report.addSkipped(url, 'disallowed by robots.txt');
+  }
+  if (allowedUrls.length < cleanedUrls.length) {
+    console.log(`🤖 robots.txt disallows ${cleanedUrls.length - allowedUrls.length} of ${cleanedUrls.length} URLs; they will not be audited`);
+  }
+
+  const filteredUrls = filterPages(allowedUrls, pages);
+  if (filteredUrls.length < allowedUrls.length) {
+    console.log(`🔎 Page filters kept ${filteredUrls.length} of ${allowedUrls.length} URLs`);
+    skipMissing(report, allowedUrls, filteredUrls, 'excluded by page filters');
+  }
 
-    if (rawUrls.length === 0) useCrawler = true;
-  } catch (err) {
-    console.warn(`⚠️ Sitemap unavailable (${err.message}). Falling back to crawler...`);
-    useCrawler = true;
+  // The crawler saw where each page redirected and its canonical URL; sitemap pages are only
+  // loaded for that when asked to, since it means a request per page
+  let uniqueUrls = filteredUrls;
+  if (!useCrawler && pages?.dedupe) {
+    console.log(`🔁 Checking ${filteredUrls.length} pages for redirects and canonical URLs...`);
+    const found = await findPageAliases(filteredUrls, { session, politeness, hostname: baseHostname, queryParams, report });
+    aliases = found.aliases;
+    uniqueUrls = filteredUrls.filter(url => !found.offSite.has(url));
+  }
+  const dedupedUrls = dedupePages(uniqueUrls, aliases, report);
+  if (dedupedUrls.length < uniqueUrls.length) {
+    console.log(`🔁 Merged ${uniqueUrls.length - dedupedUrls.length} redirected or canonical duplicate(s)`);
   }
 
-  let collected = useCrawler 
-    ? await crawlSiteFallback(siteUrl, 2, maxUrls || 100)
-    : rawUrls;
+  // Incremental audits need lastmod dates, which only sitemaps have
+  const incremental = Boolean(changedSince) && !useCrawler;
+  if (changedSince && useCrawler) {
+    console.warn('⚠️ Crawled pages have no lastmod dates, so every page is audited, not just changed ones.');
+  }
 
-  // Final Cleaning & Normalization
-  const cleanedUrls = [
-    ...new Set(
-      collected
-        .map(normalizeUrl)
-        .filter(Boolean)
-        .filter(url => {
-          try {
-            const u = new URL(url);
-            return u.hostname === baseHostname && isSafeUrl(url);
-          } catch { return false; }
-        })
-        .filter(isLikelyHtml)
-    )
-  ];
-
-  const finalUrls = maxUrls ? cleanedUrls.slice(0, maxUrls) : cleanedUrls;
+  let changedUrls = dedupedUrls;
+  if (incremental) {
+    const lastmods = new Map(sitemapEntries.map(entry => [normalizeUrl(entry.loc, { queryParams }), entry.lastmod]));
+    const undated = dedupedUrls.filter(url => !lastmods.get(url)).length;
+    changedUrls = dedupedUrls.filter(url => !lastmods.get(url) || isModifiedSince(lastmods.get(url), changedSince));
+    console.log(`🕒 ${changedUrls.length} of ${dedupedUrls.length} pages changed since ${changedSince.toISOString()}${undated ? ` (including ${undated} without a lastmod)` : ''}`);
+    skipMissing(report, dedupedUrls, changedUrls, `unchanged since ${changedSince.toISOString()}`);
+  }
+
+  const sampling = pages?.sample ? samplePages(changedUrls, pages) : null;
+  const selectedUrls = sampling ? sampling.urls : changedUrls;
+  if (sampling) skipMissing(report, changedUrls, selectedUrls, 'not picked as a sample of its page group');
+  const finalUrls = maxUrls ? selectedUrls.slice(0, maxUrls) : selectedUrls;
+  skipMissing(report, selectedUrls, finalUrls, `over the limit of ${maxUrls} URLs`);
+  const meta = {
+    ...(sampling && summarizeSample(sampling, finalUrls)),
+    ...(incremental && { changedSince: changedSince.toISOString() })
+  };
+
+  writeCrawlReport(finalOutput, report.toJSON());
+  report.summary().forEach(line => console.log(`🧭 ${line}`));
   
   if (finalUrls.length === 0) {
+    if (incremental && dedupedUrls.length > 0) {
+      await fs.writeFile(finalOutput, '', 'utf-8');
+      writeUrlListMeta(finalOutput, meta);
+      console.log(`✅ No pages changed since ${changedSince.toISOString()}; nothing to audit.`);
+      return [];
+    }
     throw new Error(`❌ No valid URLs found for ${siteUrl}`);
   }
 
   await fs.writeFile(finalOutput, finalUrls.join('\n'), 'utf-8');
+  writeUrlListMeta(finalOutput, meta);
+  if (sampling) {
+    console.log(`🧩 Sampled up to ${pages.sample} page(s) from each of ${sampling.groups.length} path groups`);
+  }
   console.log(`✅ Success: ${finalUrls.length} URLs ready in ${finalOutput}`);
   return finalUrls;
-}
\ No newline at end of file
+}
+
+// Record the URLs a step dropped from the list
+function skipMissing(report, before, after, reason) {
+  if (after.length === before.length) return;
+  const kept = new Set(after);
+  before.filter(url => !kept.has(url)).forEach(url => report.addSkipped(url, reason));
+}
+
+/**
+ * Merge URLs that are the same page. Each URL is resolved through `aliases` (following chains of
+ * redirects and canonicals); of the URLs resolving to the same page, that page is kept if it is
+ * listed, otherwise the first of them. The rest are reported as duplicates.
+ */
+function dedupePages(urls, aliases, report) {
+  if (aliases.size === 0) return urls;
+
+  const resolve = url => {
+    const seen = new Set([url]);
+    let target = url;
+    while (aliases.has(target) && !seen.has(aliases.get(target).url)) {
+      target = aliases.get(target).url;
+      seen.add(target);
+    }
+    return target;
+  };
+
+  const listed = new Set(urls);
+  const keptFor = new Map();
+  return urls.filter(url => {
+    const target = resolve(url);
+    const kept = listed.has(target) ? target : (keptFor.get(target) || url);
+    if (kept === url) {
+      keptFor.set(target, url);
+      return true;
+    }
+
+    const { reason } = aliases.get(url);
+    report.addDuplicate(url, kept, reason === 'canonical' ? `canonical URL is ${target}` : `redirects to ${target}`);
+    return false;
+  });
+}
+
+/**
+ * What run-audit needs from a sample: each group's size, and the group of every URL
+ * that made it into the final list (after the `maxUrls` cap).
+ */
+function summarizeSample({ groups, pageGroups }, finalUrls) {
+  const pages = Object.fromEntries(finalUrls.map(url => [url, pageGroups[url]]));
+  const sampledCounts = Object.values(pages).reduce((counts, pattern) => {
+    counts[pattern] = (counts[pattern] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    groups: groups
+      .map(group => ({ ...group, sampled: sampledCounts[group.pattern] || 0 }))
+      .filter(group => group.sampled > 0),
+    pageGroups: pages
+  };
+}
+
+/**
+ * Normalize and de-duplicate an explicit URL list (e.g. a saved schedule's pages) and write it
+ * where run-audit expects it. Unsafe or non-HTTP URLs are dropped; query strings are kept, as in cleanUrlList().
+ * @returns {Promise<string[]>} cleaned URL list
+ */
+export async function writeUrlList(urls, outputFile) {
+  const cleanedUrls = [...new Set(urls.map(url => normalizeUrl(url, { queryParams: ['*'] })).filter(url => url && isSafeUrl(url)))];
+  if (cleanedUrls.length === 0) {
+    throw new Error('❌ No valid URLs in the URL list');
+  }
+
+  await fs.writeFile(outputFile, cleanedUrls.join('\n'), 'utf-8');
+  writeUrlListMeta(outputFile, null);
+  console.log(`✅ Success: ${cleanedUrls.length} URLs ready in ${outputFile}`);
+  return cleanedUrls;
+}
@@ -0,0 +1,200 @@
+// lib/flows/userFlows.js
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const STEP_TIMEOUT = 10000;
+
+/**
+ * Supported step actions and the fields each one requires.
+ */
+const STEP_SCHEMA = {
+  click: ['selector'],
+  hover: ['selector'],
+  type: ['selector', 'text'],
+  select: ['selector', 'value'],
+  press: ['key'],
+  waitForSelector: ['selector'],
+  wait: ['ms'],
+  run: ['fn'],
+  audit: ['name']
+};
+
+/**
+ * Validate a flow definition and throw a precise error if it is malformed.
+ */
+function validateFlow(flow, index, source) {
+  const label = `Flow #${index + 1}${flow?.name ? ` ("${flow.name}")` : ''} in ${source}`;
+
+  if (!flow?.name) throw new Error(`❌ ${label} needs a "name".`);
+  if (!flow.url && !flow.pattern) throw new Error(`❌ ${label} needs a "url" or "pattern".`);
+  if (flow.viewports !== undefined && !(Array.isArray(flow.viewports) && flow.viewports.every(v => typeof v === 'string'))) {
+    throw new Error(`❌ ${label}: "viewports" must be an array of viewport names.`);
+  }
+  if (!Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error(`❌ ${label} needs at least one step.`);
+  }
+
+  flow.steps.forEach((step, i) => {
+    const required = STEP_SCHEMA[step?.action];
+    if (!required) {
+      throw new Error(`❌ ${label}, step ${i + 1}: unknown action "${step?.action}". Use one of: ${Object.keys(STEP_SCHEMA).join(', ')}.`);
+    }
+    const missing = required.filter(key => step[key] === undefined);
+    if (missing.length) {
+      throw new Error(`❌ ${label}, step ${i + 1} (${step.action}) is missing ${missing.join(', ')}.`);
+    }
+    if (step.action === 'run' && typeof step.fn !== 'function') {
+      throw new Error(`❌ ${label}, step ${i + 1}: "run" steps are only available in JS flow modules.`);
+    }
+  });
+
+  if (!flow.steps.some(step => step.action === 'audit')) {
+    console.warn(`⚠️ ${label} has no "audit" step, so it will not produce a snapshot.`);
+  }
+}
+
+/**
+ * Load user flows from a JSON file or a JS module (default export).
+ * Either may be an array of flows or an object with a `flows` array.
+ *
+ * Flow shape:
+ * {
+ *   "name": "mobile-menu",
+ *   "url": "https://example.com/",          // exact page, or
+ *   "pattern": "^https://example.com/shop",  // regex matched against each audited URL
+ *   "viewports": ["mobile"],                 // optional: only run at these viewport profiles
+ *   "steps": [
+ *     { "action": "click", "selector": "button.menu-toggle" },
+ *     { "action": "waitForSelector", "selector": "nav.is-open" },
+ *     { "action": "audit", "name": "menu open" },
+ *     { "action": "press", "key": "Escape" }
+ *   ]
+ * }
+ *
+ * @param {string} filePath - path to flows .json / .js / .mjs
+ * @returns {Promise<Array>} validated flows ([] if no path given)
+ */
+export async function loadFlows(filePath) {
+  if (!filePath) return [];
+
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`❌ Flow file not found: ${filePath}`);
+  }
+
+  let definition;
+  try {
+    if (resolved.endsWith('.json')) {
+      definition = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    } else {
+      definition = (await import(pathToFileURL(resolved).href)).default;
+    }
+  } catch (err) {
+    throw new Error(`❌ Failed to load flows from ${filePath}: ${err.message}`);
+  }
+
+  const flows = Array.isArray(definition) ? definition : definition?.flows;
+  if (!Array.isArray(flows)) {
+    throw new Error(`❌ ${filePath} must export an array of flows or { flows: [...] }.`);
+  }
+
+  flows.forEach((flow, index) => validateFlow(flow, index, filePath));
+  return flows;
+}
+
+/**
+ * Flows that apply to a given URL (and viewport, in multi-viewport runs), in definition order.
+ */
+export function getFlowsForUrl(flows, url, viewportName = null) {
+  const clean = url.replace(/\/$/, '');
+  return flows.filter(flow => {
+    if (viewportName && flow.viewports && !flow.viewports.includes(viewportName)) return false;
+    if (flow.url) return flow.url.replace(/\/$/, '') === clean;
+    try {
+      return new RegExp(flow.pattern).test(url);
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Execute a single (non-audit) step against the page.
+ */
+async function runStep(page, step) {
+  const timeout = step.timeout || STEP_TIMEOUT;
+
+  switch (step.action) {
+    case 'click':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.click(step.selector);
+      break;
+    case 'hover':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.hover(step.selector);
+      break;
+    case 'type':
+      await page.waitForSelector(step.selector, { visible: true, timeout });
+      await page.type(step.selector, String(step.text));
+      break;
+    case 'select':
+      await page.waitForSelector(step.selector, { timeout });
+      await page.select(step.selector, ...[].concat(step.value));
+      break;
+    case 'press':
+      await page.keyboard.press(step.key);
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { visible: step.visible ?? true, timeout });
+      break;
+    case 'wait':
+      await new Promise(resolve => setTimeout(resolve, step.ms));
+      break;
+    case 'run':
+      await step.fn(page);
+      break;
+  }
+
+  // Give transitions and re-renders a beat to settle before the next step
+  await new Promise(resolve => setTimeout(resolve, step.settle ?? 300));
+}
+
+/**
+ * Run a flow's steps in order. Each "audit" step calls `audit()` and records a named snapshot.
+ * A failing step stops the flow and is recorded as an errored snapshot so the rest of the page's
+ * results are kept.
+ *
+ * @param {Object} page - Puppeteer page, already on the flow's URL
+ * @param {Object} flow - validated flow definition
+ * @param {Function} audit - async (stateName) => { violations, incomplete, passes } for the page's current state
+ * @returns {Promise<Array>} snapshots [{ name, flow, timestamp, violations, incomplete, passes | error }]
+ */
+export async function runFlow(page, flow, audit) {
+  const snapshots = [];
+
+  for (const [i, step] of flow.steps.entries()) {
+    const name = step.action === 'audit' ? `${flow.name} / ${step.name}` : null;
+
+    try {
+      if (step.action === 'audit') {
+        snapshots.push({
+          name,
+          flow: flow.name,
+          timestamp: new Date().toISOString(),
+          ...await audit(name)
+        });
+      } else {
+        await runStep(page, step);
+      }
+    } catch (err) {
+      const reason = `Step ${i + 1} (${step.action}${step.selector ? ` ${step.selector}` : ''}) failed: ${err.message}`;
+      console.warn(`⚠️ Flow "${flow.name}" stopped on ${page.url()}`);
+      console.warn(`   Reason: ${reason}`);
+      snapshots.push({ name: name || `${flow.name} / step ${i + 1}`, flow: flow.name, error: reason });
+      break;
+    }
+  }
+
+  return snapshots;
+}
@@ -0,0 +1,100 @@
+// lib/io/auditCheckpoint.js
+import fs from 'fs';
+import path from 'path';
+
+const CHECKPOINT_FILE = '.audit-checkpoint.jsonl';
+
+/**
+ * Resolve the checkpoint path for a raw results directory
+ */
+export function getCheckpointPath(rawDir = path.resolve(process.cwd(), 'raw')) {
+  return path.join(rawDir, CHECKPOINT_FILE);
+}
+
+/**
+ * Start a fresh checkpoint. The first line records the full URL list so a
+ * resumed run audits exactly the same pages, even if urls-clean.txt changed,
+ * and the settings (from getCheckpointSettings()) its results were produced with.
+ */
+export function createCheckpoint(checkpointPath, urls, settings = null) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  const header = { type: 'run', startedAt: new Date().toISOString(), urls, settings };
+  fs.writeFileSync(checkpointPath, JSON.stringify(header) + '\n');
+}
+
+/**
+ * The run settings that change what a page result contains: the viewport profiles and the
+ * axe config (as getAxeConfigKey() identifies it).
+ */
+export function getCheckpointSettings({ viewports = null, axeConfigKey = null } = {}) {
+  return { viewports: viewports || [], axeConfigKey };
+}
+
+/**
+ * Settings that differ between a checkpoint and the run resuming it, as readable labels
+ * ([] when they match). Results from different settings can't share one raw file.
+ */
+export function diffCheckpointSettings(recorded, current) {
+  const changed = [];
+  const names = profiles => profiles.map(p => p.name).join(', ') || 'default';
+  if (JSON.stringify(recorded.viewports) !== JSON.stringify(current.viewports)) {
+    changed.push(`viewports (${names(recorded.viewports)} → ${names(current.viewports)})`);
+  }
+  if (recorded.axeConfigKey !== current.axeConfigKey) changed.push('axe options');
+  return changed;
+}
+
+/**
+ * Append one completed page result (an array of results in multi-viewport runs).
+ * One JSON object per line means a crash mid-write can only ever lose the line being written.
+ */
+export function appendCheckpoint(checkpointPath, index, result) {
+  fs.appendFileSync(checkpointPath, JSON.stringify({ type: 'page', index, result }) + '\n');
+}
+
+/**
+ * Read a checkpoint back.
+ * Returns null if missing or unreadable, otherwise { startedAt, urls, settings, completed: Map<index, result> }
+ * (settings is null for checkpoints written before they were recorded).
+ */
+export function loadCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) return null;
+
+  try {
+    const lines = fs.readFileSync(checkpointPath, 'utf-8').split('\n').filter(Boolean);
+    const header = JSON.parse(lines.shift() || 'null');
+    if (header?.type !== 'run' || !Array.isArray(header.urls)) return null;
+
+    const completed = new Map();
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        // Multi-viewport runs record an array of results (one per viewport) for each URL
+        const firstResult = [].concat(entry.result)[0];
+        if (entry.type === 'page' && header.urls[entry.index] === firstResult?.url) {
+          completed.set(entry.index, entry.result);
+        }
+      } catch {
+        // A torn final line from an interrupted write; that page is simply re-audited
+      }
+    }
+
+    return { startedAt: header.startedAt, urls: header.urls, settings: header.settings || null, completed };
+  } catch (err) {
+    console.warn(`⚠️ Failed to read audit checkpoint: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Remove the checkpoint once its results have been safely archived
+ */
+export function clearCheckpoint(checkpointPath) {
+  try {
+    fs.unlinkSync(checkpointPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`⚠️ Could not remove audit checkpoint: ${err.message}`);
+    }
+  }
+}
@@ -4,13 +4,15 @@ import { Parser as Json2CsvParser } from 'json2csv';
 
 /**
  * Writes a CSV report from enriched rules.
- * @param {Array} rules - Array of enriched rule objects
+ * @param {Array} rules - Array of enriched rule objects (violations)
  * @param {string} csvPath - Path to output CSV file
+ * @param {Array} [reviewRules] - Enriched "needs manual review" rules, written with Status "Needs review"
+ * Violations the baseline accepts are written with Status "Accepted", and who accepted them in Notes.
  */
-export function writeAuditCsv(rules, csvPath) {
+export function writeAuditCsv(rules, csvPath, reviewRules = []) {
   const csvRows = [];
 
-  rules.forEach(rule => {
+  const addRows = (rule, status) => {
     const wcagLevel = rule.wcagLevel;
     const ruleName = rule.displayName;
     const severity = rule.impact ? rule.impact.charAt(0).toUpperCase() + rule.impact.slice(1) : 'Unknown';
@@ -20,17 +22,31 @@ export function writeAuditCsv(rules, csvPath) {
       .join(' ; ');
 
     rule.occurrences.forEach(o => {
+      const acceptance = o.accepted || o.acceptanceExpired;
+      const notes = acceptance
+        ? `${o.accepted ? 'Accepted until' : 'Acceptance expired'} ${acceptance.expires} by ${acceptance.owner}: ${acceptance.reason}`
+        : o.reviewReason || '';
+
       csvRows.push({
+        Status: o.accepted ? 'Accepted' : status,
         Rule: ruleName,
         Level: wcagLevel,
         Severity: severity,
         Page: o.page,
+        State: o.state || 'Initial load',
+        Viewport: o.viewport || '',
         Element: o.html,
+        Notes: notes,
         Resources: resourcesStr
       });
     });
-  });
+  };
 
-  const csvParser = new Json2CsvParser({ fields: ['Rule', 'Level', 'Severity', 'Page', 'Element', 'Resources'] });
+  rules.forEach(rule => addRows(rule, 'Violation'));
+  reviewRules.forEach(rule => addRows(rule, 'Needs review'));
+
+  const csvParser = new Json2CsvParser({
+    fields: ['Status', 'Rule', 'Level', 'Severity', 'Page', 'State', 'Viewport', 'Element', 'Notes', 'Resources']
+  });
   fs.writeFileSync(csvPath, csvParser.parse(csvRows));
 }
@@ -18,14 +18,21 @@ export function getSiteUrl(rawResults) {
 }
 
 /**
- * Create all audit file paths and ensure results directory exists
+ * Filename-safe name of a site, used in report file names
  */
-export function createAuditFiles({ siteUrl, cwd = process.cwd() }) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const siteSlug = siteUrl
+export function getSiteSlug(siteUrl) {
+  return siteUrl
     .replace(/^https?:\/\//, '')
     .replace(/\/$/, '')
     .replace(/[^\w-]/g, '_');
+}
+
+/**
+ * Create all audit file paths and ensure results directory exists
+ */
+export function createAuditFiles({ siteUrl, cwd = process.cwd() }) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const siteSlug = getSiteSlug(siteUrl);
 
   const baseName = `audit-results-${siteSlug}-${timestamp}`;
   const resultsDir = path.resolve(cwd, 'results');
@@ -63,9 +70,43 @@ export function readPreviousAudit(latestJsonPath) {
 }
 
 /**
- * Write the current audit JSON and update the "latest" pointer
+ * The Date of a report timestamp, or null. Report timestamps are filename-safe ISO dates: 2025-01-01T10-00-00-000Z
  */
-export function writeAuditJson({ jsonPath, latestJsonPath, data }) {
+export function parseReportTimestamp(timestamp) {
+  const match = String(timestamp || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`) : null;
+}
+
+/**
+ * When the site's "latest" audit ran (the baseline incremental audits start from), or null if never
+ */
+export function getPreviousAuditTime(siteUrl, cwd = process.cwd()) {
+  const latest = readPreviousAudit(path.resolve(cwd, 'results', `latest-${getSiteSlug(siteUrl)}.json`));
+  return parseReportTimestamp(latest?.timestamp);
+}
+
+/**
+ * Write the current audit JSON and update the "latest" pointer.
+ * Incremental audits (`updateLatest: false`) only cover changed pages, so they leave the
+ * full audit in place as the baseline for diffs.
+ */
+export function writeAuditJson({ jsonPath, latestJsonPath, data, updateLatest = true }) {
   fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
-  fs.copyFileSync(jsonPath, latestJsonPath);
+  if (updateLatest) fs.copyFileSync(jsonPath, latestJsonPath);
+}
+
+/**
+ * Path of a processed audit in the results directory, from its run ID as listed in the audit
+ * history ("audit-results-example_com-2025-01-01T10-00-00-000Z", with or without .json).
+ */
+export function findAuditFile(runId, resultsDir = path.resolve(process.cwd(), 'results')) {
+  if (!runId || path.basename(runId) !== runId) {
+    throw new Error(`❌ Invalid audit ID: "${runId}"`);
+  }
+
+  const file = path.join(resultsDir, runId.endsWith('.json') ? runId : `${runId}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`❌ No processed audit "${runId}" in ${resultsDir}.`);
+  }
+  return file;
 }
@@ -8,7 +8,9 @@ import * as UI from '../ui/reportComponents.js';
 export function writeAuditHtml({ 
   htmlPath, siteUrl, rules, priorityRules, 
   diffTotals, pagesAudited, prioritySummary,
-  fullyResolvedRules = [] 
+  fullyResolvedRules = [], axeConfig = [], configChanged = false,
+  reviewRules = [], coverage = null, viewports = [], pageGroups = [], changedSince = null, pageInventory = null,
+  failedPages = [], baseline = null
 }) {
   const auditDate = new Date().toLocaleString();
   const activeRules = rules.filter(r => r.occurrences?.length > 0);
@@ -62,6 +64,14 @@ export function writeAuditHtml({
         ${UI.SummaryCard('Active Rules', rules.length)}
     </section>`;
 
+  html += UI.FailedPages(failedPages);
+  html += UI.IncrementalNotice(changedSince);
+  html += UI.AxeConfigNotice(axeConfig, configChanged);
+  html += UI.BaselineNotice(baseline);
+  html += UI.ViewportSummary(rules, viewports, diffTotals.byViewport);
+  html += UI.PageGroupSummary(pageGroups);
+  html += UI.PageInventory(pageInventory);
+
   if (activeRules.length >= 10) {
     html += UI.PrioritySection(priorityRules, prioritySummary);
   }
@@ -75,8 +85,8 @@ export function writeAuditHtml({
         <h2 class="success-title">Zero Automated Issues Detected</h2>
         <p class="success-message">Manual review is recommended for full compliance.</p>
     </section>`;
-  } else if (hasMultipleSeverities) {
-    html += UI.FilterBar(rules, impacts, hasNewRules);
+  } else if (hasMultipleSeverities || viewports.length > 1) {
+    html += UI.FilterBar(rules, impacts, hasNewRules, viewports);
   }
 
   html += `
@@ -84,6 +94,8 @@ export function writeAuditHtml({
         ${rules.map(rule => UI.Rule(rule)).join('')}
     </div>`;
 
+  html += UI.ReviewSection(reviewRules, coverage);
+
   if (fullyResolvedRules.length > 0) {
     html += `
     <section class="resolved-section">
@@ -104,8 +116,9 @@ export function writeAuditHtml({
         </p>
         <p>© ${new Date().getFullYear()}</p>
     </footer>
+    ${UI.Lightbox()}
     </main>
-    <script>${UI.FilterScript()}</script>
+    <script>${UI.FilterScript()}${UI.LightboxScript()}</script>
   </body>
   </html>`;
 
@@ -0,0 +1,100 @@
+// lib/io/auditJunit.js
+import fs from 'fs';
+import { escapeHtml } from '../utils/security.js';
+
+const cleanPage = page => page.replace(/\/$/, '').split('#')[0];
+
+// XML text and attribute values: escaped, without the control characters XML 1.0 forbids
+const xml = str => escapeHtml(String(str ?? '').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+
+const describeOccurrence = o => [
+  [].concat(o.target).join(' > '),
+  o.state ? `state: ${o.state}` : null,
+  o.viewport ? `viewport: ${o.viewport}` : null,
+  o.isNewOccurrence ? 'new' : null,
+  o.acceptanceExpired ? `acceptance expired ${o.acceptanceExpired.expires}` : null
+].filter(Boolean).join(' | ') + (o.html ? `\n    ${o.html}` : '');
+
+function buildTestcase(page, rule, occurrences) {
+  const name = xml(`${rule.id}: ${rule.plainText?.name || rule.id}`);
+  const open = occurrences.filter(o => !o.accepted);
+
+  // Every occurrence on the page is accepted in the baseline: reported, but not failed
+  if (open.length === 0) {
+    const { owner, expires } = occurrences[0].accepted;
+    return `    <testcase classname="${xml(page)}" name="${name}">
+      <skipped message="${xml(`Accepted by ${owner} until ${expires}`)}"/>
+    </testcase>`;
+  }
+
+  const details = [
+    `${open.length} element(s) on ${page}:`,
+    ...open.map(o => `  - ${describeOccurrence(o)}`),
+    ...rule.resources.filter(r => r.url).map(r => `${r.label}: ${r.url}`)
+  ].join('\n');
+
+  return `    <testcase classname="${xml(page)}" name="${name}">
+      <failure type="${xml(rule.impact || 'unknown')}" message="${xml(`${open.length} element(s) fail ${rule.id} (${rule.impact || 'unknown'}, ${rule.wcagLevel})`)}">${xml(details)}</failure>
+    </testcase>`;
+}
+
+/**
+ * Build a JUnit XML report: one testsuite per audited page, with one failing testcase per rule
+ * violated on it. Rules whose occurrences on a page are all accepted in the baseline are skipped
+ * testcases, and pages that could not be audited get a testcase with an error.
+ *
+ * @param {Object} options
+ * @param {string} options.siteUrl
+ * @param {Array} options.rules - enriched, diffed rules (violations)
+ * @param {Array} options.pages - URLs of the pages audited
+ * @param {Array} [options.failedPages] - from collectFailedPages()
+ */
+export function buildAuditJunit({ siteUrl, rules, pages, failedPages = [] }) {
+  const timestamp = new Date().toISOString().replace(/\.\d+Z$/, '');
+  const suites = new Map([...new Set(pages.map(cleanPage))].map(page => [page, new Map()]));
+
+  rules.forEach(rule => rule.occurrences.forEach(o => {
+    const page = cleanPage(o.page);
+    if (!suites.has(page)) suites.set(page, new Map());
+    const byRule = suites.get(page);
+    if (!byRule.has(rule.id)) byRule.set(rule.id, { rule, occurrences: [] });
+    byRule.get(rule.id).occurrences.push(o);
+  }));
+
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+  const testsuites = [...suites.entries()].map(([page, byRule]) => {
+    const testcases = [...byRule.values()].map(({ rule, occurrences }) => buildTestcase(page, rule, occurrences));
+    const skipped = [...byRule.values()].filter(({ occurrences }) => occurrences.every(o => o.accepted)).length;
+    const counts = { tests: testcases.length, failures: testcases.length - skipped, errors: 0, skipped };
+    Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+
+    const attributes = `name="${xml(page)}" tests="${counts.tests}" failures="${counts.failures}" errors="0" skipped="${skipped}" timestamp="${timestamp}"`;
+    // A page without violations is an empty, passing suite
+    if (testcases.length === 0) return `  <testsuite ${attributes}/>`;
+    return `  <testsuite ${attributes}>
+${testcases.join('\n')}
+  </testsuite>`;
+  });
+
+  failedPages.forEach(p => {
+    totals.tests++;
+    totals.errors++;
+    const where = p.viewport ? `${p.url} (${p.viewport})` : p.url;
+    testsuites.push(`  <testsuite name="${xml(where)}" tests="1" failures="0" errors="1" skipped="0" timestamp="${timestamp}">
+    <testcase classname="${xml(cleanPage(p.url))}" name="page could not be audited">
+      <error type="${xml(p.code)}" message="${xml(`${p.label}: ${p.message}`)}"/>
+    </testcase>
+  </testsuite>`);
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${xml(`Accessibility audit of ${siteUrl}`)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">
+${testsuites.join('\n')}
+</testsuites>
+`;
+}
+
+export function writeAuditJunit({ junitPath, ...report }) {
+  fs.writeFileSync(junitPath, buildAuditJunit(report));
+}
@@ -0,0 +1,66 @@
+// lib/io/auditRun.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getCheckpointPath } from './auditCheckpoint.js';
+
+const RUNS_DIR = 'runs';
+const MANIFEST_FILE = 'run.json';
+
+/**
+ * New run ID: a filename-safe timestamp plus a random suffix, so runs sort by start time.
+ */
+export function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Working files for one run, kept together under raw/runs/<runId>/ so concurrent
+ * runs never read each other's URL list, checkpoint or raw results.
+ */
+export function getRunPaths(runId, rawDir = path.resolve(process.cwd(), 'raw')) {
+  if (!runId || path.basename(runId) !== runId) {
+    throw new Error(`❌ Invalid run ID: "${runId}"`);
+  }
+
+  const dir = path.join(rawDir, RUNS_DIR, runId);
+  return {
+    dir,
+    urlsFile: path.join(dir, 'urls.txt'),
+    checkpointFile: getCheckpointPath(dir),
+    manifestFile: path.join(dir, MANIFEST_FILE)
+  };
+}
+
+/**
+ * Read a run's manifest: { runId, site, createdAt, rawFile? }. Returns null if the run is unknown.
+ */
+export function readRunManifest(runId, rawDir) {
+  const { manifestFile } = getRunPaths(runId, rawDir);
+  if (!fs.existsSync(manifestFile)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+  } catch (err) {
+    throw new Error(`❌ Failed to read run manifest ${manifestFile}: ${err.message}`);
+  }
+}
+
+/**
+ * Merge fields into a run's manifest, creating the run directory if needed.
+ * Each pipeline stage records what the next one needs (site → raw results file).
+ */
+export function updateRunManifest(runId, patch, rawDir) {
+  const { dir, manifestFile } = getRunPaths(runId, rawDir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = {
+    runId,
+    createdAt: new Date().toISOString(),
+    ...readRunManifest(runId, rawDir),
+    ...patch
+  };
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
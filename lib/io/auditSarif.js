@@ -0,0 +1,127 @@
+// lib/io/auditSarif.js
+import fs from 'fs';
+import { getOccurrenceKey } from '../diff/diffRules.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF has three result levels; serious issues block users as surely as critical ones
+const IMPACT_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+function buildRule(rule) {
+  const resources = rule.resources.filter(r => r.url);
+  const { name = rule.id, description = '', rationale = '' } = rule.plainText || {};
+
+  return {
+    id: rule.id,
+    name: rule.id,
+    shortDescription: { text: name },
+    fullDescription: { text: description || name },
+    helpUri: resources[0]?.url,
+    help: {
+      text: [rationale, ...resources.map(r => `${r.label}: ${r.url}`)].filter(Boolean).join('\n'),
+      markdown: [rationale, ...resources.map(r => `- [${r.label}](${r.url})`)].filter(Boolean).join('\n\n')
+    },
+    defaultConfiguration: { level: IMPACT_LEVELS[rule.impact] || 'warning' },
+    properties: {
+      tags: rule.tags || [],
+      impact: rule.impact || null,
+      wcagLevel: rule.wcagLevel
+    }
+  };
+}
+
+function buildResult(rule, ruleIndex, o, { review, compared }) {
+  const selector = [].concat(o.target).join(' > ');
+  const where = [o.state && `state "${o.state}"`, o.viewport && `viewport ${o.viewport}`].filter(Boolean).join(', ');
+  const acceptance = o.accepted;
+
+  return {
+    ruleId: rule.id,
+    ruleIndex,
+    ...(review ? { kind: 'review', level: 'none' } : { kind: 'fail', level: IMPACT_LEVELS[rule.impact] || 'warning' }),
+    message: {
+      text: `${review ? 'Needs review' : rule.plainText?.name || rule.id}: ${selector}${where ? ` (${where})` : ''}${o.reviewReason ? `. ${o.reviewReason}` : ''}`
+    },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: o.page },
+        ...(o.html ? { region: { snippet: { text: o.html } } } : {})
+      },
+      logicalLocations: [{ fullyQualifiedName: selector, kind: 'element' }]
+    }],
+    // The key the diff and the baseline match occurrences by
+    partialFingerprints: { 'occurrenceKey/v1': getOccurrenceKey(o.page, rule.id, o) },
+    // Only meaningful against a previous audit; a first audit leaves it out
+    ...(compared && !review ? { baselineState: o.isNewOccurrence ? 'new' : 'unchanged' } : {}),
+    ...(acceptance ? {
+      suppressions: [{
+        kind: 'external',
+        status: 'accepted',
+        justification: `${acceptance.reason} (${acceptance.owner}, until ${acceptance.expires})`
+      }]
+    } : {}),
+    properties: {
+      impact: rule.impact || null,
+      ...(o.state ? { state: o.state } : {}),
+      ...(o.viewport ? { viewport: o.viewport } : {})
+    }
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log of an audit: the rules it found, with their help links, and one result
+ * per occurrence located by page URL and selector. Occurrences accepted in the baseline carry an
+ * accepted suppression, "needs review" occurrences are results of kind "review", and pages that
+ * could not be audited are tool notifications.
+ *
+ * @param {Object} options
+ * @param {Array} options.rules - enriched, diffed rules (violations)
+ * @param {Array} [options.reviewRules] - enriched "needs review" rules
+ * @param {Array} [options.failedPages] - from collectFailedPages()
+ * @param {boolean} [options.compared] - the diff found a previous audit, so results get a baselineState
+ * @param {string} [options.toolVersion]
+ */
+export function buildAuditSarif({ rules, reviewRules = [], failedPages = [], compared = false, toolVersion }) {
+  const ruleIndexes = new Map();
+  const driverRules = [];
+  const indexOf = rule => {
+    if (!ruleIndexes.has(rule.id)) {
+      ruleIndexes.set(rule.id, driverRules.length);
+      driverRules.push(buildRule(rule));
+    }
+    return ruleIndexes.get(rule.id);
+  };
+
+  const results = [
+    ...rules.flatMap(rule => rule.occurrences.map(o => buildResult(rule, indexOf(rule), o, { review: false, compared }))),
+    ...reviewRules.flatMap(rule => rule.occurrences.map(o => buildResult(rule, indexOf(rule), o, { review: true, compared })))
+  ];
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'accessibility-audit-tool',
+          ...(toolVersion ? { version: toolVersion } : {}),
+          rules: driverRules
+        }
+      },
+      invocations: [{
+        executionSuccessful: true,
+        toolExecutionNotifications: failedPages.map(p => ({
+          level: 'error',
+          descriptor: { id: p.code },
+          message: { text: `${p.url}${p.viewport ? ` (${p.viewport})` : ''} could not be audited. ${p.label}: ${p.message}` },
+          locations: [{ physicalLocation: { artifactLocation: { uri: p.url } } }]
+        }))
+      }],
+      results
+    }]
+  };
+}
+
+export function writeAuditSarif({ sarifPath, ...report }) {
+  fs.writeFileSync(sarifPath, JSON.stringify(buildAuditSarif(report), null, 2));
+}
@@ -0,0 +1,45 @@
+// lib/io/auditScreenshots.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Copy the screenshots referenced by a run's occurrences into
+ * results/screenshots/<baseName>/ so they live next to the report that shows them.
+ * Returns NEW rules whose `occurrence.screenshot` is relative to the results directory;
+ * occurrences whose screenshot file is missing lose the field.
+ *
+ * @param {Array} rules - rules whose occurrences may carry `screenshot` (relative to cwd)
+ * @param {Object} options
+ * @param {string} options.resultsDir - results directory
+ * @param {string} options.baseName - report base name, used as the screenshot folder
+ * @param {string} [options.cwd=process.cwd()] - directory raw screenshot paths are relative to
+ * @returns {Array} rules with published screenshot paths
+ */
+export function publishScreenshots(rules, { resultsDir, baseName, cwd = process.cwd() }) {
+  const hasScreenshots = rules.some(r => r.occurrences.some(o => o.screenshot));
+  if (!hasScreenshots) return rules;
+
+  const relativeDir = `screenshots/${baseName}`;
+  const targetDir = path.join(resultsDir, 'screenshots', baseName);
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  return rules.map(rule => ({
+    ...rule,
+    occurrences: rule.occurrences.map(o => {
+      if (!o.screenshot) return o;
+
+      const { screenshot, ...rest } = o;
+      const source = path.resolve(cwd, screenshot);
+      if (!fs.existsSync(source)) return rest;
+
+      const fileName = path.basename(source);
+      try {
+        fs.copyFileSync(source, path.join(targetDir, fileName));
+        return { ...rest, screenshot: `${relativeDir}/${fileName}` };
+      } catch (err) {
+        console.warn(`⚠️ Could not copy screenshot ${screenshot}: ${err.message}`);
+        return rest;
+      }
+    })
+  }));
+}
@@ -0,0 +1,81 @@
+// lib/io/compareHtml.js
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml } from '../utils/security.js';
+import { parseReportTimestamp } from './auditFiles.js';
+import * as UI from '../ui/reportComponents.js';
+
+const describeRun = run => {
+  const date = parseReportTimestamp(run.timestamp);
+  return `${date ? date.toLocaleString() : escapeHtml(run.id)} (${run.pagesAudited ?? '?'} pages${run.incremental ? ', incremental' : ''})`;
+};
+
+/**
+ * Render the HTML report of compareAudits(): totals, changes by rule and by page, the head
+ * audit's issues marked new or moved, and the base audit's issues that were resolved.
+ */
+export function buildCompareHtml(comparison) {
+  const { site, base, head, totals, rules, byRule, byPage, resolvedOccurrences, fullyResolvedRules, axeConfig, configChanged, comparedPages } = comparison;
+
+  const cssPath = path.join(process.cwd(), 'frontend', 'public', 'audit.css');
+  let cssContent = '';
+  try {
+    cssContent = fs.readFileSync(cssPath, 'utf8');
+  } catch (err) {
+    console.warn("⚠️ Could not find audit.css to embed. Report will have no styling.");
+  }
+
+  const safeUrl = escapeHtml(site || 'Unknown site');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Audit Comparison for ${safeUrl}</title>
+    <style>
+      ${cssContent}
+    </style>
+</head>
+<body class="results-page">
+<main class="layout-container layout-container--wide results-shell">
+    <h1>Audit Comparison for ${safeUrl}</h1>
+    <p><strong>Base:</strong> ${describeRun(base)}<br><strong>Head:</strong> ${describeRun(head)}</p>
+    ${comparedPages !== null ? `<p><em>An incremental audit is involved, so only the ${comparedPages} page(s) both audits checked are compared.</em></p>` : ''}
+
+    <section class="audit-summary-grid">
+        ${UI.SummaryCard('New Issues', totals.new, 'status--new', '▲')}
+        ${UI.SummaryCard('Resolved Issues', totals.resolved, 'status--fixed', '▼')}
+        ${UI.SummaryCard('Persisted Issues', totals.persisted)}
+        ${UI.SummaryCard('Rules Fully Resolved', fullyResolvedRules.length)}
+    </section>
+
+    ${UI.AxeConfigNotice(axeConfig, configChanged)}
+    ${UI.ComparisonByRule(byRule)}
+    ${UI.ComparisonByPage(byPage)}
+
+    ${rules.length > 0 ? `
+    <h2>Issues in the Head Audit</h2>
+    <div id="rules-container">
+        ${rules.map(rule => UI.Rule(rule)).join('')}
+    </div>` : ''}
+
+    ${UI.ResolvedOccurrences(resolvedOccurrences, byRule)}
+
+    <footer class="report-footer">
+        <p>
+            <strong>Audit Methodology:</strong> Occurrences are matched by page, rule and element. Persisted issues include
+            elements found under a changed selector ("moved").
+        </p>
+        <p>© ${new Date().getFullYear()}</p>
+    </footer>
+    ${UI.Lightbox()}
+    </main>
+    <script>${UI.LightboxScript()}</script>
+  </body>
+  </html>`;
+}
+
+export function writeCompareHtml({ htmlPath, comparison }) {
+  fs.writeFileSync(htmlPath, buildCompareHtml(comparison));
+}
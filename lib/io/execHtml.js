@@ -3,9 +3,11 @@ import fs from 'fs';
 import path from 'path';
 import { getHistoryData } from './historyDiscovery.js';
 import { escapeHtml } from '../utils/security.js';
+import { countPages } from '../utils.js';
+import { computeExecutiveScore, IMPACT_PENALTIES } from '../aggregate/executiveScore.js';
 import * as ExecUI from '../ui/execReportComponents.js';
 
-export function writeExecHtml({ htmlPath, siteUrl, rawResults, rules }) {
+export function writeExecHtml({ htmlPath, siteUrl, rawResults, rules, failedPages = [] }) {
 
   // 1. EMBED LOGIC: Follows saved instructions to embed CSS directly
   const projectRoot = process.cwd();
@@ -20,31 +22,28 @@ export function writeExecHtml({ htmlPath, siteUrl, rawResults, rules }) {
 
   const safeUrl = escapeHtml(siteUrl);
   const auditDate = new Date().toLocaleDateString();
-  const totalPages = rawResults.length;
+  // Pages that failed to load would dilute the score without having been checked
+  const totalPages = countPages(rawResults.filter(p => !p.error));
 
-  const weights = { critical: 10, serious: 5, moderate: 2, minor: 1 };
-  const totalPenalty = rules.reduce((acc, r) => acc + (r.occurrences.length * (weights[r.impact] || 1)), 0);
-  
-  // Use totalPages > 0 to prevent division by zero or NaN
-  const rawAvgPenalty = totalPages > 0 ? totalPenalty / totalPages : 0;
-  const formattedScore = rawAvgPenalty.toFixed(1);
-  const numericScore = parseFloat(formattedScore);
-
-  let grade = 'F';
-  if (numericScore <= 2.0) grade = 'A';
-  else if (numericScore <= 5.0) grade = 'B';
-  else if (numericScore <= 15.0) grade = 'C';
-  else if (numericScore <= 40.0) grade = 'D';
-  else grade = 'F';
-
-  const topPages = rawResults
-    .map(p => {
-      const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
-      p.violations.forEach(v => {
-        counts[v.impact] += v.nodes.length;
-      });
+  const weights = IMPACT_PENALTIES;
+  const { score, grade, totalPenalty } = computeExecutiveScore(rules, totalPages);
+  const formattedScore = score.toFixed(1);
+
+  // One entry per URL: multi-viewport runs add up every viewport's results for the page
+  const countsByUrl = new Map();
+  rawResults.forEach(p => {
+    if (!countsByUrl.has(p.url)) countsByUrl.set(p.url, { critical: 0, serious: 0, moderate: 0, minor: 0 });
+    const counts = countsByUrl.get(p.url);
+    const snapshots = [p.violations || [], ...(p.states || []).map(s => s.violations || [])];
+    snapshots.flat().forEach(v => {
+      counts[v.impact] += v.nodes.length;
+    });
+  });
+
+  const topPages = [...countsByUrl.entries()]
+    .map(([url, counts]) => {
       const score = Object.keys(counts).reduce((acc, key) => acc + (counts[key] * weights[key]), 0);
-      return { url: p.url, score, counts };
+      return { url, score, counts };
     })
     .sort((a, b) => {
       if (a.counts.critical > 0 && b.counts.critical === 0) return -1;
@@ -83,6 +82,11 @@ export function writeExecHtml({ htmlPath, siteUrl, rawResults, rules }) {
         ${ExecUI.Header(safeUrl, auditDate)}
         ${ExecUI.ScoreHero(grade, formattedScore, totalPages, totalPenalty)}
 
+        ${failedPages.length > 0 ? `
+        <div class="full-width-section" style="margin-bottom: var(--space-xl);">
+            ${ExecUI.FailedPages(failedPages)}
+        </div>` : ''}
+
         <div class="full-width-section" style="margin-bottom: var(--space-xl);">
             ${ExecUI.TopPages(topPages)}
         </div>
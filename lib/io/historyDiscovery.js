@@ -1,6 +1,7 @@
 // lib/history/historyDiscovery.js
 import fs from 'fs';
 import path from 'path';
+import { countPages } from '../utils.js';
 
 const HISTORY_LIMIT = 10;
 const IMPACT_WEIGHTS = { 
@@ -31,6 +32,8 @@ export function getHistoryData(resultsDir, siteSlug) {
                 const filePath = path.join(resultsDir, f);
                 try {
                     const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                    // Incremental audits cover only changed pages, so they would skew the trend
+                    if (data.incremental) return null;
                     const dateRaw = data.timestamp || fs.statSync(filePath).mtime.toISOString();
                     
                     let weightedTotal = 0;
@@ -38,7 +41,7 @@ export function getHistoryData(resultsDir, siteSlug) {
                     let pageCount = 0; // 🟢 Start at 0, not 1
 
                     if (Array.isArray(data)) {
-                        pageCount = data.length;
+                        pageCount = countPages(data);
                         data.forEach(page => {
                             page.violations?.forEach(v => {
                                 const count = v.nodes?.length || 0;
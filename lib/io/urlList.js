@@ -0,0 +1,93 @@
+// lib/io/urlList.js
+import xml2js from 'xml2js';
+import { normalizeUrl } from '../fetchUrls.js';
+import { isSafeUrl } from '../utils/security.js';
+
+export const MAX_URL_LIST = 5000;
+
+const LIST_FORMATS = ['txt', 'csv', 'xml'];
+
+/**
+ * Format of an uploaded URL list, from its file name or (for pasted text) its content.
+ */
+function detectFormat(content, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (fileName && LIST_FORMATS.includes(extension)) return extension;
+  return content.trimStart().startsWith('<') ? 'xml' : 'txt';
+}
+
+/**
+ * Every cell of a CSV that holds a URL, so a header row or extra columns (title, owner…) are ignored.
+ */
+function urlsFromCsv(content) {
+  return content
+    .split(/\r?\n/)
+    .flatMap(line => line.split(','))
+    .map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim())
+    .filter(cell => /^https?:\/\//i.test(cell));
+}
+
+async function urlsFromSitemap(content) {
+  let parsed;
+  try {
+    parsed = await xml2js.parseStringPromise(content);
+  } catch (err) {
+    throw new Error(`❌ Could not parse the sitemap XML: ${err.message.split('\n')[0]}`);
+  }
+
+  if (parsed?.sitemapindex) {
+    throw new Error('❌ This is a sitemap index. Upload one of the sitemaps it lists instead.');
+  }
+  if (!parsed?.urlset) {
+    throw new Error('❌ The XML file is not a sitemap (no <urlset>).');
+  }
+  return (parsed.urlset.url || []).map(u => u.loc?.[0]?.trim()).filter(Boolean);
+}
+
+/**
+ * Read the URLs from an uploaded or pasted list: plain text (one per line, `#` comments),
+ * CSV (any cell holding a URL) or a sitemap.xml `<urlset>`.
+ * @param {string} content - file contents or pasted text
+ * @param {string} [fileName] - picks the format by extension; otherwise it is guessed
+ * @returns {Promise<string[]>} the entries as written, not yet validated (see cleanUrlList)
+ */
+export async function parseUrlList(content, fileName = '') {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('❌ The URL list is empty.');
+  }
+
+  const format = detectFormat(content, fileName);
+  if (format === 'xml') return urlsFromSitemap(content);
+  if (format === 'csv') return urlsFromCsv(content);
+
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Validate a URL list with the same rules as crawled URLs: each entry must normalize
+ * to an http(s) URL and be safe to fetch. Duplicates (after normalization) are dropped.
+ * Query strings are kept, since the list names exactly the pages to audit.
+ * Throws, naming the first few rejected entries, if any entry is invalid.
+ * @returns {string[]} normalized URLs in their original order
+ */
+export function cleanUrlList(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('❌ The URL list is empty.');
+  }
+
+  const rejected = entries.filter(entry => typeof entry !== 'string' || !normalizeUrl(entry) || !isSafeUrl(entry));
+  if (rejected.length > 0) {
+    const shown = rejected.slice(0, 5).map(String).join(', ');
+    const more = rejected.length > 5 ? ` and ${rejected.length - 5} more` : '';
+    throw new Error(`❌ Invalid or unsafe URLs in the list: ${shown}${more}`);
+  }
+
+  const urls = [...new Set(entries.map(entry => normalizeUrl(entry, { queryParams: ['*'] })))];
+  if (urls.length > MAX_URL_LIST) {
+    throw new Error(`❌ The URL list has ${urls.length} URLs; the limit is ${MAX_URL_LIST}.`);
+  }
+  return urls;
+}
@@ -0,0 +1,65 @@
+// lib/io/urlListMeta.js
+import fs from 'fs';
+
+/**
+ * How a URL list was chosen lives next to it (urls.txt → urls.meta.json), so run-audit
+ * can tag each page result with it:
+ *   { groups: [{ pattern, total, sampled }], pageGroups: { [url]: pattern } }  - sampled lists (--sample)
+ *   { changedSince }  - incremental lists: only pages whose sitemap lastmod is newer (ISO date)
+ */
+export function getUrlListMetaPath(urlsFile) {
+  return urlsFile.replace(/(\.txt)?$/, '.meta.json');
+}
+
+/**
+ * Write the metadata for a URL list. With none, any file left by a previous run is removed.
+ */
+export function writeUrlListMeta(urlsFile, meta) {
+  const metaFile = getUrlListMetaPath(urlsFile);
+  if (!meta || Object.keys(meta).length === 0) {
+    fs.rmSync(metaFile, { force: true });
+    return;
+  }
+  fs.writeFileSync(metaFile, JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Read the metadata for a URL list, or {} if there is none.
+ */
+export function readUrlListMeta(urlsFile) {
+  const metaFile = getUrlListMetaPath(urlsFile);
+  if (!fs.existsSync(metaFile)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(metaFile, 'utf-8'));
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable URL list metadata ${metaFile}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * The crawl report for a URL list (urls.txt → urls.crawl.json): see lib/crawl/crawlReport.js.
+ */
+export function getCrawlReportPath(urlsFile) {
+  return urlsFile.replace(/(\.txt)?$/, '.crawl.json');
+}
+
+export function writeCrawlReport(urlsFile, report) {
+  fs.writeFileSync(getCrawlReportPath(urlsFile), JSON.stringify(report, null, 2));
+}
+
+/**
+ * Read the crawl report for a URL list, or null if there is none.
+ */
+export function readCrawlReport(urlsFile) {
+  const reportFile = getCrawlReportPath(urlsFile);
+  if (!fs.existsSync(reportFile)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(reportFile, 'utf-8'));
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable crawl report ${reportFile}: ${err.message}`);
+    return null;
+  }
+}
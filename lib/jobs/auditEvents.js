@@ -0,0 +1,64 @@
+// lib/jobs/auditEvents.js
+
+/**
+ * In-memory fan-out of audit job events to live subscribers (e.g. SSE connections).
+ *
+ * Every event gets an increasing `id`, so a reconnecting client can ask for what it missed.
+ * Replayable events are buffered per job (the newest `maxEventsPerJob`, for the
+ * newest `maxJobs` jobs), so a client that connects mid-audit can rebuild its page log.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEventsPerJob=1000]
+ * @param {number} [options.maxJobs=20]
+ */
+export function createEventHub({ maxEventsPerJob = 1000, maxJobs = 20 } = {}) {
+  let lastId = 0;
+  const listeners = new Set();
+  const buffers = new Map();
+
+  function remember(event) {
+    if (!buffers.has(event.jobId)) {
+      buffers.set(event.jobId, []);
+      if (buffers.size > maxJobs) buffers.delete(buffers.keys().next().value);
+    }
+
+    const buffer = buffers.get(event.jobId);
+    buffer.push(event);
+    if (buffer.length > maxEventsPerJob) buffer.shift();
+  }
+
+  return {
+    /**
+     * Send an event to every subscriber. `replay: false` is for snapshots that are
+     * superseded by the next one (e.g. the whole job), which are not worth buffering.
+     */
+    publish(jobId, type, data = {}, { replay = true } = {}) {
+      const event = { id: ++lastId, jobId, type, time: new Date().toISOString(), ...data };
+      if (replay) remember(event);
+
+      listeners.forEach(listener => {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error('⚠️ Audit event listener failed:', err);
+        }
+      });
+      return event;
+    },
+
+    /**
+     * Buffered events of a job with an id greater than `afterId`, oldest first.
+     */
+    replay(jobId, afterId = 0) {
+      return (buffers.get(jobId) || []).filter(event => event.id > afterId);
+    },
+
+    /**
+     * Returns a function that unsubscribes the listener.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
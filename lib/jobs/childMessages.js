@@ -0,0 +1,34 @@
+// lib/jobs/childMessages.js
+
+/**
+ * Typed messages from the audit scripts (run-audit, process-results) to the server that
+ * spawned them, sent over Node's IPC channel rather than mixed into their logs.
+ * Run from the CLI there is no channel, and sending does nothing.
+ *
+ *   { type: 'page-started', url, index, total }
+ *   { type: 'page-finished', url, index, viewport, status, violations, occurrences, incomplete }
+ *   { type: 'page-failed', url, index, viewport, reason, code } - code: see lib/errors/auditErrors.js
+ *   { type: 'crawl-summary', lines, stats } - run-audit: rate limiting, robots.txt skips and 429/503 backoffs
+ *   { type: 'artifacts', files }  - run-audit: { raw }; process-results: { json, csv, html, executive[, junit, sarif] }
+ *   { type: 'error', message }    - why the script is about to exit with a failure
+ */
+export const CHILD_MESSAGE_TYPES = ['page-started', 'page-finished', 'page-failed', 'crawl-summary', 'artifacts', 'error'];
+
+/**
+ * Send a message to the parent process, if there is one listening.
+ * Resolves once the message is handed to the channel, so it is safe to exit afterwards.
+ */
+export function sendToParent(message) {
+  if (typeof process.send !== 'function' || !process.connected) return Promise.resolve(false);
+
+  return new Promise(resolve => {
+    process.send(message, err => resolve(!err));
+  });
+}
+
+/**
+ * Whether something received over IPC is one of the messages above.
+ */
+export function isChildMessage(message) {
+  return Boolean(message) && typeof message === 'object' && CHILD_MESSAGE_TYPES.includes(message.type);
+}
@@ -0,0 +1,257 @@
+// lib/jobs/jobQueue.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const MAX_FINISHED_JOBS = 100;
+
+/**
+ * Short, sortable job ID: creation time plus a random suffix.
+ */
+function createJobId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * A persistent FIFO queue of audit jobs, run `concurrency` at a time.
+ *
+ * Milestones (creation, status and stage changes) are written to `stateFile`, so queued jobs
+ * survive a server restart and run once `start()` is called. Frequent progress updates
+ * (`progress()`) stay in memory and are only saved with the next milestone.
+ * Jobs that were running when the server stopped are marked as errors (their child
+ * processes died with it) and handed to `onSettled` like any other failed job.
+ *
+ * Job shape:
+ *   { id, url, status: 'queued' | 'running' | 'done' | 'error' | 'cancelled',
+ *     message, createdAt, startedAt, finishedAt, ...whatever the caller stores }
+ *
+ * @param {Object} options
+ * @param {string} options.stateFile - JSON file the queue is persisted to
+ * @param {number} [options.concurrency=1] - jobs allowed to run at once
+ * @param {Function} options.runJob - async (job, signal) => patch merged into the job when it succeeds
+ *   (it may replace the default 'Audit complete!' message). `signal` is aborted when the job is cancelled.
+ * @param {Function} [options.onSettled] - (job) => patch | undefined, called once a job is done, failed or cancelled
+ * @param {Function} [options.onChange] - (job) => void, called with a copy of the job after every change
+ */
+export function createJobQueue({ stateFile, concurrency = 1, runJob, onSettled = () => {}, onChange = () => {} }) {
+  let jobs = [];
+  let started = false;
+  let stopping = false;
+  const controllers = new Map();
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify({ jobs }, null, 2));
+    } catch (err) {
+      console.error('❌ Failed to save audit jobs:', err);
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(stateFile)) return;
+    try {
+      jobs = JSON.parse(fs.readFileSync(stateFile, 'utf-8')).jobs || [];
+    } catch (err) {
+      console.error('⚠️ Failed to load persisted audit jobs:', err);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs so the state file does not grow forever.
+   */
+  function prune() {
+    const finished = jobs.filter(job => !ACTIVE_STATUSES.includes(job.status));
+    if (finished.length <= MAX_FINISHED_JOBS) return;
+
+    const expired = new Set(
+      finished
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, finished.length - MAX_FINISHED_JOBS)
+        .map(job => job.id)
+    );
+    jobs = jobs.filter(job => !expired.has(job.id));
+  }
+
+  function find(id) {
+    return jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Copy of a job for callers; queued jobs include their 1-based `position` in the queue.
+   */
+  function snapshot(job) {
+    if (job.status !== 'queued') return { ...job };
+    return { ...job, position: jobs.filter(j => j.status === 'queued').indexOf(job) + 1 };
+  }
+
+  function changed(job) {
+    try {
+      onChange(snapshot(job));
+    } catch (err) {
+      console.error('⚠️ Audit job listener failed:', err);
+    }
+  }
+
+  function update(id, patch) {
+    const job = find(id);
+    if (!job) return null;
+    Object.assign(job, patch);
+    save();
+    changed(job);
+    return job;
+  }
+
+  function settle(job, patch) {
+    Object.assign(job, patch, { finishedAt: new Date().toISOString() });
+    Object.assign(job, onSettled(job) || {});
+    prune();
+    save();
+    changed(job);
+  }
+
+  async function launch(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job.id, { status: 'running', startedAt: new Date().toISOString(), message: 'Starting audit…' });
+
+    try {
+      const patch = await runJob(job, controller.signal);
+      if (controller.signal.aborted) throw new Error('Audit cancelled');
+      settle(job, { message: 'Audit complete!', ...patch, status: 'done' });
+    } catch (err) {
+      // Left as 'running' so the next load marks it as interrupted
+      if (stopping) return;
+
+      if (controller.signal.aborted) {
+        settle(job, { status: 'cancelled', message: 'Audit cancelled by user' });
+      } else {
+        console.error(err);
+        settle(job, { status: 'error', message: err.message || 'Unknown error' });
+      }
+    } finally {
+      controllers.delete(job.id);
+      drain();
+    }
+  }
+
+  /**
+   * Start queued jobs, oldest first, until the concurrency limit is reached.
+   */
+  function drain() {
+    if (!started || stopping) return;
+
+    let running = jobs.filter(job => job.status === 'running').length;
+    const queued = jobs.filter(job => job.status === 'queued');
+
+    while (running < concurrency && queued.length > 0) {
+      launch(queued.shift());
+      running++;
+    }
+  }
+
+  load();
+  jobs
+    .filter(job => job.status === 'running')
+    .forEach(job => settle(job, { status: 'error', message: 'Audit interrupted by server restart' }));
+  save();
+
+  return {
+    concurrency,
+
+    /**
+     * All jobs, newest first. Queued jobs include their 1-based `position` in the queue.
+     */
+    list() {
+      return [...jobs]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(snapshot);
+    },
+
+    get(id) {
+      const job = find(id);
+      return job ? snapshot(job) : null;
+    },
+
+    /**
+     * Queue a new job and start it if a slot is free.
+     */
+    create(data) {
+      const job = {
+        id: createJobId(),
+        ...data,
+        status: 'queued',
+        message: 'Waiting in queue…',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+      };
+      jobs.push(job);
+      save();
+      changed(job);
+      drain();
+      return this.get(job.id);
+    },
+
+    /**
+     * Put a finished job back in the queue (e.g. to resume it), merging `patch` into it.
+     */
+    requeue(id, patch = {}) {
+      const job = find(id);
+      if (!job) return null;
+      Object.assign(job, patch, { status: 'queued', message: 'Waiting in queue…', finishedAt: null });
+      save();
+      changed(job);
+      drain();
+      return this.get(id);
+    },
+
+    update,
+
+    /**
+     * Like update(), but not persisted: for frequent progress (current page, log message).
+     */
+    progress(id, patch) {
+      const job = find(id);
+      if (!job) return null;
+      Object.assign(job, patch);
+      changed(job);
+      return job;
+    },
+
+    /**
+     * Begin running queued jobs, including any left over from before a restart.
+     */
+    start() {
+      started = true;
+      drain();
+    },
+
+    /**
+     * Cancel a queued or running job. Returns the job, or null if it is not active.
+     */
+    cancel(id) {
+      const job = find(id);
+      if (!job || !ACTIVE_STATUSES.includes(job.status)) return null;
+
+      if (job.status === 'queued') {
+        settle(job, { status: 'cancelled', message: 'Audit cancelled before it started' });
+      } else {
+        // launch() settles the job once runJob notices the abort
+        controllers.get(job.id)?.abort();
+        update(id, { message: 'Cancelling…' });
+      }
+      return this.get(id);
+    },
+
+    /**
+     * Abort every running job and start no more (server shutdown).
+     * Interrupted jobs are marked as such when the queue is next loaded.
+     */
+    stop() {
+      stopping = true;
+      controllers.forEach(controller => controller.abort());
+    }
+  };
+}
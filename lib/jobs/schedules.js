@@ -0,0 +1,302 @@
+// lib/jobs/schedules.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const FREQUENCIES = ['daily', 'weekly', 'cron'];
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Far enough ahead for any valid expression (e.g. "0 0 29 2 *" only matches in leap years)
+const MAX_LOOKAHEAD_DAYS = 5 * 366;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "0-30/10", "1,15") into the set of values it allows.
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`❌ Invalid cron ${name}: "${text}"`);
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    const end = range === '*' ? max : (to !== undefined ? Number(to) : (step ? max : start));
+    const increment = step ? Number(step) : 1;
+
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`❌ Invalid cron ${name}: "${text}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression: minute hour day-of-month month day-of-week.
+ * Sunday is 0 or 7. As in cron, when both day fields are restricted a day matching either one runs;
+ * a day field starting with "*" (e.g. "*\/2") counts as unrestricted for this, so it is AND-ed instead.
+ */
+export function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`❌ Cron expression must have 5 fields (minute hour day month weekday): "${expression}"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return dayOk && weekdayOk;
+  return dayOk || weekdayOk;
+}
+
+/**
+ * Next time (server local time) after `from` that the cron expression matches, or null if none.
+ */
+export function getNextCronRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  // Skip whole months, days and hours that cannot match before stepping by minute
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Cron expression for a schedule: daily and weekly schedules are shorthands for one.
+ */
+export function toCronExpression({ frequency, time = '00:00', dayOfWeek = 1, cron }) {
+  if (frequency === 'cron') return cron;
+
+  const [hour, minute] = time.split(':').map(Number);
+  return frequency === 'weekly'
+    ? `${minute} ${hour} * * ${dayOfWeek}`
+    : `${minute} ${hour} * * *`;
+}
+
+/**
+ * Validate the timing fields of a schedule and return them normalized.
+ * Throws an Error with a readable message on invalid input.
+ */
+export function normalizeScheduleTiming({ frequency = 'daily', time = '02:00', dayOfWeek, cron } = {}) {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`❌ frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (frequency === 'cron') {
+    parseCron(cron);
+    return { frequency, cron: String(cron).trim().replace(/\s+/g, ' ') };
+  }
+
+  const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`❌ time must be HH:MM (24-hour), got "${time}"`);
+  }
+  const timing = { frequency, time: `${match[1].padStart(2, '0')}:${match[2]}` };
+
+  if (frequency === 'weekly') {
+    const day = Number(dayOfWeek ?? 1);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw new Error('❌ dayOfWeek must be 0 (Sunday) to 6 (Saturday)');
+    }
+    timing.dayOfWeek = day;
+  }
+  return timing;
+}
+
+/**
+ * Saved audit schedules, persisted to `stateFile` and checked every 30 seconds.
+ *
+ * When a schedule comes due, `onDue(schedule, { missed })` is called; it should queue the
+ * audit and return the job ID (or null if nothing was queued). Schedules whose run time
+ * passed while the server was down are run once on `start()` with `missed: true`, not once
+ * per missed occurrence.
+ *
+ * Schedule shape:
+ *   { id, name, url, frequency: 'daily' | 'weekly' | 'cron', time, dayOfWeek, cron,
+ *     enabled, nextRunAt, lastRunAt, lastJobId, createdAt, updatedAt, ...whatever the caller stores }
+ *
+ * @param {Object} options
+ * @param {string} options.stateFile - JSON file the schedules are persisted to
+ * @param {Function} options.onDue - (schedule, { missed }) => jobId | null
+ */
+export function createScheduler({ stateFile, onDue }) {
+  let schedules = [];
+  let timer = null;
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify({ schedules }, null, 2));
+    } catch (err) {
+      console.error('❌ Failed to save audit schedules:', err);
+    }
+  }
+
+  function load() {
+    if (!fs.existsSync(stateFile)) return;
+    try {
+      schedules = JSON.parse(fs.readFileSync(stateFile, 'utf-8')).schedules || [];
+    } catch (err) {
+      console.error('⚠️ Failed to load audit schedules:', err);
+    }
+  }
+
+  function find(id) {
+    return schedules.find(schedule => schedule.id === id) || null;
+  }
+
+  function nextRunAt(schedule, from = new Date()) {
+    if (!schedule.enabled) return null;
+    return getNextCronRun(toCronExpression(schedule), from)?.toISOString() || null;
+  }
+
+  function trigger(schedule, { missed = false } = {}) {
+    let jobId = null;
+    try {
+      jobId = onDue({ ...schedule }, { missed });
+    } catch (err) {
+      console.error(`❌ Scheduled audit of ${schedule.url} failed to start:`, err);
+    }
+
+    const now = new Date();
+    Object.assign(schedule, {
+      lastRunAt: now.toISOString(),
+      lastJobId: jobId || schedule.lastJobId || null,
+      nextRunAt: nextRunAt(schedule, now)
+    });
+    return jobId;
+  }
+
+  function check({ missed = false } = {}) {
+    const now = Date.now();
+    const due = schedules.filter(s => s.enabled && s.nextRunAt && new Date(s.nextRunAt).getTime() <= now);
+    if (due.length === 0) return;
+
+    due.forEach(schedule => trigger(schedule, { missed }));
+    save();
+  }
+
+  load();
+
+  return {
+    list() {
+      return [...schedules]
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(schedule => ({ ...schedule }));
+    },
+
+    get(id) {
+      const schedule = find(id);
+      return schedule ? { ...schedule } : null;
+    },
+
+    /**
+     * Save a new schedule. `data` must already be validated (see normalizeScheduleTiming).
+     */
+    create(data) {
+      const now = new Date().toISOString();
+      const schedule = {
+        id: crypto.randomBytes(4).toString('hex'),
+        enabled: true,
+        ...data,
+        lastRunAt: null,
+        lastJobId: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      schedule.nextRunAt = nextRunAt(schedule);
+      schedules.push(schedule);
+      save();
+      return { ...schedule };
+    },
+
+    /**
+     * Replace a schedule's settings. The next run is recalculated from now.
+     */
+    update(id, data) {
+      const schedule = find(id);
+      if (!schedule) return null;
+
+      // Timing fields of the old frequency (e.g. cron after switching to daily) are dropped
+      ['time', 'dayOfWeek', 'cron'].forEach(field => delete schedule[field]);
+      Object.assign(schedule, data, { updatedAt: new Date().toISOString() });
+      schedule.nextRunAt = nextRunAt(schedule);
+      save();
+      return { ...schedule };
+    },
+
+    remove(id) {
+      const schedule = find(id);
+      if (!schedule) return false;
+      schedules = schedules.filter(s => s !== schedule);
+      save();
+      return true;
+    },
+
+    /**
+     * Run a schedule now, outside its timetable. Returns the job ID, or null if nothing was queued.
+     */
+    runNow(id) {
+      const schedule = find(id);
+      if (!schedule) return null;
+      const jobId = trigger(schedule);
+      save();
+      return jobId;
+    },
+
+    /**
+     * Catch up on runs missed while the server was down, then check every 30 seconds.
+     */
+    start() {
+      check({ missed: true });
+      timer = setInterval(() => check(), CHECK_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
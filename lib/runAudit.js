@@ -1,15 +1,205 @@
 // lib/runAudit.js
 import puppeteer from 'puppeteer';
 import AxePuppeteer from '@axe-core/puppeteer';
+import { createCheckpoint, appendCheckpoint, loadCheckpoint, getCheckpointSettings, diffCheckpointSettings } from './io/auditCheckpoint.js';
+import { createAuthSession, applyAuthSession } from './auth/authSession.js';
+import { getFlowsForUrl, runFlow } from './flows/userFlows.js';
+import { resolveAxeOptions, applyAxeOptions, getAxeConfigKey } from './config/axeOptions.js';
+import { captureViolationScreenshots } from './screenshots/captureScreenshots.js';
+import { createPoliteness } from './crawl/politeness.js';
+import { createAuditError, classifyAuditError } from './errors/auditErrors.js';
+import { resolveRetryPolicy, getRetryDelay } from './config/retryPolicy.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Detect errors caused by the browser (or its page target) going away mid-audit,
+ * as opposed to errors caused by the site under test. A bare "Protocol error" is not enough:
+ * the page navigating away during analysis throws one too, with the browser still up.
+ */
+function isBrowserCrash(err, browser) {
+  if (browser && !browser.isConnected()) return true;
+  return /Target closed|Session closed|Connection closed|browser has disconnected/i
+    .test(err?.message || '');
+}
+
+/**
+ * Run axe against the page's current state, bounded by analysisTimeout.
+ */
+async function runAxe(page, analysisTimeout, axeOptions) {
+  let timer;
+
+  return Promise.race([
+    applyAxeOptions(new AxePuppeteer(page), axeOptions).analyze(),
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Axe analysis timed out')),
+        analysisTimeout
+      );
+    }),
+  ]).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+/**
+ * Keep what the reports need from an axe run. Violations and incomplete ("needs review")
+ * items are stored in full; passes are reduced to one entry per rule to keep raw files small.
+ */
+function summarizeAxeResults(axeResults) {
+  return {
+    violations: axeResults.violations,
+    incomplete: axeResults.incomplete || [],
+    passes: (axeResults.passes || []).map(({ id, impact, help, tags, nodes }) => ({
+      id,
+      impact,
+      help,
+      tags,
+      nodeCount: nodes?.length || 0
+    })),
+  };
+}
+
+/**
+ * Navigate to a URL at the pace `politeness` allows and let it settle.
+ * A 429 or 503 response is retried after a backoff, and fails the page once retries run out.
+ * @returns {Promise<Object>} { status, finalUrl, loadMs } - loadMs runs until network idle, before the settle wait
+ */
+async function loadPage(page, url, gotoTimeout, politeness) {
+  let response;
+  let loadMs;
+  for (let attempt = 0; ; attempt++) {
+    await politeness.throttle(url);
+    const started = Date.now();
+    response = await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: gotoTimeout,
+    });
+    loadMs = Date.now() - started;
+
+    const status = response?.status();
+    if (!politeness.shouldBackOff(status)) break;
+    if (!await politeness.backoff(url, status, response.headers()['retry-after'], attempt)) {
+      throw createAuditError('rate-limited', `Server still responded ${status} after ${attempt + 1} attempts.`);
+    }
+  }
+
+  // axe can only audit documents; a PDF or JSON response opened in the browser is not one
+  const contentType = response?.headers()['content-type'] || '';
+  if (contentType && !/html|xml/i.test(contentType)) {
+    throw createAuditError('non-html', `The URL returned ${contentType.split(';')[0]}, not an HTML page.`);
+  }
+
+  // "Pro Settle" Enhancement: Wait for secondary network idle and a grace period for JS hydration
+  // We wrap networkIdle in a catch because some trackers might keep the connection open indefinitely
+  await Promise.all([
+    page.waitForNetworkIdle({ idleTime: 1000, timeout: 5000 }).catch(() => {}),
+    new Promise(resolve => setTimeout(resolve, 1500))
+  ]);
+
+  // A page served from cache or a client-side navigation may have no response
+  return { status: response?.status() ?? null, finalUrl: page.url(), loadMs };
+}
+
+/**
+ * What the loaded document is: its title, declared language and size in elements.
+ */
+function describeDocument(page) {
+  return page.evaluate(() => ({
+    title: document.title || null,
+    lang: document.documentElement.getAttribute('lang') || null,
+    elementCount: document.getElementsByTagName('*').length
+  }));
+}
+
+/**
+ * Load a single URL in the given page and run axe against it, then run any
+ * user flows for the URL and record each of their audit steps as a named state.
+ * With a viewport profile, the page is emulated at that size / device and the result is tagged with its name.
+ */
+async function auditPage(page, url, { gotoTimeout, analysisTimeout, flows = [], axeConfig = null, screenshots = null, index = 0, viewport = null, politeness }) {
+  const axeOptions = resolveAxeOptions(axeConfig, url);
+  const shotPrefix = viewport ? `${index + 1}-${viewport.name}` : `${index + 1}`;
+
+  // Run axe on the current state; optionally screenshot offending nodes before the page moves on.
+  // The first run is the page as loaded, whose analysis time is recorded.
+  let axeMs = null;
+  const auditState = async (stateName = null) => {
+    const started = Date.now();
+    const axeResults = await runAxe(page, analysisTimeout, axeOptions);
+    axeMs ??= Date.now() - started;
+    if (screenshots) {
+      await captureViolationScreenshots(page, axeResults.violations, {
+        ...screenshots,
+        prefix: `${shotPrefix}-${stateName || 'initial'}`
+      });
+    }
+    return summarizeAxeResults(axeResults);
+  };
+
+  if (viewport) {
+    const { width, height, deviceScaleFactor, isMobile, hasTouch, userAgent } = viewport;
+    await page.setViewport({ width, height, deviceScaleFactor, isMobile, hasTouch });
+    const pageUserAgent = politeness.userAgentFor(userAgent);
+    if (pageUserAgent) await page.setUserAgent(pageUserAgent);
+  } else {
+    // "Pro Settle" Enhancement: Larger viewport to trigger lazy-loaded content (e.g., BV reviews)
+    await page.setViewport({ width: 1280, height: 2000 });
+    if (politeness.userAgent) await page.setUserAgent(politeness.userAgent);
+  }
+
+  const { status, finalUrl, loadMs } = await loadPage(page, url, gotoTimeout, politeness);
+  const details = await describeDocument(page);
+  const axeResults = await auditState();
+
+  const result = {
+    url,
+    ...(viewport ? { viewport: viewport.name } : {}),
+    timestamp: new Date().toISOString(),
+    status,
+    finalUrl,
+    ...details,
+    timing: { loadMs, axeMs },
+    axeOptions,
+    ...axeResults,
+  };
+
+  const pageFlows = getFlowsForUrl(flows, url, viewport?.name);
+  if (pageFlows.length === 0) return result;
+
+  result.states = [];
+  for (const [i, flow] of pageFlows.entries()) {
+    // Each flow after the first starts from a fresh load of the page
+    if (i > 0) await loadPage(page, url, gotoTimeout, politeness);
+    console.log(`   ↳ Running flow "${flow.name}"`);
+    result.states.push(...await runFlow(page, flow, auditState));
+  }
+
+  return result;
+}
 
 /**
  * Run accessibility audit on an array of URLs
  * @param {string[]} urls - URLs to audit
  * @param {Object} [options] - Optional parameters
+ * @param {number} [options.concurrency=1] - number of pages audited in parallel
  * @param {number} [options.gotoTimeout=30000] - page.goto timeout (ms)
  * @param {number} [options.analysisTimeout=30000] - axe analysis timeout (ms)
  * @param {function} [options.onPageAudited] - callback after each page is audited
- * @returns {Promise<Array>} - array of results { url, timestamp, violations | error }
+ * @param {function} [options.onEvent] - receives progress events: { type: 'page-started' | 'page-finished' | 'page-failed', url, index, ... }
+ * @param {string} [options.checkpointFile] - append each page result here as it completes
+ * @param {boolean} [options.resume=false] - skip pages already recorded in checkpointFile
+ * @param {Object} [options.auth] - auth config from loadAuthConfig(); logs in once and reuses the session
+ * @param {Array} [options.flows] - user flows from loadFlows(); their audit steps are recorded in `states`
+ * @param {Object} [options.axeConfig] - from buildAxeConfig(); each result records its effective `axeOptions`
+ * @param {Object} [options.screenshots] - { dir, maxPerRule } to capture highlighted element screenshots per violation
+ * @param {Array} [options.viewports] - profiles from resolveViewports(); every URL is audited once per profile
+ * @param {Object} [options.politeness] - from createPoliteness(): rate limit, robots.txt, user agent and 429/503
+ *   backoff. Pages robots.txt disallows are recorded as errors without being loaded.
+ * @param {Object} [options.retry] - from resolveRetryPolicy(): how often, and after which errors, a failed page is retried
+ * @returns {Promise<Array>} - array of results { url, viewport?, timestamp, status, finalUrl, title, lang, elementCount,
+ *   timing: { loadMs, axeMs }, violations, incomplete, passes, states? | error, errorCode, attempts },
+ *   in input order (one per URL and viewport)
  */
 export async function runAudit(urls, options = {}) {
   if (!Array.isArray(urls) || urls.length === 0) {
@@ -17,13 +207,66 @@ export async function runAudit(urls, options = {}) {
   }
 
   const {
+    concurrency = 1,
     gotoTimeout = 30000,
     analysisTimeout = 30000,
     onPageAudited,
+    onEvent,
+    checkpointFile,
+    resume = false,
+    auth = null,
+    flows = [],
+    axeConfig = null,
+    screenshots = null,
+    viewports = null,
+    politeness = createPoliteness(),
+    retry = resolveRetryPolicy(),
   } = options;
 
+  // null keeps the legacy single desktop viewport, whose results carry no `viewport` tag
+  const profiles = viewports?.length ? viewports : [null];
+
+  const results = new Array(urls.length);
+  let pending = urls.map((_, index) => index);
+
+  if (checkpointFile) {
+    const checkpoint = resume ? loadCheckpoint(checkpointFile) : null;
+    const settings = getCheckpointSettings({ viewports, axeConfigKey: getAxeConfigKey(axeConfig) });
+
+    if (resume && !checkpoint) {
+      throw new Error('❌ No audit checkpoint found to resume from.');
+    }
+
+    if (checkpoint) {
+      const sameRun = checkpoint.urls.length === urls.length
+        && checkpoint.urls.every((u, i) => u === urls[i]);
+      if (!sameRun) {
+        throw new Error('❌ Checkpoint was recorded for a different URL list. Start a new audit instead.');
+      }
+
+      if (!checkpoint.settings) {
+        console.warn('⚠️ This checkpoint does not record its viewports and axe options. Resuming with the current ones.');
+      } else {
+        const changed = diffCheckpointSettings(checkpoint.settings, settings);
+        if (changed.length > 0) {
+          throw new Error(`❌ Checkpoint was recorded with different ${changed.join(' and ')}. Resume with the same settings, or start a new audit.`);
+        }
+      }
+
+      checkpoint.completed.forEach((result, index) => { results[index] = result; });
+      pending = pending.filter(index => !checkpoint.completed.has(index));
+      console.log(`⏩ Resuming audit: ${checkpoint.completed.size} of ${urls.length} pages already audited.`);
+    } else {
+      createCheckpoint(checkpointFile, urls, settings);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, pending.length));
+
   let browser = null;
+  let launching = null;
   let isShuttingDown = false;
+  let session = null;
 
   async function shutdown(signal) {
     if (isShuttingDown) return;
@@ -41,100 +284,169 @@ export async function runAudit(urls, options = {}) {
     }
   }
 
+  /**
+   * Returns a connected browser, (re)launching it if needed.
+   * Concurrent callers share a single in-flight launch.
+   */
+  async function getBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (isShuttingDown) throw new Error('Audit is shutting down');
+
+    if (!launching) {
+      const isRelaunch = browser !== null;
+      launching = (async () => {
+        if (isRelaunch) console.warn('♻️ Browser disconnected. Relaunching…');
+        try {
+          browser = await puppeteer.launch();
+          return browser;
+        } catch (err) {
+          throw new Error(`❌ Failed to launch Puppeteer browser: ${err.message}`);
+        }
+      })().finally(() => {
+        launching = null;
+      });
+    }
+
+    return launching;
+  }
+
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
 
-  try {
+  let nextIndex = 0;
+
+  // A failing listener must not fail the audit
+  function emit(type, data) {
+    if (!onEvent) return;
     try {
-      browser = await puppeteer.launch();
+      onEvent({ type, ...data });
     } catch (err) {
-      throw new Error(`❌ Failed to launch Puppeteer browser: ${err.message}`);
+      console.warn(`⚠️ Progress event listener failed: ${err.message}`);
     }
+  }
 
-    const results = [];
-
-    for (const url of urls) {
-      if (isShuttingDown) break;
-
-      const page = await browser.newPage();
+  /**
+   * Audit one URL at one viewport in its own incognito context, so only the shared
+   * auth session carries between pages. Failures the retry policy covers (by default timeouts,
+   * dropped connections and browser crashes, after which the browser is relaunched) are retried
+   * with a growing delay. Returns null if the run is shutting down.
+   */
+  async function auditUnit(url, index, viewport) {
+    const where = viewport ? `${url} (${viewport.name})` : url;
 
-      // "Pro Settle" Enhancement: Larger viewport to trigger lazy-loaded content (e.g., BV reviews)
-      await page.setViewport({ width: 1280, height: 2000 });
-
-      console.log(`Auditing ${url}`);
-      console.log(`__AUDIT_PAGE__ ${url}`);
+    for (let attempt = 1; ; attempt++) {
+      let context = null;
 
       try {
-        await page.goto(url, {
-          waitUntil: 'networkidle2', 
-          timeout: gotoTimeout,
-        });
-
-        // "Pro Settle" Enhancement: Wait for secondary network idle and a grace period for JS hydration
-        // We wrap networkIdle in a catch because some trackers might keep the connection open indefinitely
-        await Promise.all([
-          page.waitForNetworkIdle({ idleTime: 1000, timeout: 5000 }).catch(() => {}),
-          new Promise(resolve => setTimeout(resolve, 1500)) 
-        ]);
-
-        let timer;
-
-        const axeResults = await Promise.race([
-          new AxePuppeteer(page).analyze(),
-          new Promise((_, reject) => {
-            timer = setTimeout(
-              () => reject(new Error('Axe analysis timed out')),
-              analysisTimeout
-            );
-          }),
-        ]).finally(() => {
-          clearTimeout(timer); 
-        });
+        // Inside the try, so a robots.txt lookup that throws (e.g. an unsafe URL) fails this page only
+        if (!await politeness.isAllowed(url)) {
+          const reason = 'Disallowed by robots.txt, so the page was not loaded.';
+          console.warn(`🤖 Skipping ${where}: ${reason}`);
+          emit('page-failed', { url, index, viewport: viewport?.name || null, reason, code: 'blocked' });
+          return { url, ...(viewport ? { viewport: viewport.name } : {}), error: reason, errorCode: 'blocked', attempts: 0 };
+        }
 
-        const result = {
+        const activeBrowser = await getBrowser();
+        context = await activeBrowser.createIncognitoBrowserContext();
+        const page = await context.newPage();
+        await applyAuthSession(page, session, url);
+        const result = await auditPage(page, url, { gotoTimeout, analysisTimeout, flows, axeConfig, screenshots, index, viewport, politeness });
+        emit('page-finished', {
           url,
-          timestamp: new Date().toISOString(),
-          violations: axeResults.violations,
-        };
+          index,
+          viewport: viewport?.name || null,
+          status: result.status,
+          violations: result.violations.length,
+          occurrences: result.violations.reduce((sum, v) => sum + v.nodes.length, 0),
+          incomplete: result.incomplete?.length || 0
+        });
+        return result;
+      } catch (err) {
+        if (isShuttingDown) return null;
 
-        results.push(result);
+        const failure = classifyAuditError(err, { gotoTimeout, analysisTimeout, crashed: isBrowserCrash(err, browser) });
 
-        if (onPageAudited) onPageAudited(result);
-      } catch (err) {
-        let friendlyMessage = err.message;
-
-        if (err.name === 'TimeoutError') {
-          friendlyMessage = `Navigation timed out after ${gotoTimeout}ms. The page may be slow or continuously loading.`;
-        } else if (err.message.includes('Axe analysis timed out')) {
-          friendlyMessage = `Axe analysis exceeded ${analysisTimeout}ms and was aborted.`;
-        } else if (err.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
-          friendlyMessage = 'DNS lookup failed. The domain may not exist or is unreachable.';
-        } else if (err.message.includes('net::ERR_CONNECTION_REFUSED')) {
-          friendlyMessage = 'Connection was refused by the server.';
+        if (attempt <= retry.retries && retry.on.includes(failure.code)) {
+          const delay = getRetryDelay(retry, attempt);
+          console.warn(`⚠️ ${failure.message} (${where}). Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${retry.retries + 1})…`);
+          await sleep(delay);
+          if (isShuttingDown) return null;
+          continue;
         }
 
-        console.warn(`⚠️ Failed to audit ${url}`);
-        console.warn(`   Reason: ${friendlyMessage}`);
+        console.warn(`⚠️ Failed to audit ${where}`);
+        console.warn(`   Reason [${failure.code}]: ${failure.message}`);
+        emit('page-failed', { url, index, viewport: viewport?.name || null, reason: failure.message, code: failure.code });
 
-        results.push({
+        return {
           url,
-          error: friendlyMessage,
-        });
+          ...(viewport ? { viewport: viewport.name } : {}),
+          error: failure.message,
+          errorCode: failure.code,
+          attempts: attempt,
+        };
       } finally {
         try {
-          await page.close();
+          if (context) await context.close();
         } catch {
-          // Ignore page close errors
+          // Ignore context close errors (e.g. browser already gone)
         }
       }
     }
+  }
+
+  /**
+   * Each worker pulls the next URL off the shared cursor and audits it at every viewport.
+   * A URL is checkpointed only once all of its viewports are done.
+   */
+  async function worker() {
+    while (!isShuttingDown && nextIndex < pending.length) {
+      const index = pending[nextIndex++];
+      const url = urls[index];
+
+      console.log(`Auditing ${url}`);
+      emit('page-started', { url, index, total: urls.length });
+
+      const entries = [];
+      for (const viewport of profiles) {
+        if (viewport) console.log(`   ↳ Viewport "${viewport.name}" (${viewport.width}×${viewport.height})`);
+        const result = await auditUnit(url, index, viewport);
+        if (!result) return;
+        entries.push(result);
+      }
+
+      const result = viewports?.length ? entries : entries[0];
+      results[index] = result;
+      if (checkpointFile) appendCheckpoint(checkpointFile, index, result);
+
+      if (onPageAudited) entries.filter(entry => !entry.error).forEach(onPageAudited);
+    }
+  }
+
+  try {
+    if (pending.length > 0) {
+      // Log in once up front; a failed login aborts the whole run rather than auditing login pages
+      session = await createAuthSession(auth, await getBrowser());
+
+      if (workerCount > 1) {
+        console.log(`🧵 Auditing ${pending.length} pages with ${workerCount} parallel workers`);
+      }
+
+      await Promise.all(Array.from({ length: workerCount }, () => worker()));
+    }
 
     if (isShuttingDown) {
-      console.log('🚫 Audit aborted by user. Partial results discarded.');
+      if (checkpointFile) {
+        const saved = results.filter(Boolean).length;
+        console.log(`🚫 Audit aborted by user. ${saved} of ${urls.length} page results checkpointed to ${checkpointFile}.`);
+      } else {
+        console.log('🚫 Audit aborted by user. Partial results discarded.');
+      }
       return [];
     }
 
-    return results;
+    // Multi-viewport runs hold one array per URL
+    return results.flat();
   } finally {
     if (browser) {
       try {
@@ -148,4 +460,4 @@ export async function runAudit(urls, options = {}) {
     process.off('SIGINT', shutdown);
     process.off('SIGTERM', shutdown);
   }
-}
\ No newline at end of file
+}
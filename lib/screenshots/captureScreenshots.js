@@ -0,0 +1,91 @@
+// lib/screenshots/captureScreenshots.js
+import fs from 'fs';
+import path from 'path';
+
+const HIGHLIGHT_ATTR = 'data-a11y-audit-highlight';
+
+/**
+ * Turn an identifier into something safe for a filename.
+ */
+function slugify(value) {
+  return String(value).replace(/[^a-z0-9-]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'item';
+}
+
+/**
+ * Screenshot one element with an inset highlight so it stays visible inside the crop.
+ * Returns false when the element is missing, inside a frame/shadow root, or not rendered.
+ */
+async function captureNode(page, target, filePath) {
+  // Nested arrays mean iframe / shadow DOM selectors, which page.$ cannot reach
+  if (!Array.isArray(target) || target.length !== 1 || typeof target[0] !== 'string') return false;
+
+  const handle = await page.$(target[0]).catch(() => null);
+  if (!handle) return false;
+
+  try {
+    await handle.evaluate((el, attr) => {
+      el.scrollIntoView({ block: 'center', inline: 'center' });
+      el.setAttribute(attr, el.getAttribute('style') || '');
+      el.style.outline = '3px solid #e11d48';
+      el.style.outlineOffset = '-3px';
+    }, HIGHLIGHT_ATTR);
+
+    const box = await handle.boundingBox();
+    if (!box || box.width < 1 || box.height < 1) return false;
+
+    await handle.screenshot({ path: filePath, type: 'jpeg', quality: 80 });
+    return true;
+  } catch {
+    return false;
+  } finally {
+    await handle.evaluate((el, attr) => {
+      const original = el.getAttribute(attr);
+      if (original) el.setAttribute('style', original);
+      else el.removeAttribute('style');
+      el.removeAttribute(attr);
+    }, HIGHLIGHT_ATTR).catch(() => {});
+    await handle.dispose().catch(() => {});
+  }
+}
+
+/**
+ * Capture cropped, highlighted screenshots of offending nodes and record each file on
+ * its node as `node.screenshot` (a path relative to `baseDir`, so raw results stay portable).
+ *
+ * @param {Object} page - Puppeteer page in the state that was audited
+ * @param {Array} violations - axe violations for that state (mutated: nodes gain `screenshot`)
+ * @param {Object} options
+ * @param {string} options.dir - directory to write screenshots into
+ * @param {string} [options.baseDir=process.cwd()] - recorded paths are relative to this
+ * @param {number} [options.maxPerRule=3] - cap per rule for this page/state
+ * @param {string} [options.prefix] - filename prefix identifying the page/state
+ * @returns {Promise<number>} number of screenshots written
+ */
+export async function captureViolationScreenshots(page, violations, {
+  dir,
+  baseDir = process.cwd(),
+  maxPerRule = 3,
+  prefix = 'page'
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+  let captured = 0;
+
+  for (const rule of violations) {
+    let ruleCount = 0;
+
+    for (const node of rule.nodes) {
+      if (ruleCount >= maxPerRule) break;
+
+      const fileName = `${slugify(prefix)}-${slugify(rule.id)}-${ruleCount + 1}.jpg`;
+      const filePath = path.join(dir, fileName);
+
+      if (await captureNode(page, node.target, filePath)) {
+        node.screenshot = path.relative(baseDir, filePath).split(path.sep).join('/');
+        ruleCount++;
+        captured++;
+      }
+    }
+  }
+
+  return captured;
+}
@@ -182,6 +182,36 @@ export const TopPages = (topPages) => `
     </section>
 `;
 
+/**
+ * Pages left out of the score because they could not be audited, counted by reason.
+ * A page that failed at several viewports is one page, with one failed load per viewport.
+ */
+export const FailedPages = (failedPages = []) => {
+    if (failedPages.length === 0) return '';
+
+    const byLabel = failedPages.reduce((counts, p) => {
+        counts[p.label] = (counts[p.label] || 0) + 1;
+        return counts;
+    }, {});
+    const pages = new Set(failedPages.map(p => p.url)).size;
+    const loads = pages < failedPages.length ? ` (${failedPages.length} page loads across viewports)` : '';
+
+    return `
+    <section class="exec-card failed-pages-card">
+        <h3>Pages That Could Not Be Audited</h3>
+        <p class="card-subtitle">
+            ${pages} page(s) failed to load${loads} and are not part of the score. Issues on these pages are unknown.
+        </p>
+        ${Object.entries(byLabel).map(([label, count]) => `
+            <div class="impact-item">
+                <span class="impact-label">${escapeHtml(label)}</span>
+                <span>${count}</span>
+            </div>
+        `).join('')}
+    </section>
+    `;
+};
+
 export const Methodology = () => `
     <section class="exec-card">
         <h3>Understanding the Metrics</h3>
@@ -149,17 +149,318 @@ export const TrendChart = (history) => {
     `;
 };
 
+/**
+ * Renders the axe configuration this audit ran with, and warns when it
+ * differs from the previous audit (diff counts are then not like-for-like).
+ */
+export const AxeConfigNotice = (axeConfig = [], configChanged = false) => {
+    const configured = axeConfig.filter(c => Object.keys(c).length > 0);
+    if (!configured.length && !configChanged) return '';
+
+    const labels = {
+        withTags: 'Rule tags',
+        include: 'Included selectors',
+        exclude: 'Excluded selectors',
+        disableRules: 'Disabled rules'
+    };
+
+    const describe = (options) => {
+        const entries = Object.entries(labels).filter(([field]) => options[field]?.length);
+        if (!entries.length) return '<li>Axe defaults</li>';
+        return entries.map(([field, label]) =>
+            `<li><strong>${label}:</strong> ${options[field].map(v => `<code>${escapeHtml(v)}</code>`).join(', ')}</li>`
+        ).join('');
+    };
+
+    return `
+    <section class="config-notice ${configChanged ? 'config-notice--changed' : ''}">
+        <h2 class="config-notice__title">Audit Scope</h2>
+        ${configChanged ? `<p class="config-notice__warning"><strong>Configuration changed:</strong> this audit used different axe options than the previous one, so new and resolved counts may reflect the configuration rather than the site.</p>` : ''}
+        ${axeConfig.map(options => `<ul class="config-notice__list">${describe(options)}</ul>`).join('')}
+        ${axeConfig.length > 1 ? '<p class="config-notice__meta">Some pages used URL-specific overrides.</p>' : ''}
+    </section>`;
+};
+
+/**
+ * Explains that an incremental audit only covered pages changed since the last full audit.
+ */
+export const IncrementalNotice = (changedSince) => {
+    if (!changedSince) return '';
+
+    return `
+    <section class="config-notice">
+        <h2 class="config-notice__title">Incremental Audit</h2>
+        <p>Only pages whose sitemap <code>lastmod</code> changed since ${escapeHtml(new Date(changedSince).toLocaleString())} were audited.
+        New and resolved issues compare those pages with the last full audit; other pages were not checked.</p>
+    </section>`;
+};
+
+/**
+ * Renders per-viewport issue counts and changes for multi-viewport audits.
+ */
+export const ViewportSummary = (rules, viewports = [], byViewport = {}) => {
+    if (viewports.length < 2) return '';
+
+    const countFor = (name) => rules.reduce(
+        (acc, r) => acc + r.occurrences.filter(o => o.viewport === name).length, 0
+    );
+
+    return `
+    <section class="viewport-summary" aria-labelledby="viewport-summary-title">
+        <h2 class="viewport-summary__title" id="viewport-summary-title">Issues by Viewport</h2>
+        <table class="viewport-summary__table">
+            <thead>
+                <tr><th scope="col">Viewport</th><th scope="col">Issues</th><th scope="col">New</th><th scope="col">Resolved</th></tr>
+            </thead>
+            <tbody>
+                ${viewports.map(name => {
+                    const diff = byViewport[name] || { newViolations: 0, resolvedViolations: 0 };
+                    return `
+                <tr>
+                    <th scope="row">${escapeHtml(name)}</th>
+                    <td>${countFor(name)}</td>
+                    <td class="status--new">${diff.newViolations}</td>
+                    <td class="status--fixed">${diff.resolvedViolations}</td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    </section>`;
+};
+
+/**
+ * Renders the path groups of a sampled audit: how many pages each template has and how many were audited.
+ */
+export const PageGroupSummary = (pageGroups = []) => {
+    if (pageGroups.length === 0) return '';
+
+    const found = pageGroups.reduce((acc, g) => acc + g.total, 0);
+
+    return `
+    <section class="page-group-summary" aria-labelledby="page-group-summary-title">
+        <h2 class="page-group-summary__title" id="page-group-summary-title">Sampled Page Groups</h2>
+        <p class="page-group-summary__meta">Representative pages were audited from each group of similar URLs (${found} pages found).
+        Issues on a representative page are likely repeated across its group.</p>
+        <table class="page-group-summary__table">
+            <thead>
+                <tr><th scope="col">Group</th><th scope="col">Pages found</th><th scope="col">Audited</th><th scope="col">Pages with issues</th><th scope="col">Issues</th></tr>
+            </thead>
+            <tbody>
+                ${pageGroups.map(g => `
+                <tr>
+                    <th scope="row"><code>${escapeHtml(g.pattern)}</code></th>
+                    <td>${g.total}</td>
+                    <td>${g.audited}</td>
+                    <td>${g.pagesWithIssues}</td>
+                    <td>${g.occurrences}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+};
+
+/**
+ * Renders the pages that could not be audited, grouped by error code. Their issues are unknown,
+ * so they are left out of the pages audited count. Counts are of URLs; in multi-viewport runs
+ * each viewport a page failed at is listed separately.
+ */
+export const FailedPages = (failedPages = []) => {
+    if (failedPages.length === 0) return '';
+
+    const byCode = failedPages.reduce((groups, p) => {
+        (groups[p.code] ||= { label: p.label, pages: [] }).pages.push(p);
+        return groups;
+    }, {});
+    const countUrls = pages => new Set(pages.map(p => p.url)).size;
+    const attempts = p => (p.attempts > 1 ? ` <small>(${p.attempts} attempts)</small>` : '');
+
+    return `
+    <section class="failed-pages" aria-labelledby="failed-pages-title">
+        <h2 class="failed-pages__title" id="failed-pages-title">Pages That Could Not Be Audited (${countUrls(failedPages)})</h2>
+        <p class="failed-pages__meta">These pages are not counted as audited and any issues on them are not in this report.</p>
+        ${Object.entries(byCode).map(([code, group]) => `
+        <h3 class="failed-pages__group">${escapeHtml(group.label)} <code>${escapeHtml(code)}</code> <small>(${countUrls(group.pages)})</small></h3>
+        <ul class="failed-pages__list">
+            ${group.pages.map(p => `
+            <li>
+                <a href="${sanitizeUrl(p.url)}" target="_blank">${escapeHtml(p.url)}</a>${p.viewport ? ` (${escapeHtml(p.viewport)})` : ''}${attempts(p)}
+                <span class="failed-pages__message">${escapeHtml(p.message)}</span>
+            </li>`).join('')}
+        </ul>`).join('')}
+    </section>`;
+};
+
+const PAGE_FLAG_LABELS = {
+    'http-error': p => `HTTP ${p.status}`,
+    'soft-error': () => 'Looks like an error page',
+    'redirected': p => `Redirected to ${p.finalUrl}`,
+    'failed': () => 'Not audited'
+};
+
+const formatSeconds = ms => (ms === null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+/**
+ * Renders the page inventory: pages whose status or title suggest they are not the page meant
+ * to be audited, then every page with its details and issues normalized by page size.
+ */
+export const PageInventory = (inventory) => {
+    if (!inventory?.summary.recorded) return '';
+
+    const { pages, summary } = inventory;
+    // Pages that failed to load have their own section (FailedPages)
+    const flagged = pages.filter(p => p.flags.length > 0 && !p.flags.includes('failed'));
+    const where = p => `${escapeHtml(p.url)}${p.viewport ? ` (${escapeHtml(p.viewport)})` : ''}`;
+
+    return `
+    <section class="page-inventory" aria-labelledby="page-inventory-title">
+        <h2 class="page-inventory__title" id="page-inventory-title">Page Inventory</h2>
+        <p class="page-inventory__meta">${summary.issuesPer1000Elements ?? 0} issues per 1,000 elements across ${summary.elements.toLocaleString()} elements.
+        Median load time ${formatSeconds(summary.medianLoadMs)}.</p>
+        ${flagged.length > 0 ? `
+        <div class="page-inventory__warning">
+            <p><strong>${flagged.length} page(s) may not be what you meant to audit.</strong> Error pages and redirects are audited as whatever the server returned.</p>
+            <ul>
+                ${flagged.map(p => `<li><a href="${sanitizeUrl(p.url)}" target="_blank">${where(p)}</a>: ${p.flags.map(f => escapeHtml(PAGE_FLAG_LABELS[f](p))).join(', ')}</li>`).join('')}
+            </ul>
+        </div>` : ''}
+        <details class="page-inventory__details">
+            <summary>All audited pages (${pages.length})</summary>
+            <table class="page-inventory__table">
+                <thead>
+                    <tr><th scope="col">Page</th><th scope="col">Status</th><th scope="col">Title</th><th scope="col">Language</th><th scope="col">Elements</th><th scope="col">Load</th><th scope="col">Issues</th><th scope="col">Per 1,000 elements</th></tr>
+                </thead>
+                <tbody>
+                    ${pages.map(p => `
+                    <tr${p.flags.length > 0 ? ' class="page-inventory__row--flagged"' : ''}>
+                        <th scope="row"><a href="${sanitizeUrl(p.url)}" target="_blank">${where(p)}</a></th>
+                        <td>${p.status ?? '—'}</td>
+                        <td>${escapeHtml(p.title || '—')}</td>
+                        <td>${p.lang ? `<code>${escapeHtml(p.lang)}</code>` : '—'}</td>
+                        <td>${p.elementCount ?? '—'}</td>
+                        <td>${formatSeconds(p.loadMs)}</td>
+                        <td>${p.occurrences}</td>
+                        <td>${p.issuesPer1000Elements ?? '—'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </details>
+    </section>`;
+};
+
+/**
+ * Renders new, resolved and persisted counts of a comparison, one row per rule or per page.
+ */
+const ComparisonTable = (id, title, header, rows, label) => {
+    if (rows.length === 0) return '';
+
+    return `
+    <section class="comparison-table" aria-labelledby="${id}">
+        <h2 class="comparison-table__title" id="${id}">${title}</h2>
+        <table class="comparison-table__table">
+            <thead>
+                <tr><th scope="col">${header}</th><th scope="col">New</th><th scope="col">Resolved</th><th scope="col">Persisted</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <th scope="row">${label(row)}</th>
+                    <td class="${row.new > 0 ? 'status--new' : ''}">${row.new}</td>
+                    <td class="${row.resolved > 0 ? 'status--fixed' : ''}">${row.resolved}</td>
+                    <td>${row.persisted}${row.moved > 0 ? ` <small>(${row.moved} moved)</small>` : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    </section>`;
+};
+
+export const ComparisonByRule = (byRule = []) => ComparisonTable(
+    'comparison-rules-title', 'Changes by Rule', 'Rule', byRule,
+    row => `${row.displayName || escapeHtml(row.id)}${row.impact ? ` <span class="rule__impact rule__impact--${escapeHtml(row.impact)}">${escapeHtml(row.impact)}</span>` : ''}`
+);
+
+export const ComparisonByPage = (byPage = []) => ComparisonTable(
+    'comparison-pages-title', 'Changes by Page', 'Page', byPage,
+    row => `<a href="${sanitizeUrl(row.page)}" target="_blank">${escapeHtml(row.page)}</a>`
+);
+
+/**
+ * Renders the occurrences the base audit had that the head audit no longer has, by rule.
+ */
+export const ResolvedOccurrences = (occurrences = [], byRule = []) => {
+    if (occurrences.length === 0) return '';
+
+    const names = new Map(byRule.map(row => [row.id, row.displayName || escapeHtml(row.id)]));
+    const byRuleId = occurrences.reduce((groups, o) => {
+        (groups[o.ruleId] ||= []).push(o);
+        return groups;
+    }, {});
+
+    return `
+    <section class="resolved-section" aria-labelledby="resolved-occurrences-title">
+        <h2 class="resolved-title" id="resolved-occurrences-title">Resolved Issues (${occurrences.length})</h2>
+        ${Object.entries(byRuleId).map(([ruleId, list]) => `
+        <details class="resolved-occurrences">
+            <summary>${names.get(ruleId) || escapeHtml(ruleId)} <small>(${list.length})</small></summary>
+            <ul>
+                ${list.map(o => `
+                <li><a href="${sanitizeUrl(o.page)}" target="_blank">${escapeHtml(o.page)}</a>${o.viewport ? ` (${escapeHtml(o.viewport)})` : ''}:
+                    <code>${escapeHtml([].concat(o.target).join(' > '))}</code></li>`).join('')}
+            </ul>
+        </details>`).join('')}
+    </section>`;
+};
+
+/**
+ * Who accepted an occurrence in the baseline file, why, and until when.
+ */
+const Acceptance = ({ owner, reason, expires }, expired) => `
+    <p class="occurrence__accepted">
+      <strong>${expired ? 'Acceptance expired' : 'Accepted until'} ${escapeHtml(expires)}</strong>
+      by ${escapeHtml(owner)}: ${escapeHtml(reason)}
+    </p>`;
+
+/**
+ * Summarizes the accepted-issues baseline: accepted occurrences, expired entries (which count
+ * again) and entries that no longer match anything.
+ */
+export const BaselineNotice = (baseline) => {
+    if (!baseline?.file) return '';
+
+    const { accepted, expired, unused } = baseline;
+    const entryList = entries => `<ul>${entries.map(e => `<li><code>${escapeHtml(e.key)}</code>: ${escapeHtml(e.owner)}, ${escapeHtml(e.expires)}</li>`).join('')}</ul>`;
+
+    return `
+    <section class="config-notice ${expired.length > 0 ? 'config-notice--changed' : ''}">
+        <h2 class="config-notice__title">Accepted Issues</h2>
+        <p>${accepted} occurrence(s) are accepted in <code>${escapeHtml(baseline.fileName)}</code> and do not fail CI checks. They are marked <strong>Accepted</strong> below.</p>
+        ${expired.length > 0 ? `<p class="config-notice__warning"><strong>${expired.length} acceptance(s) expired</strong> and count as failures again:</p>${entryList(expired)}` : ''}
+        ${unused.length > 0 ? `<p class="config-notice__meta">${unused.length} baseline entr${unused.length === 1 ? 'y matches' : 'ies match'} no current issue and can be removed:</p>${entryList(unused)}` : ''}
+    </section>`;
+};
+
 /**
  * Renders a single occurrence of a violation.
  */
 export const Occurrence = (o) => `
-  <div class="occurrence ${o.isNewOccurrence ? 'occurrence--new' : ''}">
+  <div class="occurrence ${o.isNewOccurrence ? 'occurrence--new' : ''}"${o.viewport ? ` data-viewport="${escapeHtml(o.viewport)}"` : ''}>
     <p>
       <span class="occurrence__page">Page:</span> 
       <a href="${sanitizeUrl(o.page)}" target="_blank">${escapeHtml(o.page)}</a> 
       ${o.isNewPage ? Badge('NEW PAGE', 'new') : (o.isNewOccurrence ? Badge('NEW ELEMENT', 'new') : '')}
+      ${o.movedFrom ? Badge('MOVED', 'moved') : ''}
+      ${o.accepted ? Badge('ACCEPTED', 'accepted') : ''}
+      ${o.acceptanceExpired ? Badge('ACCEPTANCE EXPIRED', 'new') : ''}
     </p>
+    ${o.accepted || o.acceptanceExpired ? Acceptance(o.accepted || o.acceptanceExpired, Boolean(o.acceptanceExpired)) : ''}
+    ${o.movedFrom ? `<p class="occurrence__moved"><strong>Previously:</strong> <code>${escapeHtml([].concat(o.movedFrom.target).join(' > '))}</code> (${Math.round(o.movedFrom.confidence * 100)}% match)</p>` : ''}
+    ${o.state ? `<p class="occurrence__state"><strong>Page state:</strong> ${escapeHtml(o.state)}</p>` : ''}
+    ${o.viewport ? `<p class="occurrence__viewport"><strong>Viewport:</strong> ${escapeHtml(o.viewport)}</p>` : ''}
     <p><strong>Element:</strong> <code>${escapeHtml(o.target)}</code></p>
+    ${o.screenshot ? `
+    <a class="occurrence__shot" href="${escapeHtml(o.screenshot)}" target="_blank" data-lightbox>
+      <img src="${escapeHtml(o.screenshot)}" alt="Screenshot of ${escapeHtml(o.target)} with the element highlighted" loading="lazy">
+    </a>` : ''}
+    ${o.reviewReason ? `<p class="occurrence__review-reason"><strong>Why review is needed:</strong> ${escapeHtml(o.reviewReason)}</p>` : ''}
     <pre class="occurrence__html"><code>${escapeHtml(o.html)}</code></pre>
   </div>
 `;
@@ -167,7 +468,7 @@ export const Occurrence = (o) => `
 /**
  * Renders the entire filter section.
  */
-export const FilterBar = (rules, impacts, hasNewRules) => {
+export const FilterBar = (rules, impacts, hasNewRules, viewports = []) => {
     const getCount = (imp) => rules.filter(r => r.impact === imp).length;
     
     const FilterLabel = (id, label, value = '', isImpact = true) => `
@@ -193,6 +494,14 @@ export const FilterBar = (rules, impacts, hasNewRules) => {
                     ${hasNewRules ? FilterLabel('filter-new', 'New', '', false) : ''}
                 </div>
             </fieldset>
+            ${viewports.length > 1 ? `
+            <div class="filter-row">
+                <label class="filter-label" for="filter-viewport">Viewport:</label>
+                <select id="filter-viewport" class="filter-select">
+                    <option value="">All viewports</option>
+                    ${viewports.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('')}
+                </select>
+            </div>` : ''}
         </form>
     </section>`;
 };
@@ -211,12 +520,25 @@ export const FilterScript = () => `
         const filterAll = form.querySelector('#filter-all');
         const impactBoxes = form.querySelectorAll('.filter-impact');
         const filterNew = form.querySelector('#filter-new');
+        const filterViewport = form.querySelector('#filter-viewport');
         
         const rules = root.querySelectorAll('.rule');
 
+        // Show only one viewport's occurrences; returns how many remain visible in the rule
+        function filterOccurrences(rule, viewport) {
+            let shown = 0;
+            rule.querySelectorAll('.occurrence').forEach(o => {
+                const match = !viewport || o.dataset.viewport === viewport;
+                o.style.display = match ? '' : 'none';
+                if (match) shown++;
+            });
+            return shown;
+        }
+
         function applyFilters() {
             const activeImpacts = [...impactBoxes].filter(cb => cb.checked).map(cb => cb.value);
             const newOnly = filterNew && filterNew.checked;
+            const viewport = filterViewport ? filterViewport.value : '';
 
             rules.forEach(rule => {
                 const impact = rule.dataset.impact;
@@ -234,6 +556,8 @@ export const FilterScript = () => `
                         visible = visible && isNew;
                     }
                 }
+
+                if (filterOccurrences(rule, viewport) === 0 && viewport) visible = false;
                 rule.style.display = visible ? '' : 'none';
             });
         }
@@ -251,10 +575,55 @@ export const FilterScript = () => `
             });
         });
 
+        if (filterViewport) filterViewport.addEventListener('change', applyFilters);
+
         applyFilters();
     })();
 `;
 
+/**
+ * Renders the dialog used to enlarge element screenshots.
+ */
+export const Lightbox = () => `
+    <dialog class="lightbox" id="screenshot-lightbox" aria-label="Element screenshot">
+        <form method="dialog" class="lightbox__bar">
+            <button class="lightbox__close" type="submit">Close</button>
+        </form>
+        <img class="lightbox__image" alt="">
+    </dialog>
+`;
+
+/**
+ * Returns the client-side script that opens screenshot thumbnails in the lightbox.
+ * Without JS (or <dialog> support) the thumbnail link simply opens the image.
+ */
+export const LightboxScript = () => `
+    (function () {
+        const currentScript = document.currentScript;
+        const root = currentScript ? currentScript.parentElement : document;
+
+        const dialog = root.querySelector('#screenshot-lightbox');
+        if (!dialog || typeof dialog.showModal !== 'function') return;
+
+        const image = dialog.querySelector('.lightbox__image');
+
+        root.querySelectorAll('[data-lightbox]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const thumb = link.querySelector('img');
+                image.src = link.href;
+                image.alt = thumb ? thumb.alt : '';
+                dialog.showModal();
+            });
+        });
+
+        // Clicking the backdrop closes the dialog
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) dialog.close();
+        });
+    })();
+`;
+
 /**
  * Renders a full Rule details component.
  */
@@ -271,7 +640,7 @@ export const Rule = (rule) => `
             <span class="rule__details">
                 <span class="rule__impact rule__impact--${rule.impact || 'minor'}">${escapeHtml(rule.impact)}</span>
                 ${WcagBadge(escapeHtml(rule.wcagLevel))}
-                <span class="rule__diff">▲ ${rule.diff.new} / ▼ ${rule.diff.resolved}</span>
+                <span class="rule__diff">▲ ${rule.diff.new} / ▼ ${rule.diff.resolved}${rule.diff.moved ? ` / ↔ ${rule.diff.moved}` : ''}</span>
             </span>
         </summary>
         <div class="rule__content">
@@ -279,4 +648,55 @@ export const Rule = (rule) => `
             <div class="rule__rationale"><strong>Why this matters:</strong><p>${escapeHtml(rule.rationale)}</p></div>
             ${rule.occurrences.map(o => Occurrence(o)).join('')}
         </div>
-    </details>`;
\ No newline at end of file
+    </details>`;
+
+/**
+ * Renders a "needs manual review" rule. Axe could not decide these automatically,
+ * so they carry no diff badges and are kept apart from violations.
+ */
+export const ReviewRule = (rule) => `
+    <details class="rule rule--review" id="review-${rule.id}" data-impact="${rule.impact || 'minor'}">
+        <summary class="rule__summary">
+            <span class="rule__title">
+                <span class="rule__name--wrapper">
+                    ${rule.displayName || rule.id}
+                    ${Badge('NEEDS REVIEW', 'review')}
+                </span>
+            </span>
+            <span class="rule__details">
+                ${WcagBadge(escapeHtml(rule.wcagLevel))}
+                <span class="priority-count">${rule.occurrences.length} elements on ${rule.pagesAffected} pages</span>
+            </span>
+        </summary>
+        <div class="rule__content">
+            <p class="rule__description">${escapeHtml(rule.description)}</p>
+            ${rule.occurrences.map(o => Occurrence(o)).join('')}
+        </div>
+    </details>`;
+
+/**
+ * Renders the "Needs manual review" section with rule coverage figures.
+ */
+export const ReviewSection = (reviewRules = [], coverage = null) => {
+    if (!reviewRules.length && !coverage) return '';
+
+    const coverageHtml = coverage ? `
+        <p class="review-coverage">
+            <strong>${coverage.passed}</strong> rules passed,
+            <strong>${coverage.violated}</strong> rules failed and
+            <strong>${coverage.needsReview}</strong> need a human decision.
+        </p>` : '';
+
+    return `
+    <section class="review-section" aria-labelledby="review-title">
+        <h2 class="review-title" id="review-title">Needs Manual Review</h2>
+        <p class="priority-description">
+            Axe could not determine these automatically (for example, text over a background image).
+            They are not counted as violations or in the new/resolved totals.
+        </p>
+        ${coverageHtml}
+        ${reviewRules.length
+            ? `<div class="review-container">${reviewRules.map(rule => ReviewRule(rule)).join('')}</div>`
+            : '<p>No items need manual review.</p>'}
+    </section>`;
+};
@@ -14,6 +14,14 @@ export function loadJsonIfExists(filePath) {
   }
 }
 
+/**
+ * Number of distinct pages in a run's raw results.
+ * Multi-viewport runs hold one result per page and viewport, so this is not rawResults.length.
+ */
+export function countPages(rawResults) {
+  return new Set(rawResults.map(page => page.url)).size;
+}
+
 /**
  * Strip child elements from an HTML string, leaving only the outermost tag.
  * If input is not a string or empty, returns ''.
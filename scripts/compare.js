@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadJsonIfExists } from '../lib/utils.js';
+import { getFriendlyNames } from '../lib/enrich/enrichRules.js';
+import { compareAudits } from '../lib/diff/compareAudits.js';
+import { findAuditFile, getSiteSlug } from '../lib/io/auditFiles.js';
+import { writeCompareHtml } from '../lib/io/compareHtml.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RESULTS_DIR = path.resolve(process.cwd(), 'results');
+
+/**
+ * Reads a `--name value` or `--name=value` CLI argument.
+ */
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(a => a.startsWith(`--${name}=`));
+  if (inline) return inline.slice(name.length + 3);
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * A processed audit given as a path, or as a run ID from the audit history (a file in results/).
+ */
+function resolveAudit(ref) {
+  if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return path.resolve(ref);
+  return findAuditFile(ref, RESULTS_DIR);
+}
+
+// `--base <run ID or file>` is the earlier audit. `--head` defaults to the site's latest audit.
+const BASE = getArg('base');
+const HEAD = getArg('head');
+const OUT = getArg('out');
+
+try {
+  if (!BASE) {
+    throw new Error('❌ Usage: npm run compare -- --base <run ID or file> [--head <run ID or file>] [--out report.html]');
+  }
+
+  const baseFile = resolveAudit(BASE);
+  let headFile;
+  if (HEAD) {
+    headFile = resolveAudit(HEAD);
+  } else {
+    // latest-<site>.json is a copy of the newest audit; name the comparison after the original
+    const slug = getSiteSlug(JSON.parse(fs.readFileSync(baseFile, 'utf-8')).site);
+    const latestFile = findAuditFile(`latest-${slug}`, RESULTS_DIR);
+    const { timestamp } = JSON.parse(fs.readFileSync(latestFile, 'utf-8'));
+    const original = path.join(RESULTS_DIR, `audit-results-${slug}-${timestamp}.json`);
+    headFile = fs.existsSync(original) ? original : latestFile;
+  }
+
+  const friendlyNames = getFriendlyNames(loadJsonIfExists(path.join(__dirname, '../data/axe-rules-4.11.1.json')));
+  const comparison = compareAudits(baseFile, headFile, { friendlyNames });
+
+  if (comparison.configChanged) {
+    console.warn('⚠️ The two audits ran with different axe options. Some changes may reflect the config, not the site.');
+  }
+
+  if (!fs.existsSync(RESULTS_DIR)) fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  const htmlPath = OUT
+    ? path.resolve(OUT)
+    : path.join(RESULTS_DIR, `compare-${getSiteSlug(comparison.site || 'audit')}-${comparison.base.timestamp}-vs-${comparison.head.timestamp}.html`);
+  writeCompareHtml({ htmlPath, comparison });
+
+  const { totals } = comparison;
+  console.log('\n--- 🔀 AUDIT COMPARISON ---');
+  console.log(`Site:          ${comparison.site}`);
+  console.log(`Base:          ${comparison.base.id}`);
+  console.log(`Head:          ${comparison.head.id}`);
+  console.log(`New Issues:    ${totals.new} ${totals.new > 0 ? '⚠️' : '✅'}`);
+  console.log(`Resolved:      ${totals.resolved} 🎉`);
+  console.log(`Persisted:     ${totals.persisted}${totals.moved > 0 ? ` (${totals.moved} moved)` : ''}`);
+  console.log('---------------------------\n');
+  console.log(`✅ Comparison report written to: ${htmlPath}`);
+} catch (err) {
+  console.error(err.message.startsWith('❌') ? err.message : `❌ Comparison failed: ${err.message}`);
+  process.exit(1);
+}
@@ -1,11 +1,107 @@
 #!/usr/bin/env node
 import { fetchUrls } from '../lib/fetchUrls.js';
+import { loadAuthConfig } from '../lib/auth/authSession.js';
+import { createRunId, getRunPaths, updateRunManifest } from '../lib/io/auditRun.js';
+import { getPreviousAuditTime } from '../lib/io/auditFiles.js';
+import { loadProjectConfig } from '../lib/config/projectConfig.js';
+import { resolvePageFilters } from '../lib/config/pageFilters.js';
+import { resolvePolitenessOptions, createPoliteness } from '../lib/crawl/politeness.js';
 
-const siteUrl = process.argv[2] || process.env.SITE_URL;
+const args = process.argv.slice(2);
 
-fetchUrls(siteUrl)
+// Value of a `--flag value` argument (undefined if absent or given without a value).
+// A URL is never a flag value, so `--run https://example.com` means a new run for that site.
+const valueIndex = flag => {
+  const index = args.indexOf(flag);
+  const value = index !== -1 ? args[index + 1] : undefined;
+  return value && !value.startsWith('--') && !value.includes('://') ? index + 1 : -1;
+};
+const valueOf = flag => args[valueIndex(flag)];
+
+// Every value of a repeatable flag (`--exclude /a --exclude /b`), with the indexes they occupy
+const valuesOf = flag => args
+  .map((arg, i) => (arg === flag && args[i + 1] && !args[i + 1].startsWith('--') ? i + 1 : -1))
+  .filter(i => i !== -1);
+
+// A user agent string may contain a URL (`Bot/1.0 (+https://example.com/bot)`), so its value is taken as-is
+const userAgentIndex = (() => {
+  const index = args.indexOf('--user-agent');
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--') ? index + 1 : -1;
+})();
+
+const VALUE_FLAGS = ['--auth', '--run', '--config', '--sample', '--changed-since', '--rate', '--delay'];
+const flagValueIndexes = new Set([
+  ...VALUE_FLAGS.map(valueIndex),
+  userAgentIndex,
+  ...valuesOf('--include'),
+  ...valuesOf('--exclude'),
+  ...valuesOf('--keep-query')
+]);
+const authFile = valueOf('--auth') || process.env.AUDIT_AUTH_FILE;
+const configFile = valueOf('--config') || process.env.AUDIT_CONFIG_FILE;
+const positional = args.filter((a, i) => !a.startsWith('--') && !flagValueIndexes.has(i));
+const siteUrl = positional[0] || process.env.SITE_URL;
+
+// `--run <id>` (or a bare `--run` for a new ID) writes the URL list into that run's directory
+// instead of the shared urls-clean.txt; pass the same ID to run-audit and process-results.
+const runId = args.includes('--run') ? (valueOf('--run') || createRunId()) : null;
+
+// Which pages to keep, added to the project config's `pages` section:
+// `--include '/products/**'` and `--exclude 're:/print$'` (repeatable), and `--sample 3`
+// to audit 3 representatives of each path group (e.g. /products/*) instead of every page.
+// `--keep-query page` (repeatable) keeps a query parameter that routes to different pages, and
+// `--dedupe` requests each sitemap page to merge redirects and canonical duplicates
+const pageOverrides = {
+  include: valuesOf('--include').map(i => args[i]),
+  exclude: valuesOf('--exclude').map(i => args[i]),
+  sample: valueOf('--sample') !== undefined ? Number(valueOf('--sample')) : undefined,
+  queryParams: valuesOf('--keep-query').map(i => args[i]),
+  dedupe: args.includes('--dedupe') || undefined
+};
+
+// How politely to fetch, over the project config's `crawl` section: `--respect-robots` skips pages
+// robots.txt disallows, `--rate 2` allows 2 requests per second, `--delay 1000` waits 1s between them,
+// and `--user-agent 'A11yAuditBot/1.0'` identifies the crawler
+const crawlOverrides = {
+  respectRobotsTxt: args.includes('--respect-robots') || undefined,
+  requestsPerSecond: valueOf('--rate') !== undefined ? Number(valueOf('--rate')) : undefined,
+  delayMs: valueOf('--delay') !== undefined ? Number(valueOf('--delay')) : undefined,
+  userAgent: args[userAgentIndex]
+};
+
+/**
+ * Incremental audits: `--changed-since 2025-01-01` keeps only sitemap pages whose lastmod is later;
+ * `--incremental` uses the time of the site's last full audit (results/latest-<site>.json).
+ */
+function getChangedSince() {
+  if (valueOf('--changed-since')) {
+    const date = new Date(valueOf('--changed-since'));
+    if (Number.isNaN(date.getTime())) throw new Error(`❌ Invalid --changed-since date: ${valueOf('--changed-since')}`);
+    return date;
+  }
+  if (!args.includes('--incremental')) return null;
+
+  const previous = getPreviousAuditTime(siteUrl);
+  if (!previous) console.warn(`⚠️ No previous audit of ${siteUrl} found; auditing every page.`);
+  return previous;
+}
+
+Promise.resolve()
+  // Creates the run directory and records the site for the later stages
+  .then(() => runId && updateRunManifest(runId, { site: siteUrl }))
+  .then(() => fetchUrls(siteUrl, runId ? getRunPaths(runId).urlsFile : null, null, {
+    auth: loadAuthConfig(authFile),
+    pages: resolvePageFilters(loadProjectConfig(configFile), pageOverrides),
+    changedSince: getChangedSince(),
+    politeness: createPoliteness(resolvePolitenessOptions(loadProjectConfig(configFile), crawlOverrides))
+  }))
   .then(urls => {
+    if (urls.length === 0) return;
     console.log(`✅ Finished fetching ${urls.length} URLs.`);
+    if (runId) {
+      console.log(`🆔 Run ID: ${runId}`);
+      console.log(`👉 Next: npm run run-audit -- --run ${runId} && npm run process-results -- --run ${runId}`);
+    }
   })
   .catch(err => {
     console.error(err.message);
@@ -10,22 +10,33 @@ import { fileURLToPath } from 'url';
 // ==========================
 // Custom utilities
 // ==========================
-import { loadJsonIfExists, stripChildren } from '../lib/utils.js';
+import { loadJsonIfExists, stripChildren, countPages } from '../lib/utils.js';
 
 // ==========================
 // Core audit logic modules
 // ==========================
 import { aggregateRules } from '../lib/aggregate/aggregateRules.js'; 
+import { buildPageInventory, collectFailedPages, summarizeFailedPages } from '../lib/aggregate/pageInventory.js';
 import { diffRules } from '../lib/diff/diffRules.js'; 
-import { enrichRules } from '../lib/enrich/enrichRules.js'; 
+import { enrichRules, getFriendlyNames } from '../lib/enrich/enrichRules.js'; 
+import { collectAxeConfigs } from '../lib/config/axeOptions.js';
+import { collectViewports } from '../lib/config/viewports.js';
+import { collectPageGroups } from '../lib/config/pageFilters.js';
+import { loadBaseline, applyBaseline } from '../lib/config/baseline.js';
+import { loadPolicy, evaluatePolicy } from '../lib/config/policy.js';
 
 // ==========================
 // IO modules
 // ==========================
 import { getSiteUrl, createAuditFiles, readPreviousAudit, writeAuditJson } from '../lib/io/auditFiles.js';
+import { readRunManifest } from '../lib/io/auditRun.js';
 import { writeAuditCsv } from '../lib/io/auditCsv.js'; 
 import { writeAuditHtml } from '../lib/io/auditHtml.js'; 
 import { writeExecHtml } from '../lib/io/execHtml.js';
+import { writeAuditJunit } from '../lib/io/auditJunit.js';
+import { writeAuditSarif } from '../lib/io/auditSarif.js';
+import { publishScreenshots } from '../lib/io/auditScreenshots.js';
+import { sendToParent } from '../lib/jobs/childMessages.js';
 
 // ==========================
 // __filename & __dirname setup for ES Modules
@@ -33,6 +44,48 @@ import { writeExecHtml } from '../lib/io/execHtml.js';
 const __filename = fileURLToPath(import.meta.url); 
 const __dirname = path.dirname(__filename); 
 
+/**
+ * Reads a `--name value` or `--name=value` CLI argument.
+ */
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(a => a.startsWith(`--${name}=`));
+  if (inline) return inline.slice(name.length + 3);
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Where an optional report is written: `--name=path`, or `--name` alone for the default
+ * next to the other results. Null when the flag isn't given.
+ */
+function getOutputPath(name, defaultPath) {
+  const args = process.argv.slice(2);
+  const inline = args.find(a => a.startsWith(`--${name}=`));
+  if (inline) return path.resolve(inline.slice(name.length + 3));
+  return args.includes(`--${name}`) ? defaultPath : null;
+}
+
+/**
+ * Newest raw results file in rawDir (legacy behaviour when no run or file is named).
+ */
+function findNewestRawFile(rawDir) {
+  const files = fs.readdirSync(rawDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({
+      name: file,
+      time: fs.statSync(path.join(rawDir, file)).mtime.getTime()
+    }))
+    .sort((a, b) => b.time - a.time); 
+
+  if (files.length === 0) {
+    throw new Error(`❌ No JSON results found in ${rawDir}. Did you run the audit first?`);
+  }
+
+  console.warn('⚠️ No --raw or --run given; using the newest raw results file. Pass one explicitly when several audits may run at once.');
+  return path.join(rawDir, files[0].name);
+}
+
 // ==========================
 // Main async IIFE
 // ==========================
@@ -46,40 +99,46 @@ const __dirname = path.dirname(__filename);
     const RATIONALES = loadJsonIfExists(path.join(__dirname, '../data/rationales.json'));
 
     // ==========================
-    // Load raw Axe results (Find latest in /raw/)
+    // Load raw Axe results: `--raw <file>`, the file recorded for `--run <id>`,
+    // or (legacy) the newest file in /raw/
     // ==========================
     const RAW_DIR = path.resolve(process.cwd(), 'raw');
-    
-    if (!fs.existsSync(RAW_DIR)) {
-      throw new Error(`❌ Raw directory not found: ${RAW_DIR}`);
-    }
+    const RUN_ID = getArg('run');
+    const runManifest = RUN_ID ? readRunManifest(RUN_ID, RAW_DIR) : null;
 
-    const files = fs.readdirSync(RAW_DIR)
-      .filter(file => file.endsWith('.json'))
-      .map(file => ({
-        name: file,
-        time: fs.statSync(path.join(RAW_DIR, file)).mtime.getTime()
-      }))
-      .sort((a, b) => b.time - a.time); 
+    if (RUN_ID && !runManifest?.rawFile) {
+      throw new Error(`❌ Run ${RUN_ID} has no raw results. Run the audit with --run ${RUN_ID} first.`);
+    }
 
-    if (files.length === 0) {
-      throw new Error(`❌ No JSON results found in ${RAW_DIR}. Did you run the audit first?`);
+    let RAW_FILE;
+    if (getArg('raw')) {
+      RAW_FILE = path.resolve(getArg('raw'));
+      if (!fs.existsSync(RAW_FILE)) throw new Error(`❌ Raw results file not found: ${RAW_FILE}`);
+    } else if (runManifest) {
+      RAW_FILE = runManifest.rawFile;
+    } else {
+      if (!fs.existsSync(RAW_DIR)) {
+        throw new Error(`❌ Raw directory not found: ${RAW_DIR}`);
+      }
+      RAW_FILE = findNewestRawFile(RAW_DIR);
     }
 
-    const LATEST_RAW_FILE = path.join(RAW_DIR, files[0].name);
-    console.log(`🔎 Found latest results: ${files[0].name}`);
+    const RAW_FILE_NAME = path.basename(RAW_FILE);
+    console.log(`🔎 Processing results: ${RAW_FILE_NAME}`);
 
     let rawResults;
     try {
-      rawResults = JSON.parse(fs.readFileSync(LATEST_RAW_FILE, 'utf-8'));
+      rawResults = JSON.parse(fs.readFileSync(RAW_FILE, 'utf-8'));
     } catch (err) {
-      throw new Error(`❌ Failed to parse ${files[0].name}: ${err.message}`);
+      throw new Error(`❌ Failed to parse ${RAW_FILE_NAME}: ${err.message}`);
     }
 
-    const SITE_URL = getSiteUrl(rawResults);
+    // `--site` (or the site recorded for the run) names the report; otherwise it is derived from the first URL
+    const SITE_URL = getArg('site') || runManifest?.site || getSiteUrl(rawResults);
 
     const {
       resultsDir: RESULTS_DIR,
+      baseName: BASE_NAME,
       files: { html: HTML_FILE, csv: CSV_FILE, json: JSON_FILE, latestJson: PREV_JSON_FILE },
       timestamp: TIMESTAMP
     } = createAuditFiles({ siteUrl: SITE_URL });
@@ -87,24 +146,91 @@ const __dirname = path.dirname(__filename);
     // ==========================
     // Aggregate & enrich rules
     // ==========================
-    const { rules: aggregatedRules, summary: aggSummary } = aggregateRules(rawResults, { stripChildren });
+    const {
+      rules: aggregatedRules,
+      summary: aggSummary,
+      reviewRules: aggregatedReviewRules,
+      coverage
+    } = aggregateRules(rawResults, { stripChildren });
 
-    const rules = enrichRules(aggregatedRules, { 
+    const enrichOptions = { 
       axeMetadata: AXE_RULE_METADATA, 
       wcagTags: WCAG_TAGS, 
       rationales: RATIONALES 
+    };
+
+    // Element screenshots (if captured) are copied next to the report that links them
+    const rules = publishScreenshots(enrichRules(aggregatedRules, enrichOptions), {
+      resultsDir: RESULTS_DIR,
+      baseName: BASE_NAME
     });
 
+    // "Needs manual review" items are enriched for display but never diffed or counted as violations
+    const reviewRules = enrichRules(aggregatedReviewRules, enrichOptions);
+
     const currentRuleIds = new Set(rules.map(rule => rule.id));
 
     // ==========================
     // Compute diffs from previous audit (IMMUTABLE)
     // ==========================
+    const axeConfig = collectAxeConfigs(rawResults);
+    const viewports = collectViewports(rawResults);
+    const pageGroups = collectPageGroups(rawResults);
+
+    // HTTP status, final URL, title and timing of every page, with error pages and redirects flagged
+    const pageInventory = buildPageInventory(rawResults);
+    const flaggedPages = pageInventory.pages.filter(p => p.flags.length > 0 && !p.flags.includes('failed'));
+    if (flaggedPages.length > 0) {
+      console.warn(`⚠️ ${flaggedPages.length} audited page(s) returned an error, look like an error page, or redirected. See the Page Inventory.`);
+    }
+
+    // Pages that never loaded are reported on their own and not counted as audited
+    // Counted by URL; multi-viewport runs also say at which viewports they failed
+    const failedPages = collectFailedPages(rawResults);
+    const failedSummary = summarizeFailedPages(failedPages);
+    const failedViewports = Object.entries(failedSummary.byViewport).map(([viewport, count]) => `${viewport}: ${count}`).join(', ');
+    if (failedPages.length > 0) {
+      console.warn(`⚠️ ${failedSummary.pages} page(s) could not be audited${failedViewports ? ` (failed at ${failedViewports})` : ''}. Their issues are unknown and left out of this report.`);
+    }
+
+    // An incremental audit (fetch-urls --incremental) only covers pages changed since the last
+    // full audit: diff just those pages, and keep the full audit as the baseline
+    const changedSince = rawResults.find(page => page.changedSince)?.changedSince || null;
+    const auditedPages = changedSince ? new Set(rawResults.map(page => page.url)) : null;
+    if (changedSince) {
+      console.log(`🕒 Incremental audit of pages changed since ${changedSince}; comparing only those pages.`);
+    }
+
+    // The previous audit is the site's results/latest-<site>.json. Rules carry no site slug, so without
+    // the file name diffRules would look for latest-unknown.json and never find an earlier audit.
     const { 
-        rules: diffedRules, 
+        rules: comparedRules, 
         diffTotals, 
-        fullyResolvedRules 
-    } = diffRules(rules, RESULTS_DIR, AXE_RULE_METADATA);
+        fullyResolvedRules,
+        configChanged,
+        compared
+    } = diffRules(rules, RESULTS_DIR, getFriendlyNames(AXE_RULE_METADATA), path.basename(PREV_JSON_FILE), { axeConfig, pages: auditedPages });
+
+    if (configChanged) {
+      console.warn('⚠️ Axe options differ from the previous audit of this site. New/resolved counts may reflect the config change, not the site.');
+    }
+
+    // Occurrences accepted in the baseline (`--baseline file`, AUDIT_BASELINE_FILE or ./audit.baseline.json)
+    // are still reported, but don't fail the CI gate until their acceptance expires
+    const baselineFile = loadBaseline(getArg('baseline') || process.env.AUDIT_BASELINE_FILE);
+    const { rules: diffedRules, summary: baselineSummary } = applyBaseline(comparedRules, baselineFile.entries);
+    const baseline = baselineFile.file ? { file: baselineFile.file, fileName: path.basename(baselineFile.file), ...baselineSummary } : null;
+    if (baseline) {
+      console.log(`📋 Baseline ${baseline.fileName}: ${baseline.accepted} accepted occurrence(s)`);
+      baseline.expired.forEach(e => console.warn(`⚠️ Acceptance expired ${e.expires} (${e.owner}): ${e.key}`));
+      if (baseline.unused.length > 0) {
+        console.warn(`⚠️ ${baseline.unused.length} baseline entr${baseline.unused.length === 1 ? 'y matches' : 'ies match'} no current issue and can be removed.`);
+      }
+    }
+
+    // The CI policy (`--policy file`, AUDIT_POLICY_FILE or ./audit.policy.json, plus the
+    // FAIL_ON_ACCESSIBILITY_* flags) is loaded now, so a broken one fails before any report is written
+    const policy = loadPolicy(getArg('policy') || process.env.AUDIT_POLICY_FILE);
 
     // ==========================
     // Compute priority rules (Weighted Scoring)
@@ -126,7 +252,7 @@ const __dirname = path.dirname(__filename);
         .slice(0, 5);
     }
 
-    const totalPagesAudited = rawResults.length;
+    const totalPagesAudited = countPages(rawResults.filter(page => !page.error));
     const priorityPages = new Set();
     let priorityOccurrencesCount = 0;
 
@@ -154,11 +280,22 @@ const __dirname = path.dirname(__filename);
     writeAuditJson({
       jsonPath: JSON_FILE,
       latestJsonPath: PREV_JSON_FILE,
+      updateLatest: !changedSince,
       data: {
         site: SITE_URL,
-        pagesAudited: rawResults.length,
+        pagesAudited: totalPagesAudited,
         rules: diffedRules,
+        needsReview: reviewRules,
+        coverage,
         diffTotals,
+        axeConfig,
+        configChanged,
+        viewports,
+        pageGroups,
+        pageInventory,
+        failedPages,
+        baseline: baseline && { file: baseline.fileName, accepted: baseline.accepted, expired: baseline.expired, unused: baseline.unused },
+        incremental: changedSince ? { changedSince } : null,
         timestamp: TIMESTAMP
       }
     });
@@ -166,7 +303,7 @@ const __dirname = path.dirname(__filename);
     // ==========================
     // Write CSV output
     // ==========================
-    writeAuditCsv(diffedRules, CSV_FILE);
+    writeAuditCsv(diffedRules, CSV_FILE, reviewRules);
 
     // ==========================
     // Write HTML output
@@ -174,11 +311,21 @@ const __dirname = path.dirname(__filename);
     writeAuditHtml({
       htmlPath: HTML_FILE,
       siteUrl: SITE_URL,
-      pagesAudited: rawResults.length,
+      pagesAudited: totalPagesAudited,
       rules: diffedRules,
+      reviewRules,
+      coverage,
       priorityRules,
       fullyResolvedRules,
       diffTotals,
+      axeConfig,
+      configChanged,
+      viewports,
+      pageGroups,
+      pageInventory,
+      failedPages,
+      baseline,
+      changedSince,
       summary: aggSummary, 
       percentOfViolations: prioritySummary.percentOfViolations, 
       percentOfPages: prioritySummary.percentOfPages, 
@@ -193,51 +340,90 @@ const __dirname = path.dirname(__filename);
       siteUrl: SITE_URL,
       rawResults: rawResults,
       rules: diffedRules,
+      failedPages,
       prioritySummary: prioritySummary
     });
 
     // ==========================
-    // Log filenames
+    // Write CI formats (`--junit`, `--sarif`)
+    // ==========================
+    const JUNIT_FILE = getOutputPath('junit', path.join(RESULTS_DIR, `${BASE_NAME}.junit.xml`));
+    if (JUNIT_FILE) {
+      writeAuditJunit({
+        junitPath: JUNIT_FILE,
+        siteUrl: SITE_URL,
+        rules: diffedRules,
+        pages: pageInventory.pages.filter(p => !p.error).map(p => p.url),
+        failedPages
+      });
+    }
+
+    const SARIF_FILE = getOutputPath('sarif', path.join(RESULTS_DIR, `${BASE_NAME}.sarif`));
+    if (SARIF_FILE) {
+      writeAuditSarif({
+        sarifPath: SARIF_FILE,
+        rules: diffedRules,
+        reviewRules,
+        failedPages,
+        compared,
+        toolVersion: loadJsonIfExists(path.join(__dirname, '../package.json'))?.version
+      });
+    }
+
     // ==========================
-    console.log(JSON.stringify({
+    // Log filenames (and hand them to the server, when run from it)
+    // ==========================
+    const artifacts = {
       json: path.basename(JSON_FILE),
       csv: path.basename(CSV_FILE),
-      html: path.basename(HTML_FILE)
-    }));
+      html: path.basename(HTML_FILE),
+      executive: path.basename(HTML_FILE.replace('.html', '-executive.html')),
+      ...(JUNIT_FILE ? { junit: path.basename(JUNIT_FILE) } : {}),
+      ...(SARIF_FILE ? { sarif: path.basename(SARIF_FILE) } : {})
+    };
+    console.log(JSON.stringify(artifacts));
+    await sendToParent({ type: 'artifacts', files: artifacts });
 
     // ==========================
     // Terminal Scorecard
     // ==========================
     console.log('\n--- 📊 AUDIT SCORECARD ---');
-    console.log(`Source File:  ${files[0].name}`);
+    console.log(`Source File:  ${RAW_FILE_NAME}`);
     console.log(`Site:          ${SITE_URL}`);
-    console.log(`Pages:         ${rawResults.length}`);
+    console.log(`Pages:         ${totalPagesAudited}`);
+    if (failedPages.length > 0) console.log(`Not Audited:   ${failedSummary.pages} ⚠️${failedViewports ? ` (${failedViewports})` : ''}`);
     console.log(`Total Issues:  ${totalOccurrencesOverall}`);
+    console.log(`Needs Review:  ${reviewRules.reduce((acc, r) => acc + r.occurrences.length, 0)}`);
     console.log(`New Issues:    ${diffTotals.newViolations} ${diffTotals.newViolations > 0 ? '⚠️' : '✅'}`);
     console.log(`Resolved:      ${diffTotals.resolvedViolations} 🎉`);
+    if (diffTotals.moved > 0) console.log(`Moved:         ${diffTotals.moved} ↔️`);
+    if (baseline) console.log(`Accepted:      ${baseline.accepted}${baseline.expired.length > 0 ? ` (${baseline.expired.length} expired ⚠️)` : ''}`);
     console.log('--------------------------\n');
 
     // ==========================
-    // CI Exit Code Gate
+    // CI Policy Gate
     // ==========================
-    const shouldFailOnCritical = process.env.FAIL_ON_ACCESSIBILITY_CRITICAL === 'true';
-    const shouldFailOnRegressions = process.env.FAIL_ON_ACCESSIBILITY_REGRESSIONS === 'true';
-
-    let failReason = null;
-
-    const criticalRules = diffedRules.filter(r => r.impact === 'critical');
-    if (shouldFailOnCritical && criticalRules.length > 0) {
-      failReason = `🛑 [CI FAILURE] ${criticalRules.length} critical rules violated.`;
-    }
-
-    if (shouldFailOnRegressions && diffTotals.newViolations > 0) {
-      failReason = `🛑 [CI FAILURE] ${diffTotals.newViolations} new violations introduced.`;
-    }
+    if (policy) {
+      const { breaches, exitCode } = evaluatePolicy(policy, {
+        rules: diffedRules,
+        // Accepted occurrences are left out, of the score too; expired acceptances count again, and fail the gate themselves
+        newViolations: diffTotals.newViolations - (baseline?.acceptedNew || 0),
+        pagesAudited: totalPagesAudited,
+        expiredAcceptances: baseline?.expired || [],
+        baselineFile: baseline?.fileName
+      });
 
-    if (failReason) {
-      console.error(failReason);
-      criticalRules.forEach(r => console.error(`   - ${r.displayName || r.id}`));
-      process.exit(1); 
+      if (breaches.length > 0) {
+        const failReason = `🛑 [CI FAILURE] ${breaches.length} policy check(s) failed${policy.file ? ` (${path.basename(policy.file)})` : ''}.`;
+        console.error(failReason);
+        breaches.forEach(b => {
+          console.error(`   - [${b.check}] ${b.message}`);
+          (b.rules || []).forEach(id => console.error(`       ${id}`));
+        });
+        await sendToParent({ type: 'error', message: `${failReason} ${breaches.map(b => b.message).join(' ')}` });
+        process.exit(exitCode);
+      }
+      console.log(`✅ CI policy passed${policy.file ? ` (${path.basename(policy.file)})` : ''}.`);
     }
 
     // ==========================
@@ -245,8 +431,8 @@ const __dirname = path.dirname(__filename);
     // ==========================
     if (process.env.CI === 'true') {
       try {
-        if (fs.existsSync(LATEST_RAW_FILE)) {
-          fs.unlinkSync(LATEST_RAW_FILE);
+        if (fs.existsSync(RAW_FILE)) {
+          fs.unlinkSync(RAW_FILE);
           console.log(`🧹 CI Cleanup: Removed raw results file.`);
         }
       } catch (err) {
@@ -260,6 +446,7 @@ const __dirname = path.dirname(__filename);
 
   } catch (err) {
     console.error('❌ Error during processing:', err);
+    await sendToParent({ type: 'error', message: `Error during processing: ${err.message.replace(/^❌ /, '')}` });
     process.exit(1);
   }
 })();
\ No newline at end of file
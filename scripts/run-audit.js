@@ -2,10 +2,85 @@
 import fs from 'fs';
 import path from 'path';
 import { runAudit } from '../lib/runAudit.js';
+import { getCheckpointPath, loadCheckpoint, clearCheckpoint } from '../lib/io/auditCheckpoint.js';
+import { getRunPaths, updateRunManifest } from '../lib/io/auditRun.js';
+import { loadAuthConfig } from '../lib/auth/authSession.js';
+import { loadFlows, getFlowsForUrl } from '../lib/flows/userFlows.js';
+import { loadProjectConfig } from '../lib/config/projectConfig.js';
+import { buildAxeConfig } from '../lib/config/axeOptions.js';
+import { resolveViewports } from '../lib/config/viewports.js';
+import { sendToParent } from '../lib/jobs/childMessages.js';
+import { readUrlListMeta } from '../lib/io/urlListMeta.js';
+import { resolvePolitenessOptions, createPoliteness } from '../lib/crawl/politeness.js';
+import { resolveRetryPolicy } from '../lib/config/retryPolicy.js';
 
-const URLS_FILE = 'urls-clean.txt';
 const OUTPUT_DIR = './raw';
 
+/**
+ * Reads a `--name value` or `--name=value` CLI argument.
+ */
+function getArg(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(a => a.startsWith(`--${name}=`));
+  if (inline) return inline.slice(name.length + 3);
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// `--run <id>` reads the URL list fetch-urls wrote for that run, keeps the checkpoint with it,
+// and records the raw results file in the run's manifest for process-results
+const RUN_ID = getArg('run');
+const RUN_PATHS = RUN_ID ? getRunPaths(RUN_ID, path.resolve(OUTPUT_DIR)) : null;
+
+// URL list to audit: `--urls file`, the run's list, or urls-clean.txt
+const URLS_FILE = getArg('urls') || RUN_PATHS?.urlsFile || 'urls-clean.txt';
+
+// Parallel workers: `--concurrency 4` or AUDIT_CONCURRENCY=4
+const CONCURRENCY = parseInt(getArg('concurrency') || process.env.AUDIT_CONCURRENCY || '1', 10) || 1;
+
+// `--resume` continues the last interrupted run from its checkpoint
+const RESUME = process.argv.includes('--resume');
+const CHECKPOINT_FILE = getArg('checkpoint')
+  ? path.resolve(getArg('checkpoint'))
+  : RUN_PATHS?.checkpointFile || getCheckpointPath(path.resolve(OUTPUT_DIR));
+
+// Authenticated auditing: `--auth auth.json` or AUDIT_AUTH_FILE=auth.json
+const AUTH_FILE = getArg('auth') || process.env.AUDIT_AUTH_FILE;
+
+// Scripted interactions: `--flows flows.json` or AUDIT_FLOWS_FILE=flows.js
+const FLOWS_FILE = getArg('flows') || process.env.AUDIT_FLOWS_FILE;
+
+// Project config (axe tags, include/exclude, disabled rules): `--config file` or AUDIT_CONFIG_FILE,
+// falling back to ./audit.config.json. `--axe '<json>'` overrides its axe fields for this run.
+const CONFIG_FILE = getArg('config') || process.env.AUDIT_CONFIG_FILE;
+const AXE_ARG = getArg('axe');
+
+// Element screenshots per violation: `--screenshots` or AUDIT_SCREENSHOTS=true,
+// capped per rule per page with `--max-screenshots N` (default 3)
+const SCREENSHOTS = process.argv.includes('--screenshots') || process.env.AUDIT_SCREENSHOTS === 'true';
+const MAX_SCREENSHOTS = parseInt(getArg('max-screenshots') || '3', 10) || 3;
+
+// Viewport profiles: `--viewports mobile,desktop` or AUDIT_VIEWPORTS, picked from the built-in
+// presets plus the project config's `viewports`. Without either, pages are audited once at desktop size.
+const VIEWPORTS_ARG = getArg('viewports') || process.env.AUDIT_VIEWPORTS;
+
+// Polite crawling, over the project config's `crawl` section: `--respect-robots` skips pages
+// robots.txt disallows, `--rate 2` caps page loads per second, `--delay 1000` spaces them by 1s,
+// and `--user-agent 'A11yAuditBot/1.0'` identifies the audit to the site
+const CRAWL_OVERRIDES = {
+  respectRobotsTxt: process.argv.includes('--respect-robots') || undefined,
+  requestsPerSecond: getArg('rate') !== undefined ? Number(getArg('rate')) : undefined,
+  delayMs: getArg('delay') !== undefined ? Number(getArg('delay')) : undefined,
+  userAgent: getArg('user-agent')
+};
+
+// Retries of pages that failed with a transient error, over the project config's `retry` section:
+// `--retries 2` allows two more attempts per page, `--retry-backoff 5000` waits 5s before the first
+const RETRY_OVERRIDES = {
+  retries: getArg('retries') !== undefined ? Number(getArg('retries')) : undefined,
+  backoffMs: getArg('retry-backoff') !== undefined ? Number(getArg('retry-backoff')) : undefined
+};
+
 // --- Initialization & Safety Checks ---
 
 // 1. Ensure the output directory exists
@@ -13,16 +88,24 @@ if (!fs.existsSync(OUTPUT_DIR)) {
   fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 }
 
+/**
+ * Log a fatal error, tell the server (when run from it) why, and exit.
+ */
+async function fail(message, hint = null) {
+  console.error(`❌ ${message}`);
+  if (hint) console.error(`👉 ${hint}`);
+  await sendToParent({ type: 'error', message: message.replace(/^❌ /, '') });
+  process.exit(1);
+}
+
 /**
  * Safely loads URLs from the local text file.
  * Catches missing files or read errors to prevent raw stack traces.
  */
-function getUrls() {
+async function getUrls() {
   try {
     if (!fs.existsSync(URLS_FILE)) {
-      console.error(`❌ Error: "${URLS_FILE}" not found.`);
-      console.error(`👉 Run the fetch script first to generate your target list.`);
-      process.exit(1);
+      return fail(`Error: "${URLS_FILE}" not found.`, 'Run the fetch script first to generate your target list.');
     }
 
     const content = fs.readFileSync(URLS_FILE, 'utf-8');
@@ -32,24 +115,94 @@ function getUrls() {
       .filter(Boolean);
 
     if (urls.length === 0) {
-      console.error(`❌ Error: "${URLS_FILE}" is empty.`);
-      process.exit(1);
+      return fail(`Error: "${URLS_FILE}" is empty.`);
     }
 
     return urls;
   } catch (err) {
-    console.error(`❌ Unexpected error reading ${URLS_FILE}: ${err.message}`);
-    process.exit(1);
+    return fail(`Unexpected error reading ${URLS_FILE}: ${err.message}`);
   }
 }
 
 // --- Main Execution ---
 
+/**
+ * A resumed run audits the URL list recorded in the checkpoint, not whatever
+ * urls-clean.txt contains now.
+ */
+async function getResumeUrls() {
+  const checkpoint = loadCheckpoint(CHECKPOINT_FILE);
+  if (!checkpoint) {
+    return fail('Error: No interrupted audit found to resume.', 'Run the audit without --resume to start a new one.');
+  }
+  return checkpoint.urls;
+}
+
 (async () => {
-  const urls = getUrls();
+  const urls = RESUME ? await getResumeUrls() : await getUrls();
 
   try {
-    const results = await runAudit(urls);
+    let requestAxeOptions = {};
+    if (AXE_ARG) {
+      try {
+        requestAxeOptions = JSON.parse(AXE_ARG);
+      } catch (err) {
+        throw new Error(`Invalid --axe JSON: ${err.message}`);
+      }
+    }
+    const projectConfig = loadProjectConfig(CONFIG_FILE);
+    const axeConfig = buildAxeConfig(projectConfig, requestAxeOptions);
+
+    const viewportNames = (VIEWPORTS_ARG || '').split(',').map(v => v.trim()).filter(Boolean);
+    const viewports = resolveViewports(viewportNames, projectConfig);
+    if (viewports) {
+      console.log(`📐 Auditing at ${viewports.length} viewport(s): ${viewports.map(v => `${v.name} ${v.width}×${v.height}`).join(', ')}`);
+    }
+
+    const politeness = createPoliteness(resolvePolitenessOptions(projectConfig, CRAWL_OVERRIDES));
+    const retry = resolveRetryPolicy(projectConfig, RETRY_OVERRIDES);
+
+    const flows = await loadFlows(FLOWS_FILE);
+    flows
+      .filter(flow => !urls.some(url => getFlowsForUrl([flow], url).length > 0))
+      .forEach(flow => console.warn(`⚠️ Flow "${flow.name}" does not match any URL in this audit and will be skipped.`));
+
+    const results = await runAudit(urls, {
+      concurrency: CONCURRENCY,
+      checkpointFile: CHECKPOINT_FILE,
+      resume: RESUME,
+      auth: loadAuthConfig(AUTH_FILE),
+      flows,
+      axeConfig,
+      viewports,
+      politeness,
+      retry,
+      // Page progress goes to the server over IPC (a no-op from the CLI)
+      onEvent: event => sendToParent(event),
+      screenshots: SCREENSHOTS
+        ? {
+            dir: path.join(OUTPUT_DIR, 'screenshots', `run-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}`),
+            maxPerRule: MAX_SCREENSHOTS
+          }
+        : null
+    });
+
+    const crawlSummary = politeness.summary();
+    if (crawlSummary.length > 0) {
+      console.log('🐢 Crawl summary:');
+      crawlSummary.forEach(line => console.log(`   ${line}`));
+      await sendToParent({ type: 'crawl-summary', lines: crawlSummary, stats: politeness.stats });
+    }
+
+    // A sampled list (fetch-urls --sample) says which path group each page stands in for;
+    // an incremental one (--incremental) that only pages changed since a date were audited
+    const { groups = [], pageGroups = {}, changedSince = null } = readUrlListMeta(URLS_FILE);
+    const groupSizes = Object.fromEntries(groups.map(g => [g.pattern, g.total]));
+    results.forEach(result => {
+      const group = pageGroups[result.url];
+      if (group) Object.assign(result, { group, groupSize: groupSizes[group] });
+      if (changedSince) result.changedSince = changedSince;
+    });
 
     if (results.length > 0) {
       // --- Naming Logic ---
@@ -62,19 +215,25 @@ function getUrls() {
         siteSlug = urlObj.hostname.replace('www.', '').replace(/[^a-z0-9]/gi, '_').toLowerCase();
       } catch (e) { /* fallback to 'audit' */ }
 
-      const fileName = `raw-axe-results-${siteSlug}-${timestamp}.json`;
+      // A run ID keeps concurrent runs of the same site from writing the same file
+      const fileName = `raw-axe-results-${siteSlug}-${RUN_ID || timestamp}.json`;
       const fullPath = path.join(OUTPUT_DIR, fileName);
 
       fs.writeFileSync(fullPath, JSON.stringify(results, null, 2));
+      clearCheckpoint(CHECKPOINT_FILE);
+      if (RUN_ID) updateRunManifest(RUN_ID, { rawFile: path.resolve(fullPath) }, path.resolve(OUTPUT_DIR));
       console.log(`✅ Success! Raw results archived to: ${fullPath}`);
+      await sendToParent({ type: 'artifacts', files: { raw: path.resolve(fullPath) } });
       
-    } else {
-      console.error('❌ Audit completed but returned no results.');
+    } else if (loadCheckpoint(CHECKPOINT_FILE)) {
+      console.error(`⏸️ Audit interrupted. Continue it with: npm run run-audit -- --resume${RUN_ID ? ` --run ${RUN_ID}` : ''}`);
+      await sendToParent({ type: 'error', message: 'Audit interrupted' });
       process.exit(1);
+    } else {
+      await fail('Audit completed but returned no results.');
     }
   } catch (err) {
     // Handle errors from the audit process itself (e.g., Puppeteer crashes)
-    console.error(`❌ Audit Failed: ${err.message}`);
-    process.exit(1);
+    await fail(`Audit Failed: ${err.message.replace(/^❌ /, '')}`);
   }
 })();
\ No newline at end of file
@@ -3,58 +3,61 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
 import fs from 'fs';
-import { fetchUrls } from '../lib/fetchUrls.js';
+import { fetchUrls, normalizeUrl, writeUrlList } from '../lib/fetchUrls.js';
+import { parseUrlList, cleanUrlList } from '../lib/io/urlList.js';
 import { isSafeUrl } from '../lib/utils/security.js';
+import { loadCheckpoint } from '../lib/io/auditCheckpoint.js';
+import { getRunPaths, updateRunManifest } from '../lib/io/auditRun.js';
+import { getPreviousAuditTime, findAuditFile } from '../lib/io/auditFiles.js';
+import { buildCompareHtml } from '../lib/io/compareHtml.js';
+import { compareAudits } from '../lib/diff/compareAudits.js';
+import { getFriendlyNames } from '../lib/enrich/enrichRules.js';
+import { loadJsonIfExists } from '../lib/utils.js';
+import { readCrawlReport } from '../lib/io/urlListMeta.js';
+import { loadAuthConfig } from '../lib/auth/authSession.js';
+import { normalizeAxeOptions } from '../lib/config/axeOptions.js';
+import { loadProjectConfig } from '../lib/config/projectConfig.js';
+import { resolvePageFilters } from '../lib/config/pageFilters.js';
+import { resolveViewports } from '../lib/config/viewports.js';
+import { resolveRetryPolicy } from '../lib/config/retryPolicy.js';
+import { resolvePolitenessOptions, createPoliteness } from '../lib/crawl/politeness.js';
+import { createJobQueue } from '../lib/jobs/jobQueue.js';
+import { createEventHub } from '../lib/jobs/auditEvents.js';
+import { isChildMessage } from '../lib/jobs/childMessages.js';
+import { createScheduler, normalizeScheduleTiming } from '../lib/jobs/schedules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ===== Paths =====
 const RESULTS_DIR = path.resolve(process.cwd(), 'results');
-const STATE_FILE = path.resolve(process.cwd(), '.audit-state.json');
 const DATA_DIR = path.resolve(process.cwd(), 'data');
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 const HISTORY_FILE = path.join(DATA_DIR, 'audit-history.json');
+const JOBS_FILE = path.join(DATA_DIR, 'audit-jobs.json');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'audit-schedules.json');
 
 // ===== App =====
 const app = express();
 const PORT = process.env.PORT || 1977;
+const MAX_CONCURRENCY = 8;
+const MAX_JOB_CONCURRENCY = 4;
 
-// ===== Middleware =====
-app.use(express.json());
-
-// ===== In-memory audit state =====
-let progress = {
-  status: 'idle',
-  message: '',
-  files: null,
-  currentPage: 0,
-  totalPages: 0
-};
-
-// ===== Track running child process =====
-let runningAuditProcess = null;
-
-// ===== Persistence helpers =====
-function saveProgress() {
-  try { fs.writeFileSync(STATE_FILE, JSON.stringify(progress, null, 2)); }
-  catch (err) { console.error('❌ Failed to save audit state:', err); }
-}
-
-function loadProgress() {
-  if (!fs.existsSync(STATE_FILE)) return;
-  try {
-    const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf-8'));
-    progress = { ...progress, ...data };
-  } catch (err) { console.error('⚠️ Failed to load persisted audit state:', err); }
-}
-
-loadProgress();
+// Audits run at once: AUDIT_JOB_CONCURRENCY=2 (default 1); the rest wait in the queue
+const JOB_CONCURRENCY = Math.min(
+  Math.max(parseInt(process.env.AUDIT_JOB_CONCURRENCY || '1', 10) || 1, 1),
+  MAX_JOB_CONCURRENCY
+);
 
-if (progress.status === 'running') {
-  progress.status = 'error';
-  progress.message = 'Audit interrupted by server restart';
-  saveProgress();
+// ===== Middleware =====
+// Large enough for an uploaded URL list or sitemap.xml
+app.use(express.json({ limit: '5mb' }));
+
+// ===== Job Working Files =====
+// Each job is an audit run whose ID is the job ID, so its URL list, checkpoint and
+// raw results live in raw/runs/<jobId>/ and queued audits never share files
+function hasCheckpoint(job) {
+  return loadCheckpoint(getRunPaths(job.id).checkpointFile) !== null;
 }
 
 // ===== Audit History Helpers =====
@@ -85,154 +88,597 @@ function appendHistoryRun(siteUrl, runData) {
   saveHistory(history);
 }
 
-// ===== Helper: run a script and capture JSON output =====
-function runScript(type, scriptPath, args = [], envOverrides = {}) {
+// ===== Helper: run a pipeline script =====
+// Kept only to explain crashes that happen before a script can report an error itself
+const MAX_STDERR_TAIL = 4000;
+
+/**
+ * Run run-audit.js or process-results.js for a job. The script reports progress, errors and
+ * the files it wrote as typed IPC messages (see lib/jobs/childMessages.js); its logs are not parsed.
+ * Resolves with the files from its `artifacts` message.
+ */
+function runScript(scriptPath, args = [], { job, signal } = {}) {
   return new Promise((resolve, reject) => {
     const child = spawn('node', [scriptPath, ...args], {
-      stdio: ['ignore', 'pipe', 'pipe'],
-      env: { ...process.env, ...envOverrides }
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc'],
+      env: process.env
     });
 
-    if (type === 'AUDIT') runningAuditProcess = child;
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', data => {
-      const text = data.toString();
-      stdout += text;
-
-      if (text.includes('__AUDIT_PAGE__')) {
-        progress.currentPage += 1;
-        saveProgress();
-        return;
-      }
-
-      const lines = text.split('\n').map(l => l.trim()).filter(Boolean);
-      if (lines.length) {
-        progress.message = lines[lines.length - 1];
-        saveProgress();
+    // SIGINT lets run-audit checkpoint what it has before exiting
+    const cancel = () => child.kill('SIGINT');
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    let files = {};
+    let errorMessage = null;
+    let stderrTail = '';
+
+    child.on('message', message => {
+      if (!isChildMessage(message)) return;
+      const { type, ...data } = message;
+
+      if (type === 'artifacts') {
+        files = { ...files, ...data.files };
+      } else if (type === 'error') {
+        errorMessage = data.message;
+      } else if (type === 'crawl-summary') {
+        queue.update(job.id, { crawlSummary: data.lines });
+        events.publish(job.id, type, data);
+      } else {
+        // Page events go to event stream subscribers; page starts also drive the progress counter
+        events.publish(job.id, type, data);
+        if (type === 'page-started') {
+          queue.progress(job.id, {
+            currentPage: Math.min(job.currentPage + 1, job.totalPages || Infinity),
+            message: `Auditing ${data.url}`
+          });
+        }
       }
     });
 
     child.stderr.on('data', data => {
-      const text = data.toString();
-      stderr += text;
-      progress.message = text;
-      saveProgress();
+      stderrTail = (stderrTail + data.toString()).slice(-MAX_STDERR_TAIL);
     });
 
     child.on('close', code => {
-      if (type === 'AUDIT') runningAuditProcess = null;
-      if (progress.status === 'cancelled') return reject(new Error('Audit cancelled'));
-      if (code !== 0) return reject(new Error(stderr || `Exited with code ${code}`));
-
-      if (type === 'PROCESS') {
-        // Use a sentinel-based JSON scan (looking for specific prefix)
-        const lines = stdout.split('\n').map(l => l.trim()).filter(Boolean);
-        for (let i = lines.length - 1; i >= 0; i--) {
-          try { return resolve(JSON.parse(lines[i])); } catch {}
+      signal?.removeEventListener('abort', cancel);
+      if (signal?.aborted) return reject(new Error('Audit cancelled'));
+      if (code !== 0) return reject(new Error(errorMessage || stderrTail.trim() || `Exited with code ${code}`));
+      resolve(files);
+    });
+  });
+}
+
+/**
+ * Move a job to the next stage of the pipeline. Stage changes are milestones: saved to the
+ * jobs file and streamed as `stage` events.
+ */
+function setStage(job, stage, message) {
+  queue.update(job.id, { stage, message });
+  events.publish(job.id, 'stage', { stage, message });
+}
+
+/**
+ * Run one queued job: fetch its URLs (unless resuming), audit, process, record history.
+ * Returns the fields merged into the job when it completes.
+ */
+async function runAuditJob(job, signal) {
+  const auditArgs = [...job.auditArgs, '--run', job.id];
+
+  if (job.resume && hasCheckpoint(job)) {
+    auditArgs.push('--resume');
+  } else {
+    updateRunManifest(job.id, { site: job.url });
+    const { urlsFile } = getRunPaths(job.id);
+
+    // A saved URL list is audited as-is; otherwise pages come from the sitemap (or a crawl)
+    let urls;
+    if (job.urls?.length) {
+      urls = await writeUrlList(job.urls, urlsFile);
+    } else {
+      setStage(job, 'fetching', 'Fetching sitemap…');
+      // AUDIT_AUTH_FILE is also inherited by the audit child process
+      urls = await fetchUrls(job.url, urlsFile, null, {
+        auth: loadAuthConfig(process.env.AUDIT_AUTH_FILE),
+        sitemapUrl: job.sitemap || null,
+        pages: resolvePageFilters(loadProjectConfig(process.env.AUDIT_CONFIG_FILE), job.pages || {}),
+        changedSince: job.incremental ? getPreviousAuditTime(job.url) : null,
+        politeness: createPoliteness(resolvePolitenessOptions(loadProjectConfig(process.env.AUDIT_CONFIG_FILE), job.crawl || {}))
+      });
+    }
+    if (signal.aborted) throw new Error('Audit cancelled');
+
+    // The full report stays in the run directory; the job keeps its counts
+    const crawlReport = readCrawlReport(urlsFile);
+    if (crawlReport) {
+      queue.update(job.id, {
+        crawlReport: {
+          discovered: crawlReport.discovered.length,
+          skipped: crawlReport.skipped.length,
+          duplicates: crawlReport.duplicates.length
         }
-        return resolve({});
+      });
+    }
+
+    // An incremental audit of a site with no changed pages has nothing to audit or report
+    if (urls.length === 0) {
+      return { files: null, message: 'No pages changed since the last full audit' };
+    }
+
+    queue.update(job.id, { totalPages: urls.length, currentPage: 0 });
+  }
+
+  setStage(job, 'auditing', 'Running accessibility audits…');
+  const { raw: rawFile } = await runScript(path.join(__dirname, 'run-audit.js'), auditArgs, { job, signal });
+
+  setStage(job, 'processing', 'Processing results…');
+  // Process exactly the raw file this run reported, named after the requested site
+  if (!rawFile) throw new Error('Audit finished without reporting its raw results');
+  const files = await runScript(path.join(__dirname, 'process-results.js'), ['--raw', rawFile, '--site', job.url], { job, signal });
+
+  // ===== Append audit run to history =====
+  try {
+    const runId = path.basename(files.json, '.json');
+    appendHistoryRun(job.url, {
+      id: runId,
+      url: job.url,
+      jobId: job.id,
+      scheduleId: job.scheduleId || null,
+      timestamp: new Date().toISOString(),
+      artifacts: {
+        json: `/results/${files.json}`,
+        html: `/results/${files.html}`,
+        csv: `/results/${files.csv}`
       }
-      resolve({});
     });
+  } catch (err) {
+    console.error('❌ Failed to append audit run to history:', err);
+  }
+
+  return { files: files || {}, currentPage: job.totalPages, resume: false };
+}
+
+// ===== Live job events (streamed by /api/audit/events) =====
+const events = createEventHub();
+
+// ===== Job queue (persisted to data/audit-jobs.json) =====
+const queue = createJobQueue({
+  stateFile: JOBS_FILE,
+  concurrency: JOB_CONCURRENCY,
+  runJob: runAuditJob,
+  // Every job change is streamed as a `job` snapshot; only the latest one matters, so none are replayed
+  onChange: job => events.publish(job.id, 'job', { job }, { replay: false }),
+  onSettled: job => {
+    if (job.status === 'done') {
+      fs.rmSync(getRunPaths(job.id).dir, { recursive: true, force: true });
+      return { resumable: false };
+    }
+    return { resumable: hasCheckpoint(job) };
+  }
+});
+
+/**
+ * Queue an audit job with empty progress fields.
+ */
+function queueAudit(data) {
+  return queue.create({
+    ...data,
+    files: null,
+    currentPage: 0,
+    totalPages: 0,
+    resumable: false
   });
 }
 
-// ===== Start audit =====
-app.post('/api/audit', async (req, res) => {
-  const { url } = req.body;
-  if (!url) return res.status(400).json({ error: 'URL required' });
+/**
+ * Validate what an audit request should audit: a site (`url`, crawled via its sitemap) or an
+ * exact list of pages, given as a `urls` array or an uploaded `urlFile: { name, content }`
+ * (.txt, .csv or sitemap.xml). With a list, `url` is optional and defaults to the first page's origin.
+ * Returns { url, urls } (urls is null for a crawl) or { status, error }.
+ */
+async function parseAuditTarget(body = {}) {
+  let urls = null;
+  if (body.urlFile || (body.urls !== undefined && body.urls !== null)) {
+    try {
+      const { name = '', content } = body.urlFile || {};
+      const entries = body.urlFile ? await parseUrlList(content, String(name)) : body.urls;
+      urls = cleanUrlList(entries);
+    } catch (err) {
+      return { status: 400, error: err.message.replace(/^❌ /, '') };
+    }
+  }
+
+  const url = body.url || (urls ? new URL(urls[0]).origin : null);
+  if (!url) return { status: 400, error: 'URL required' };
 
   if (!isSafeUrl(url)) {
-    return res.status(403).json({ error: 'Forbidden: Cannot audit internal or private URLs.' });
+    return { status: 403, error: 'Forbidden: Cannot audit internal or private URLs.' };
   }
 
   try { new URL(url); }
-  catch { return res.status(400).json({ error: 'Invalid URL' }); }
+  catch { return { status: 400, error: 'Invalid URL' }; }
 
-  if (progress.status === 'running') return res.status(409).json({ error: 'Audit already running' });
+  return { url, urls };
+}
 
-  progress = { status: 'running', message: 'Starting audit…', files: null, currentPage: 0, totalPages: 0 };
-  saveProgress();
-  res.json({ status: 'started' });
+/**
+ * Validate the audit options of a request and turn them into run-audit.js arguments, plus the
+ * page filters applied when its URLs are fetched (`urlInclude`, `urlExclude`, `sample`, `queryParams`
+ * and `dedupe`; `include`/`exclude` are axe's element selectors), and whether to only audit pages whose sitemap
+ * lastmod changed since the last full audit (`incremental`). Crawl politeness (`respectRobots`,
+ * `requestsPerSecond`, `delayMs`, `userAgent`) applies to both fetching and auditing, and `retries`
+ * sets how often a page that failed with a transient error is tried again.
+ * Returns { auditArgs, pages, incremental, crawl } or { status, error }.
+ */
+function parseAuditOptions(body = {}) {
+  const {
+    concurrency, withTags, include, exclude, disableRules, screenshots, viewports,
+    urlInclude, urlExclude, sample, queryParams, dedupe, incremental,
+    respectRobots, requestsPerSecond, delayMs, userAgent, retries
+  } = body;
+
+  // Omitted concurrency defers to AUDIT_CONCURRENCY in the audit script's environment
+  const auditArgs = [];
+  if (concurrency !== undefined) {
+    const workers = Number(concurrency);
+    if (!Number.isInteger(workers) || workers < 1 || workers > MAX_CONCURRENCY) {
+      return { status: 400, error: `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}` };
+    }
+    auditArgs.push('--concurrency', String(workers));
+  }
 
+  // Per-request axe options layer over the project's audit.config.json
+  let axeOptions;
   try {
-    progress.message = 'Fetching sitemap…';
-    saveProgress();
-    await fetchUrls(url);
-
-    const urlsFile = path.resolve(process.cwd(), 'urls-clean.txt');
-    const urls = fs.readFileSync(urlsFile, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
-
-    progress.totalPages = urls.length;
-    progress.currentPage = 0;
-    saveProgress();
-
-    progress.message = 'Running accessibility audits…';
-    saveProgress();
-    await runScript('AUDIT', path.join(__dirname, 'run-audit.js'));
-
-    progress.message = 'Processing results…';
-    saveProgress();
-    const files = await runScript('PROCESS', path.join(__dirname, 'process-results.js'));
+    axeOptions = normalizeAxeOptions({ withTags, include, exclude, disableRules }, 'Request');
+  } catch (err) {
+    return { status: 400, error: err.message.replace(/^❌ /, '') };
+  }
+  if (Object.keys(axeOptions).length > 0) {
+    auditArgs.push('--axe', JSON.stringify(axeOptions));
+  }
 
-    progress.files = files || {};
-    progress.currentPage = progress.totalPages;
-    progress.status = 'done';
-    progress.message = 'Audit complete!';
-    saveProgress();
+  if (screenshots === true) auditArgs.push('--screenshots');
 
-    // ===== Append audit run to history =====
+  // Viewport names are checked against the presets and the project config's custom profiles
+  if (viewports !== undefined) {
+    const names = [].concat(viewports);
     try {
-      const runId = path.basename(files.json, '.json');
-      appendHistoryRun(url, {
-        id: runId,
-        url,
-        timestamp: new Date().toISOString(),
-        artifacts: {
-          json: `/results/${files.json}`,
-          html: `/results/${files.html}`,
-          csv: `/results/${files.csv}`
-        }
-      });
+      if (!names.every(v => typeof v === 'string' && v.trim())) {
+        throw new Error('viewports must be a viewport name or an array of names.');
+      }
+      resolveViewports(names.map(v => v.trim()), loadProjectConfig(process.env.AUDIT_CONFIG_FILE));
     } catch (err) {
-      console.error('❌ Failed to append audit run to history:', err);
+      return { status: 400, error: err.message.replace(/^❌ /, '') };
     }
+    if (names.length > 0) auditArgs.push('--viewports', names.map(v => v.trim()).join(','));
+  }
 
+  // Page filters only narrow a crawled or sitemap list; an explicit URL list is audited as given
+  const pages = {};
+  if (urlInclude !== undefined) pages.include = [].concat(urlInclude);
+  if (urlExclude !== undefined) pages.exclude = [].concat(urlExclude);
+  if (sample !== undefined && sample !== null && sample !== '') pages.sample = Number(sample);
+  if (queryParams !== undefined) pages.queryParams = [].concat(queryParams);
+  if (dedupe === true) pages.dedupe = true;
+  try {
+    resolvePageFilters(loadProjectConfig(process.env.AUDIT_CONFIG_FILE), pages);
   } catch (err) {
-    console.error(err);
-    if (progress.status !== 'cancelled') {
-      progress.status = 'error';
-      progress.message = err.message || 'Unknown error';
-      saveProgress();
+    return { status: 400, error: err.message.replace(/^❌ /, '') };
+  }
+
+  const crawl = {};
+  if (respectRobots === true) crawl.respectRobotsTxt = true;
+  if (requestsPerSecond !== undefined && requestsPerSecond !== null && requestsPerSecond !== '') crawl.requestsPerSecond = Number(requestsPerSecond);
+  if (delayMs !== undefined && delayMs !== null && delayMs !== '') crawl.delayMs = Number(delayMs);
+  if (userAgent !== undefined && userAgent !== null && userAgent !== '') crawl.userAgent = userAgent;
+  try {
+    resolvePolitenessOptions(loadProjectConfig(process.env.AUDIT_CONFIG_FILE), crawl);
+  } catch (err) {
+    return { status: 400, error: err.message.replace(/^❌ /, '') };
+  }
+  if (crawl.respectRobotsTxt) auditArgs.push('--respect-robots');
+  if (crawl.requestsPerSecond) auditArgs.push('--rate', String(crawl.requestsPerSecond));
+  if (crawl.delayMs) auditArgs.push('--delay', String(crawl.delayMs));
+  if (crawl.userAgent) auditArgs.push('--user-agent', crawl.userAgent.trim());
+
+  if (retries !== undefined && retries !== null && retries !== '') {
+    try {
+      resolveRetryPolicy(loadProjectConfig(process.env.AUDIT_CONFIG_FILE), { retries: Number(retries) });
+    } catch (err) {
+      return { status: 400, error: err.message.replace(/^❌ /, '') };
     }
+    auditArgs.push('--retries', String(Number(retries)));
   }
+
+  return { auditArgs, pages, incremental: incremental === true, crawl };
+}
+
+/**
+ * Validate a whole audit request. Returns { url, urls, auditArgs, pages, incremental, crawl } or { status, error }.
+ */
+async function parseAuditRequest(body = {}) {
+  const target = await parseAuditTarget(body);
+  if (target.error) return target;
+
+  const options = parseAuditOptions(body);
+  if (options.error) return options;
+
+  return { ...target, ...options };
+}
+
+// ===== Audit jobs API =====
+app.get('/api/audits', (req, res) => {
+  res.json({ concurrency: queue.concurrency, jobs: queue.list() });
+});
+
+app.post('/api/audits', async (req, res) => {
+  const { url, urls, auditArgs, pages, incremental, crawl, status, error } = await parseAuditRequest(req.body);
+  if (error) return res.status(status).json({ error });
+
+  res.status(202).json(queueAudit({ url, urls, auditArgs, pages, incremental, crawl }));
+});
+
+app.get('/api/audits/:id', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Audit not found' });
+  res.json(job);
 });
 
 // ===== Cancel audit =====
+app.delete('/api/audits/:id', (req, res) => {
+  if (!queue.get(req.params.id)) return res.status(404).json({ error: 'Audit not found' });
+
+  const job = queue.cancel(req.params.id);
+  if (!job) return res.status(409).json({ error: 'Audit is not queued or running' });
+  res.json(job);
+});
+
+// ===== Resume interrupted audit =====
+/**
+ * Re-queue an interrupted job from its checkpoint. Returns { job } or { status, error }.
+ */
+function resumeJob(job) {
+  if (['queued', 'running'].includes(job.status)) return { status: 409, error: 'Audit already queued or running' };
+
+  const checkpoint = loadCheckpoint(getRunPaths(job.id).checkpointFile);
+  if (!checkpoint) return { status: 404, error: 'No interrupted audit to resume' };
+
+  // Resume with the same options (concurrency, axe config) the run started with
+  return {
+    job: queue.requeue(job.id, {
+      resume: true,
+      resumable: false,
+      files: null,
+      currentPage: checkpoint.completed.size,
+      totalPages: checkpoint.urls.length
+    })
+  };
+}
+
+app.post('/api/audits/:id/resume', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Audit not found' });
+
+  const { job: resumed, status, error } = resumeJob(job);
+  if (error) return res.status(status).json({ error });
+  res.status(202).json(resumed);
+});
+
+// ===== Single-audit API =====
+// The routes from before the queue, kept for existing clients. Each acts on the current job:
+// the newest running or queued one, else the newest.
+
+function getCurrentJob() {
+  const jobs = queue.list();
+  return jobs.find(job => job.status === 'running') || jobs.find(job => job.status === 'queued') || jobs[0] || null;
+}
+
+/**
+ * A job in the progress shape GET /api/audit/status has always returned. A queued job reports
+ * 'running', as the single-audit API had no queue.
+ */
+function toLegacyProgress(job) {
+  if (!job) return { status: 'idle', message: '', files: null, currentPage: 0, totalPages: 0, resumable: false };
+  return {
+    id: job.id,
+    url: job.url,
+    status: job.status === 'queued' ? 'running' : job.status,
+    message: job.message,
+    files: job.files || null,
+    currentPage: job.currentPage || 0,
+    totalPages: job.totalPages || 0,
+    resumable: Boolean(job.resumable)
+  };
+}
+
+app.post('/api/audit', async (req, res) => {
+  const { url, urls, auditArgs, pages, incremental, crawl, status, error } = await parseAuditRequest(req.body);
+  if (error) return res.status(status).json({ error });
+
+  const job = queueAudit({ url, urls, auditArgs, pages, incremental, crawl });
+  res.json({ status: 'started', id: job.id });
+});
+
+app.get('/api/audit/status', (req, res) => {
+  res.json(toLegacyProgress(getCurrentJob()));
+});
+
 app.post('/api/audit/cancel', (req, res) => {
-  if (progress.status !== 'running') return res.status(400).json({ error: 'No audit running' });
-  if (runningAuditProcess) runningAuditProcess.kill('SIGINT');
-  runningAuditProcess = null;
-
-  progress.status = 'cancelled';
-  progress.message = 'Audit cancelled by user';
-  saveProgress();
-  res.json({ status: 'cancelled' });
+  const job = getCurrentJob();
+  if (!job || !queue.cancel(job.id)) return res.status(400).json({ error: 'No audit running' });
+  res.json({ status: 'cancelled', id: job.id });
 });
 
-// ===== Poll status =====
-app.get('/api/audit/status', async (req, res) => {
+app.post('/api/audit/resume', (req, res) => {
+  const job = getCurrentJob();
+  if (!job) return res.status(404).json({ error: 'No interrupted audit to resume' });
+
+  const { job: resumed, status, error } = resumeJob(job);
+  if (error) return res.status(status).json({ error });
+  res.json({ status: 'started', id: resumed.id });
+});
+
+// ===== Live audit events (Server-Sent Events) =====
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const sseClients = new Set();
+
+/**
+ * Streams `job` (status snapshot), `stage`, `page-started`, `page-finished` and `page-failed` events.
+ * `?job=<id>` limits the stream to one job and first replays its buffered events, so a page
+ * opened mid-audit can rebuild its log. Reconnecting clients send Last-Event-ID and only get
+ * the events they missed.
+ */
+app.get('/api/audit/events', (req, res) => {
+  const jobId = req.query.job ? String(req.query.job) : null;
+  const job = jobId ? queue.get(jobId) : null;
+  if (jobId && !job) return res.status(404).json({ error: 'Audit not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = event => {
+    // Snapshots carry no id, so they never move a reconnecting client's Last-Event-ID
+    const id = event.type === 'job' ? '' : `id: ${event.id}\n`;
+    res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  if (job) {
+    send({ jobId, type: 'job', job });
+    events.replay(jobId, Number(req.get('Last-Event-ID')) || 0).forEach(send);
+  }
+
+  const unsubscribe = events.subscribe(event => {
+    if (!jobId || event.jobId === jobId) send(event);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  sseClients.add(res);
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    sseClients.delete(res);
+  });
+});
+
+// ===== Scheduled audits (persisted to data/audit-schedules.json) =====
+const AUDIT_OPTION_FIELDS = [
+  'concurrency', 'withTags', 'include', 'exclude', 'disableRules', 'screenshots', 'viewports',
+  'urlInclude', 'urlExclude', 'sample', 'queryParams', 'dedupe', 'incremental',
+  'respectRobots', 'requestsPerSecond', 'delayMs', 'userAgent', 'retries'
+];
+
+const scheduler = createScheduler({
+  stateFile: SCHEDULES_FILE,
+  onDue: (schedule, { missed }) => {
+    // Don't pile up runs of a schedule whose last audit is still waiting or running
+    const lastJob = schedule.lastJobId && queue.get(schedule.lastJobId);
+    if (lastJob && ['queued', 'running'].includes(lastJob.status)) {
+      console.warn(`⏭️ Skipping scheduled audit of ${schedule.url}: the previous run is still ${lastJob.status}`);
+      return null;
+    }
+
+    // Options are re-validated on every run, since audit.config.json may have changed since
+    const { auditArgs, pages, incremental, crawl, error } = parseAuditOptions(schedule.options);
+    if (error) throw new Error(error);
+
+    console.log(`⏰ ${missed ? 'Catching up on missed' : 'Running'} scheduled audit of ${schedule.url}`);
+    const job = queueAudit({
+      url: schedule.url,
+      auditArgs,
+      pages,
+      incremental,
+      crawl,
+      urls: schedule.urls || null,
+      sitemap: schedule.sitemap || null,
+      scheduleId: schedule.id
+    });
+    return job.id;
+  }
+});
+
+/**
+ * Validate a schedule request body (the audit request fields plus timing, `name`,
+ * `sitemap` and `enabled`). Returns { schedule } or { status, error }.
+ */
+async function parseScheduleRequest(body = {}) {
+  const { url, urls, error, status } = await parseAuditRequest(body);
+  if (error) return { status, error };
+
+  let timing;
   try {
-    res.json(progress);
+    timing = normalizeScheduleTiming(body);
   } catch (err) {
-    res.json({
-      status: 'error',
-      message: 'Network error: server unavailable or stopped'
-    });
+    return { status: 400, error: err.message.replace(/^❌ /, '') };
   }
+
+  const schedule = {
+    name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : url,
+    url,
+    ...timing,
+    urls,
+    sitemap: null,
+    enabled: body.enabled !== false,
+    options: Object.fromEntries(AUDIT_OPTION_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]))
+  };
+
+  if (body.sitemap) {
+    if (typeof body.sitemap !== 'string' || !normalizeUrl(body.sitemap)) return { status: 400, error: 'Invalid sitemap URL' };
+    if (!isSafeUrl(body.sitemap)) return { status: 403, error: 'Forbidden: Cannot fetch internal or private sitemaps.' };
+    schedule.sitemap = body.sitemap;
+  }
+
+  return { schedule };
+}
+
+// ===== Schedules API =====
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+app.post('/api/schedules', async (req, res) => {
+  const { schedule, status, error } = await parseScheduleRequest(req.body);
+  if (error) return res.status(status).json({ error });
+  res.status(201).json(scheduler.create(schedule));
+});
+
+app.get('/api/schedules/:id', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  res.json(schedule);
+});
+
+// Fields omitted from the body keep their current values
+app.put('/api/schedules/:id', async (req, res) => {
+  const existing = scheduler.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+  const { options, id, nextRunAt, lastRunAt, lastJobId, createdAt, updatedAt, ...fields } = existing;
+  const { schedule, status, error } = await parseScheduleRequest({ ...options, ...fields, ...req.body });
+  if (error) return res.status(status).json({ error });
+  res.json(scheduler.update(req.params.id, schedule));
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  if (!scheduler.remove(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// ===== Run a schedule now =====
+app.post('/api/schedules/:id/run', (req, res) => {
+  const schedule = scheduler.get(req.params.id);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+
+  const lastJob = schedule.lastJobId && queue.get(schedule.lastJobId);
+  if (lastJob && ['queued', 'running'].includes(lastJob.status)) {
+    return res.status(409).json({ error: 'The previous run of this schedule is still queued or running' });
+  }
+
+  const jobId = scheduler.runNow(req.params.id);
+  if (!jobId) return res.status(500).json({ error: 'Failed to start the scheduled audit' });
+  res.status(202).json(queue.get(jobId));
 });
 
 // ===== Serve results =====
@@ -249,6 +695,17 @@ app.get('/api/results/:file', (req, res) => {
   res.sendFile(filePath);
 });
 
+app.get('/api/results/screenshots/:run/:file', (req, res) => {
+  const runDir = path.basename(req.params.run);
+  const fileName = path.basename(req.params.file);
+  const filePath = path.join(RESULTS_DIR, 'screenshots', runDir, fileName);
+
+  if (!filePath.startsWith(path.join(RESULTS_DIR, 'screenshots')) || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.sendFile(filePath);
+});
+
 app.get('/api/results/html-content/:file', (req, res) => {
   const fileName = path.basename(req.params.file);
   const filePath = path.join(RESULTS_DIR, fileName);
@@ -284,6 +741,38 @@ app.get('/api/history/run/:id', (req, res) => {
   }
 });
 
+// ===== Compare two stored audits =====
+// `base` and `head` are run IDs from the audit history. Returns the comparison's counts,
+// or the comparison report with `format=html`.
+app.get('/api/compare', (req, res) => {
+  const { base, head, format } = req.query;
+  if (typeof base !== 'string' || typeof head !== 'string' || !base || !head) {
+    return res.status(400).json({ error: 'base and head run IDs are required' });
+  }
+
+  let baseFile;
+  let headFile;
+  try {
+    baseFile = findAuditFile(base, RESULTS_DIR);
+    headFile = findAuditFile(head, RESULTS_DIR);
+  } catch (err) {
+    return res.status(404).json({ error: err.message.replace(/^❌ /, '') });
+  }
+
+  let comparison;
+  try {
+    const friendlyNames = getFriendlyNames(loadJsonIfExists(path.join(__dirname, '../data/axe-rules-4.11.1.json')));
+    comparison = compareAudits(baseFile, headFile, { friendlyNames });
+  } catch (err) {
+    return res.status(400).json({ error: err.message.replace(/^❌ /, '') });
+  }
+
+  if (format === 'html') return res.type('html').send(buildCompareHtml(comparison));
+
+  const { rules, ...summary } = comparison;
+  res.json(summary);
+});
+
 // ===== Serve frontend =====
 app.use(express.static(path.join(__dirname, '../frontend/public')));
 app.get('/health', (req, res) => res.send('Server is alive'));
@@ -292,17 +781,21 @@ app.get('/health', (req, res) => res.send('Server is alive'));
 const server = app.listen(PORT, () => {
   console.log(`✅ Audit Tool running at http://localhost:${PORT}`);
   console.log('📁 Results directory:', RESULTS_DIR);
+  console.log(`🧵 Running up to ${JOB_CONCURRENCY} audit(s) at a time`);
+  queue.start();
+  scheduler.start();
 });
 
 // ===== Graceful shutdown =====
 function shutdown(signal) {
   console.log(`\n🛑 Received ${signal}, shutting down…`);
 
-  if (runningAuditProcess) {
-    console.log('🔪 Killing running audit process');
-    runningAuditProcess.kill('SIGINT');
-    runningAuditProcess = null;
-  }
+  // Running jobs are interrupted (and resumable from their checkpoints); queued jobs wait for the next start
+  queue.stop();
+  scheduler.stop();
+
+  // Open event streams would keep server.close() waiting
+  sseClients.forEach(res => res.end());
 
   server.close(() => {
     console.log('✅ HTTP server closed');
@@ -316,4 +809,4 @@ function shutdown(signal) {
 }
 
 process.on('SIGINT', () => shutdown('SIGINT'));
-process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
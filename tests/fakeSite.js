@@ -0,0 +1,39 @@
+// tests/fakeSite.js
+import axios, { AxiosError } from 'axios';
+
+/**
+ * Answer every axios request from a map of URL → response instead of the network, so sitemap
+ * and robots.txt handling can be tested without a server. A response is a string or Buffer
+ * (served as 200), or { status, headers, data, redirectTo }. A redirect is checked with the request's
+ * `beforeRedirect` hook, as the real one would be, and reported as the response URL. Unknown URLs get a 404.
+ * @returns {Array} the requests made, as { url, headers }, for the test to inspect
+ */
+export function serveFakeSite(responses) {
+  const requests = [];
+
+  axios.defaults.adapter = async config => {
+    requests.push({ url: config.url, headers: { ...config.headers } });
+
+    const entry = responses[config.url];
+    const { status = 200, headers = {}, data = '', redirectTo = null } = entry === undefined
+      ? { status: 404 }
+      : (typeof entry === 'string' || Buffer.isBuffer(entry) ? { data: entry } : entry);
+    if (redirectTo) config.beforeRedirect?.({ href: redirectTo });
+
+    const response = {
+      data: config.responseType === 'arraybuffer' ? Buffer.from(data) : String(data),
+      status,
+      statusText: '',
+      headers,
+      config,
+      request: redirectTo ? { res: { responseUrl: redirectTo } } : {}
+    };
+
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+    }
+    return response;
+  };
+
+  return requests;
+}
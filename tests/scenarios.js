@@ -0,0 +1,42 @@
+// tests/scenarios.js
+import assert from 'assert';
+
+/**
+ * Check a list of { name, actual, expected } scenarios the way test-diffs.js does: print an
+ * overview, report every failure at once, and exit non-zero if any failed.
+ * `actual` and `expected` are compared deeply, so objects and arrays work too.
+ */
+export function runScenarios(scenarios, { passed, failed }) {
+  const failures = [];
+  const overview = scenarios.map(s => {
+    try {
+      assert.deepStrictEqual(s.actual, s.expected);
+      return { name: s.name, ok: '✅' };
+    } catch {
+      failures.push(`${s.name} failed: expected ${JSON.stringify(s.expected)}, got ${JSON.stringify(s.actual)}`);
+      return { name: s.name, ok: '❌' };
+    }
+  });
+
+  console.table(overview);
+
+  if (failures.length === 0) {
+    console.log(`\n✅ ${passed}`);
+    return;
+  }
+  console.error(`\n❌ ${failed}:`);
+  failures.forEach(f => console.error(' -', f));
+  process.exit(1);
+}
+
+/**
+ * The message a function throws, or null when it doesn't throw.
+ */
+export function thrownMessage(fn) {
+  try {
+    fn();
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
@@ -0,0 +1,64 @@
+// tests/test-auth.js
+import { createAuthSession, applyAuthSession, getRequestHeaders } from '../lib/auth/authSession.js';
+import { runScenarios } from './scenarios.js';
+
+const auth = {
+  headers: { Authorization: 'Bearer secret' },
+  cookies: [
+    { name: 'session', value: 'abc' },
+    { name: 'sub', value: 'shared', domain: '.example.com' },
+    { name: 'admin', value: 'root', path: '/admin' },
+    { name: 'secure', value: 'tls', secure: true }
+  ],
+  login: null
+};
+
+const session = await createAuthSession(auth, null, { siteUrl: 'https://example.com/' });
+const withoutSite = await createAuthSession(auth);
+
+// A stand-in for a Puppeteer page: records the interception handler and the cookies set
+const page = {
+  handlers: [],
+  cookies: [],
+  async setRequestInterception() {},
+  on(event, handler) { this.handlers.push(handler); },
+  async setCookie(...cookies) { this.cookies.push(...cookies); }
+};
+await applyAuthSession(page, session, 'https://example.com/account');
+
+// The headers each request of the page continues with
+const continuedHeaders = url => {
+  let overrides = null;
+  page.handlers.forEach(handler => handler({
+    url: () => url,
+    headers: () => ({ accept: '*/*' }),
+    isInterceptResolutionHandled: () => false,
+    continue: value => { overrides = value; }
+  }));
+  return overrides.headers || null;
+};
+
+const cookieNames = url => (getRequestHeaders(session, url).Cookie || '')
+  .split('; ')
+  .filter(Boolean)
+  .map(pair => pair.split('=')[0]);
+
+const scenarios = [
+  { name: 'Audited Origin Gets Headers', actual: continuedHeaders('https://example.com/api/me'), expected: { accept: '*/*', Authorization: 'Bearer secret' } },
+  { name: 'Third-Party Request Gets None', actual: continuedHeaders('https://analytics.example.net/collect'), expected: null },
+  { name: 'Other Scheme Gets None', actual: continuedHeaders('http://example.com/api/me'), expected: null },
+  { name: 'Host-Only Cookie Scoped To Page', actual: page.cookies[0].url, expected: 'https://example.com/account' },
+  { name: 'Unauthenticated Sends Nothing', actual: getRequestHeaders(null, 'https://example.com/'), expected: {} },
+  { name: 'Site Gets Headers', actual: getRequestHeaders(session, 'https://example.com/sitemap.xml').Authorization, expected: 'Bearer secret' },
+  { name: 'Other Host Gets Nothing', actual: getRequestHeaders(session, 'https://cdn.other.com/sitemap.xml'), expected: {} },
+  { name: 'Subdomain Gets Nothing', actual: getRequestHeaders(session, 'https://static.example.com/sitemap.xml'), expected: {} },
+  { name: 'Session Without Site Sends Nothing', actual: getRequestHeaders(withoutSite, 'https://example.com/'), expected: {} },
+  { name: 'Cookie Path Matching', actual: cookieNames('https://example.com/admin/users'), expected: ['session', 'sub', 'admin', 'secure'] },
+  { name: 'Cookie Path Prefix Is Not A Match', actual: cookieNames('https://example.com/administrator'), expected: ['session', 'sub', 'secure'] },
+  { name: 'Secure Cookie Needs HTTPS', actual: cookieNames('http://example.com/'), expected: ['session', 'sub'] }
+];
+
+runScenarios(scenarios, {
+  passed: 'AUTH TRUSTED: Credentials only go to the site, with matching cookies.',
+  failed: 'AUTH LEAKY: Failed scenarios'
+});
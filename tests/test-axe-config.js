@@ -0,0 +1,65 @@
+// tests/test-axe-config.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { buildAxeConfig, resolveAxeOptions, collectAxeConfigs, isSameAxeConfig } from '../lib/config/axeOptions.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const PROCESS_RESULTS = path.join(path.dirname(fileURLToPath(import.meta.url)), '../scripts/process-results.js');
+
+const axeConfig = buildAxeConfig(
+  { axe: { withTags: ['wcag2a'], exclude: '#chat', overrides: [{ pattern: '/blog/', disableRules: ['heading-order'], withTags: ['wcag2aa'] }] } },
+  { disableRules: ['region'] }
+);
+
+const tagged = { withTags: ['wcag2a'] };
+const page = (url, extra = {}) => ({ url, violations: [], incomplete: [], passes: [], axeOptions: tagged, ...extra });
+
+// Process two audits of a site from a scratch directory: the second must find the first as the
+// site's previous audit (results/latest-<site>.json), so only its added issue is new
+function processTwice() {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-previous-'));
+  const imageAlt = { id: 'image-alt', impact: 'critical', tags: ['wcag2a'], nodes: [{ target: ['img'], html: '<img>' }] };
+  const label = { id: 'label', impact: 'critical', tags: ['wcag2a'], nodes: [{ target: ['input'], html: '<input>' }] };
+
+  const run = rawResults => {
+    const raw = path.join(cwd, 'raw.json');
+    fs.writeFileSync(raw, JSON.stringify(rawResults));
+    const { status, stderr } = spawnSync(process.execPath, [PROCESS_RESULTS, '--raw', raw, '--site', 'https://ex.com'], { cwd, encoding: 'utf-8' });
+    if (status !== 0) throw new Error(`process-results exited ${status}: ${stderr}`);
+    return JSON.parse(fs.readFileSync(path.join(cwd, 'results', 'latest-ex_com.json'), 'utf-8')).diffTotals;
+  };
+
+  const first = run([page('https://ex.com/', { violations: [imageAlt] }), page('https://ex.com/about')]);
+  const second = run([page('https://ex.com/', { violations: [imageAlt] }), page('https://ex.com/about', { violations: [label] })]);
+  fs.rmSync(cwd, { recursive: true, force: true });
+  return { first, second };
+}
+
+const previous = processTwice();
+
+const scenarios = [
+  { name: 'Request Options Replace Base', actual: axeConfig.disableRules, expected: ['region'] },
+  { name: 'Single String Accepted', actual: axeConfig.exclude, expected: ['#chat'] },
+  {
+    name: 'Override Replaces Tags, Adds Rules',
+    actual: resolveAxeOptions(axeConfig, 'https://ex.com/blog/post'),
+    expected: { withTags: ['wcag2aa'], exclude: ['#chat'], disableRules: ['region', 'heading-order'] }
+  },
+  { name: 'Override Only Where It Matches', actual: resolveAxeOptions(axeConfig, 'https://ex.com/shop').withTags, expected: ['wcag2a'] },
+  { name: 'Override Needs Pattern', actual: thrownMessage(() => buildAxeConfig({ axe: { overrides: [{}] } })), expected: '❌ axe.overrides[0] needs a "pattern".' },
+  { name: 'Failed Pages Are Not A Config', actual: collectAxeConfigs([page('https://ex.com/'), { url: 'https://ex.com/x', error: 'timeout' }]), expected: [tagged] },
+  { name: 'Older Pages Count As Defaults', actual: collectAxeConfigs([page('https://ex.com/'), { url: 'https://ex.com/y', violations: [] }]).length, expected: 2 },
+  { name: 'Same Config In Any Order', actual: isSameAxeConfig([{ withTags: ['a', 'b'] }], [{ withTags: ['b', 'a'] }]), expected: true },
+  { name: 'Changed Config Detected', actual: isSameAxeConfig([tagged], [{}]), expected: false },
+  { name: 'Run Without Axe Matches Any', actual: isSameAxeConfig([], [tagged]), expected: true },
+  { name: 'First Audit Has Nothing To Diff', actual: [previous.first.newViolations, previous.first.unchanged], expected: [0, 1] },
+  { name: 'Second Audit Finds The First', actual: [previous.second.newViolations, previous.second.unchanged], expected: [1, 1] }
+];
+
+runScenarios(scenarios, {
+  passed: 'AXE CONFIG TRUSTED: Resolved overrides, compared configs, and diffed against the site\'s previous audit.',
+  failed: 'AXE CONFIG BRITTLE: Failed scenarios'
+});
@@ -0,0 +1,97 @@
+// tests/test-baseline.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadBaseline, applyBaseline, DEFAULT_BASELINE_FILE } from '../lib/config/baseline.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-baseline-'));
+const writeBaseline = (name, data) => {
+  fs.writeFileSync(path.join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+  return name;
+};
+const entry = (key, expires = '2026-06-30') => ({ key, owner: 'web-team', reason: 'Fixed in the redesign', expires });
+
+writeBaseline(DEFAULT_BASELINE_FILE, {
+  accepted: [
+    // Written by hand: the page's trailing slash is cleaned as in occurrence keys
+    entry('https://ex.com/about/|color-contrast|.hero > a'),
+    entry('https://ex.com/|image-alt|img|@mobile', '2026-03-31'),
+    entry('https://ex.com/old|label|input')
+  ]
+});
+const baseline = loadBaseline(null, dir);
+
+const loadErrors = [
+  thrownMessage(() => loadBaseline('missing.json', dir)),
+  thrownMessage(() => loadBaseline(writeBaseline('broken.json', '{'), dir))?.startsWith('❌ Failed to parse baseline'),
+  thrownMessage(() => loadBaseline(writeBaseline('list.json', []), dir))?.endsWith('must have an "accepted" array.'),
+  thrownMessage(() => loadBaseline(writeBaseline('owner.json', { accepted: [{ ...entry('a|b|c'), owner: ' ' }] }), dir)),
+  thrownMessage(() => loadBaseline(writeBaseline('date.json', { accepted: [entry('a|b|c', '30/06/2026')] }), dir)),
+  thrownMessage(() => loadBaseline(writeBaseline('repeat.json', { accepted: [entry('https://ex.com/|b|c'), entry('https://ex.com|b|c')] }), dir))
+];
+const noBaseline = loadBaseline(null, os.tmpdir());
+fs.rmSync(dir, { recursive: true, force: true });
+
+const rules = [
+  { id: 'color-contrast', occurrences: [{ page: 'https://ex.com/about', target: ['.hero > a'], isNewOccurrence: true }, { page: 'https://ex.com/', target: ['.hero > a'] }] },
+  { id: 'image-alt', occurrences: [{ page: 'https://ex.com/', target: 'img', viewport: 'mobile' }, { page: 'https://ex.com/', target: 'img', viewport: 'desktop' }] }
+];
+const applied = applyBaseline(rules, baseline.entries, { now: new Date('2026-03-31T23:59:00Z') });
+const later = applyBaseline(rules, baseline.entries, { now: new Date('2026-04-01T00:00:00Z') });
+const marks = result => result.rules.flatMap(rule => rule.occurrences.map(o => (o.accepted ? 'accepted' : o.acceptanceExpired ? 'expired' : 'open')));
+
+const scenarios = [
+  {
+    name: 'Entries loaded with their keys cleaned',
+    actual: [path.basename(baseline.file), baseline.entries.map(e => e.key)],
+    expected: [DEFAULT_BASELINE_FILE, ['https://ex.com/about|color-contrast|.hero > a', 'https://ex.com|image-alt|img|@mobile', 'https://ex.com/old|label|input']]
+  },
+  {
+    name: 'The default baseline is optional',
+    actual: noBaseline,
+    expected: { file: null, entries: [] }
+  },
+  {
+    name: 'Invalid baselines refused',
+    actual: loadErrors,
+    expected: [
+      '❌ Baseline file not found: missing.json',
+      true,
+      true,
+      '❌ Baseline entry 1 needs a "owner".',
+      '❌ Baseline entry 1: expires must be a date like 2025-09-30 (got "30/06/2026").',
+      '❌ Baseline entry 2 repeats the key "https://ex.com|b|c".'
+    ]
+  },
+  {
+    name: 'Occurrences matched by page, rule, selector and viewport',
+    actual: marks(applied),
+    expected: ['accepted', 'open', 'accepted', 'open']
+  },
+  {
+    name: 'Acceptance details carried on the occurrence',
+    actual: applied.rules[0].occurrences[0].accepted,
+    expected: { owner: 'web-team', reason: 'Fixed in the redesign', expires: '2026-06-30' }
+  },
+  {
+    name: 'Summary: accepted, accepted new and unused entries',
+    actual: { ...applied.summary, expired: applied.summary.expired.length, unused: applied.summary.unused.map(e => e.key) },
+    expected: { accepted: 2, acceptedNew: 1, expired: 0, unused: ['https://ex.com/old|label|input'] }
+  },
+  {
+    name: 'Accepted through the end of the expiry day, then counted again',
+    actual: [marks(later), later.summary.accepted, later.summary.expired.map(e => e.key)],
+    expected: [['accepted', 'open', 'expired', 'open'], 1, ['https://ex.com|image-alt|img|@mobile']]
+  },
+  {
+    name: 'Rules are not modified in place',
+    actual: rules[0].occurrences[0].accepted,
+    expected: undefined
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'BASELINE TRUSTED: Loaded accepted issues, matched them by key and let expired ones count again.',
+  failed: 'Baseline tests failed'
+});
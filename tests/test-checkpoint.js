@@ -0,0 +1,68 @@
+// tests/test-checkpoint.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createCheckpoint,
+  appendCheckpoint,
+  loadCheckpoint,
+  clearCheckpoint,
+  getCheckpointSettings,
+  diffCheckpointSettings
+} from '../lib/io/auditCheckpoint.js';
+import { buildAxeConfig, getAxeConfigKey } from '../lib/config/axeOptions.js';
+import { VIEWPORT_PRESETS } from '../lib/config/viewports.js';
+import { runScenarios } from './scenarios.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-checkpoint-'));
+const checkpointFile = path.join(dir, '.audit-checkpoint.jsonl');
+const urls = ['https://example.com/', 'https://example.com/a', 'https://example.com/b'];
+
+const settings = getCheckpointSettings({
+  viewports: [VIEWPORT_PRESETS.mobile, VIEWPORT_PRESETS.desktop],
+  axeConfigKey: getAxeConfigKey(buildAxeConfig({ axe: { withTags: ['wcag2a', 'wcag2aa'] } }))
+});
+
+createCheckpoint(checkpointFile, urls, settings);
+appendCheckpoint(checkpointFile, 0, [{ url: urls[0], viewport: 'mobile' }, { url: urls[0], viewport: 'desktop' }]);
+appendCheckpoint(checkpointFile, 2, { url: 'https://example.com/other' });
+// A write torn by a crash
+fs.appendFileSync(checkpointFile, '{"type":"page","index":1,"res');
+
+const checkpoint = loadCheckpoint(checkpointFile);
+
+const reordered = getCheckpointSettings({
+  viewports: [VIEWPORT_PRESETS.mobile, VIEWPORT_PRESETS.desktop],
+  // Same tags in another order identify the same config
+  axeConfigKey: getAxeConfigKey(buildAxeConfig({ axe: { withTags: ['wcag2aa', 'wcag2a'] } }))
+});
+const otherViewports = getCheckpointSettings({ viewports: [VIEWPORT_PRESETS.desktop], axeConfigKey: settings.axeConfigKey });
+const otherAxe = getCheckpointSettings({
+  viewports: settings.viewports,
+  axeConfigKey: getAxeConfigKey(buildAxeConfig({ axe: { withTags: ['wcag2a'] } }, { disableRules: ['region'] }))
+});
+
+clearCheckpoint(checkpointFile);
+
+const scenarios = [
+  { name: 'Header Keeps URL List', actual: checkpoint.urls, expected: urls },
+  { name: 'Header Keeps Settings', actual: checkpoint.settings, expected: settings },
+  { name: 'Completed Pages Restored', actual: [...checkpoint.completed.keys()], expected: [0] },
+  { name: 'Entry For Wrong URL Ignored', actual: checkpoint.completed.has(2), expected: false },
+  { name: 'Torn Line Ignored', actual: checkpoint.completed.has(1), expected: false },
+  { name: 'Same Settings Resume', actual: diffCheckpointSettings(checkpoint.settings, reordered), expected: [] },
+  {
+    name: 'Changed Viewports Refused',
+    actual: diffCheckpointSettings(checkpoint.settings, otherViewports),
+    expected: ['viewports (mobile, desktop → desktop)']
+  },
+  { name: 'Changed Axe Options Refused', actual: diffCheckpointSettings(checkpoint.settings, otherAxe), expected: ['axe options'] },
+  { name: 'Cleared Checkpoint Gone', actual: loadCheckpoint(checkpointFile), expected: null }
+];
+
+fs.rmSync(dir, { recursive: true, force: true });
+
+runScenarios(scenarios, {
+  passed: 'CHECKPOINTS TRUSTED: Restored finished pages and refused resumes with other settings.',
+  failed: 'CHECKPOINTS BRITTLE: Failed scenarios'
+});
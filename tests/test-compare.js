@@ -0,0 +1,126 @@
+// tests/test-compare.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compareAudits } from '../lib/diff/compareAudits.js';
+import { findAuditFile } from '../lib/io/auditFiles.js';
+import { getFriendlyNames } from '../lib/enrich/enrichRules.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const occurrence = (page, target, html = `<${target}>`) => ({ page: `https://ex.com${page}`, target, html });
+const inventory = pages => ({ pages: pages.map(page => ({ url: `https://ex.com${page}` })) });
+
+// Two audits of a site: one issue fixed, one added, one kept under a new selector, one untouched
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-compare-'));
+const write = (name, audit) => {
+  const file = path.join(dir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify({ site: 'https://ex.com', pagesAudited: 2, ...audit }));
+  return file;
+};
+
+const base = write('audit-results-ex_com-2026-01-01T00-00-00-000Z', {
+  timestamp: '2026-01-01T00-00-00-000Z',
+  rules: [
+    { id: 'image-alt', impact: 'critical', occurrences: [occurrence('/', 'img'), occurrence('/about', 'img')] },
+    { id: 'label', impact: 'critical', occurrences: [occurrence('/', '.Field_input__a1b2', '<input id="email" class="Field_input__a1b2">')] },
+    { id: 'region', impact: 'moderate', occurrences: [occurrence('/about', 'footer')] }
+  ]
+});
+const head = write('audit-results-ex_com-2026-02-01T00-00-00-000Z', {
+  timestamp: '2026-02-01T00-00-00-000Z',
+  rules: [
+    // Diff fields from the head's own previous audit are dropped before comparing
+    { id: 'image-alt', impact: 'critical', displayName: 'Images must have alternative text', isNewRule: true, occurrences: [{ ...occurrence('/', 'img'), isNewOccurrence: true }] },
+    { id: 'label', impact: 'critical', occurrences: [occurrence('/', '.Field_input__z9y8', '<input id="email" class="Field_input__z9y8">')] },
+    { id: 'color-contrast', impact: 'serious', occurrences: [occurrence('/about', 'p')] }
+  ]
+});
+const comparison = compareAudits(base, head, { friendlyNames: { region: 'Content must be in landmarks' } });
+
+// An incremental head only revisited /about: the home page is left out of the comparison
+const incremental = write('audit-results-ex_com-2026-02-02T00-00-00-000Z', {
+  timestamp: '2026-02-02T00-00-00-000Z',
+  incremental: true,
+  pageInventory: inventory(['/about']),
+  rules: [{ id: 'color-contrast', impact: 'serious', occurrences: [occurrence('/about', 'p')] }]
+});
+const scoped = compareAudits(base, incremental);
+
+const otherSite = write('other', { site: 'https://other.example', timestamp: '2026-02-01T00-00-00-000Z', rules: [] });
+const broken = path.join(dir, 'broken.json');
+fs.writeFileSync(broken, '{');
+
+const errors = [
+  thrownMessage(() => compareAudits(base, otherSite)),
+  thrownMessage(() => compareAudits(base, broken))?.startsWith('❌ Failed to read audit broken.json:'),
+  thrownMessage(() => findAuditFile('../secrets', dir)),
+  thrownMessage(() => findAuditFile('missing', dir)) === `❌ No processed audit "missing" in ${dir}.`
+];
+const found = [findAuditFile('other', dir), findAuditFile('other.json', dir)].map(file => path.basename(file));
+fs.rmSync(dir, { recursive: true, force: true });
+
+const scenarios = [
+  {
+    name: 'Totals: new, resolved, persisted and moved',
+    actual: comparison.totals,
+    expected: { new: 1, resolved: 2, persisted: 2, moved: 1 }
+  },
+  {
+    name: 'Audits described by run ID',
+    actual: [comparison.base.id, comparison.head.id, comparison.head.incremental, comparison.comparedPages],
+    expected: ['audit-results-ex_com-2026-01-01T00-00-00-000Z', 'audit-results-ex_com-2026-02-01T00-00-00-000Z', false, null]
+  },
+  {
+    name: 'Per rule, including rules only the base had',
+    actual: comparison.byRule.map(({ id, displayName, ...counts }) => [id, displayName, counts]),
+    expected: [
+      ['color-contrast', 'color-contrast', { impact: 'serious', new: 1, resolved: 0, persisted: 0, moved: 0 }],
+      ['image-alt', 'Images must have alternative text', { impact: 'critical', new: 0, resolved: 1, persisted: 1, moved: 0 }],
+      ['region', 'region', { impact: 'moderate', new: 0, resolved: 1, persisted: 0, moved: 0 }],
+      ['label', 'label', { impact: 'critical', new: 0, resolved: 0, persisted: 1, moved: 1 }]
+    ]
+  },
+  {
+    name: 'Per page',
+    actual: comparison.byPage,
+    expected: [
+      { page: 'https://ex.com/about', new: 1, resolved: 2, persisted: 0, moved: 0 },
+      { page: 'https://ex.com', new: 0, resolved: 0, persisted: 2, moved: 1 }
+    ]
+  },
+  {
+    name: 'Fully resolved rules named',
+    actual: comparison.fullyResolvedRules.map(rule => [rule.id, rule.friendlyName]),
+    expected: [['region', 'Content must be in landmarks']]
+  },
+  {
+    name: 'Incremental audit compared on the pages it revisited',
+    actual: { totals: scoped.totals, comparedPages: scoped.comparedPages, head: scoped.head.incremental },
+    expected: { totals: { new: 1, resolved: 2, persisted: 0, moved: 0 }, comparedPages: 1, head: true }
+  },
+  {
+    name: 'Unusable audits refused',
+    actual: errors,
+    expected: [
+      '❌ Can\'t compare audits of different sites (https://ex.com and https://other.example).',
+      true,
+      '❌ Invalid audit ID: "../secrets"',
+      true
+    ]
+  },
+  {
+    name: 'Run IDs found with or without .json',
+    actual: found,
+    expected: ['other.json', 'other.json']
+  },
+  {
+    name: 'Friendly names from axe metadata',
+    actual: getFriendlyNames({ 'image-alt': { help: 'Images must have alternative text' }, region: {} }),
+    expected: { 'image-alt': 'Images must have alternative text', region: 'region' }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'COMPARE TRUSTED: Diffed two stored audits by rule and page, and kept incremental ones to the pages they checked.',
+  failed: 'Compare tests failed'
+});
@@ -0,0 +1,121 @@
+// tests/test-dedupe.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fetchUrls, normalizeUrl } from '../lib/fetchUrls.js';
+import { readCrawlReport } from '../lib/io/urlListMeta.js';
+import { resolvePageFilters } from '../lib/config/pageFilters.js';
+import { serveFakeSite } from './fakeSite.js';
+import { runScenarios } from './scenarios.js';
+
+const html = (canonical = null) => ({
+  headers: { 'content-type': 'text/html; charset=utf-8' },
+  data: `<html><head>${canonical ? `<link rel="canonical" href="${canonical}">` : ''}</head><body></body></html>`
+});
+
+serveFakeSite({
+  'https://example.com/sitemap.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${[
+    'https://example.com/',
+    'https://Example.com/about/',
+    'https://example.com/about#team',
+    'https://example.com/products?utm_source=mail&amp;page=2',
+    'https://example.com/products?page=2',
+    'https://example.com/products?sort=price',
+    'https://example.com/old-pricing',
+    'https://example.com/pricing',
+    'https://example.com/shoes-red',
+    'https://example.com/shoes',
+    'https://example.com/partner',
+    'https://example.com/report.pdf',
+    'https://example.com/admin/users',
+    'https://other.example.org/page'
+  ].map(loc => `  <url><loc>${loc}</loc></url>`).join('\n')}
+</urlset>`,
+  'https://example.com': html(),
+  'https://example.com/about': html(),
+  'https://example.com/products?page=2': html(),
+  'https://example.com/products': html(),
+  'https://example.com/old-pricing': { ...html(), redirectTo: 'https://example.com/pricing/' },
+  'https://example.com/pricing': html(),
+  'https://example.com/shoes-red': html('/shoes'),
+  'https://example.com/shoes': html('https://example.com/shoes'),
+  'https://example.com/partner': { ...html(), redirectTo: 'https://partner.example.org/' }
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-dedupe-'));
+const urlsFile = path.join(dir, 'urls.txt');
+const log = console.log;
+console.log = () => {};
+const urls = await fetchUrls('https://example.com', urlsFile, null, {
+  sitemapUrl: 'https://example.com/sitemap.xml',
+  pages: resolvePageFilters({ pages: { queryParams: ['page'], dedupe: true } })
+});
+console.log = log;
+const report = readCrawlReport(urlsFile);
+fs.rmSync(dir, { recursive: true, force: true });
+
+const scenarios = [
+  {
+    name: 'Normalized: lowercase host, no fragment or trailing slash',
+    actual: normalizeUrl('https://EXAMPLE.com/About/#team'),
+    expected: 'https://example.com/About'
+  },
+  {
+    name: 'Only allowlisted query parameters kept, sorted',
+    actual: [
+      normalizeUrl('https://example.com/list?utm_source=x&page=2&lang=fr', { queryParams: ['page', 'lang'] }),
+      normalizeUrl('https://example.com/list?b=2&a=1', { queryParams: ['*'] }),
+      normalizeUrl('https://example.com/list/?page=2')
+    ],
+    expected: ['https://example.com/list?lang=fr&page=2', 'https://example.com/list?a=1&b=2', 'https://example.com/list']
+  },
+  {
+    name: 'Non-http URLs rejected',
+    actual: [normalizeUrl('mailto:team@example.com'), normalizeUrl('/relative'), normalizeUrl('ftp://example.com/')],
+    expected: [null, null, null]
+  },
+  {
+    name: 'Redirects and canonicals merged into the page they stand for',
+    actual: urls,
+    expected: [
+      'https://example.com',
+      'https://example.com/about',
+      'https://example.com/products?page=2',
+      'https://example.com/products',
+      'https://example.com/pricing',
+      'https://example.com/shoes'
+    ]
+  },
+  {
+    name: 'Crawl report: every sitemap URL discovered',
+    actual: report.discovered.length,
+    expected: 14
+  },
+  {
+    name: 'Crawl report: duplicates and what they duplicate',
+    actual: report.duplicates,
+    expected: [
+      { url: 'https://example.com/about#team', duplicateOf: 'https://example.com/about', reason: 'same URL once normalized' },
+      { url: 'https://example.com/products?page=2', duplicateOf: 'https://example.com/products?page=2', reason: 'listed more than once' },
+      { url: 'https://example.com/old-pricing', duplicateOf: 'https://example.com/pricing', reason: 'redirects to https://example.com/pricing' },
+      { url: 'https://example.com/shoes-red', duplicateOf: 'https://example.com/shoes', reason: 'canonical URL is https://example.com/shoes' }
+    ]
+  },
+  {
+    name: 'Crawl report: skipped URLs and why',
+    actual: report.skipped,
+    expected: [
+      { url: 'https://example.com/report.pdf', reason: 'not an HTML page' },
+      { url: 'https://example.com/admin/users', reason: 'excluded by default (admin, cart, checkout or account page)' },
+      { url: 'https://other.example.org/page', reason: 'on another site' },
+      { url: 'https://example.com/partner', reason: 'redirects off-site: https://partner.example.org/' }
+    ]
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'DEDUPE TRUSTED: Normalized URLs, kept routing parameters and merged redirected and canonical duplicates.',
+  failed: 'Dedupe tests failed'
+});
@@ -0,0 +1,117 @@
+// tests/test-failed-pages.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { resolveRetryPolicy, getRetryDelay } from '../lib/config/retryPolicy.js';
+import { classifyAuditError, createAuditError } from '../lib/errors/auditErrors.js';
+import { collectFailedPages, summarizeFailedPages } from '../lib/aggregate/pageInventory.js';
+import { FailedPages } from '../lib/ui/reportComponents.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const PROCESS_RESULTS = path.join(path.dirname(fileURLToPath(import.meta.url)), '../scripts/process-results.js');
+
+const timeouts = { gotoTimeout: 30000, analysisTimeout: 20000 };
+const classify = (err, options = {}) => classifyAuditError(err, { ...timeouts, ...options }).code;
+const timeoutError = Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError' });
+
+// One URL that failed at both viewports, one at mobile only
+const rawResults = [
+  { url: 'https://ex.com/', viewport: 'mobile', status: 200, violations: [] },
+  { url: 'https://ex.com/', viewport: 'desktop', status: 200, violations: [] },
+  { url: 'https://ex.com/slow', viewport: 'mobile', error: 'Navigation timed out after 30000ms.', errorCode: 'timeout', attempts: 2 },
+  { url: 'https://ex.com/slow', viewport: 'desktop', error: 'Navigation timed out after 30000ms.', errorCode: 'timeout', attempts: 2 },
+  { url: 'https://ex.com/flaky', viewport: 'mobile', error: 'Old failure' },
+  { url: 'https://ex.com/flaky', viewport: 'desktop', status: 200, violations: [] }
+];
+const failedPages = collectFailedPages(rawResults);
+const heading = FailedPages(failedPages).match(/Could Not Be Audited \((\d+)\)/)[1];
+
+// What process-results prints about them
+const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-failed-'));
+const raw = path.join(cwd, 'raw.json');
+fs.writeFileSync(raw, JSON.stringify(rawResults));
+const processed = spawnSync(process.execPath, [PROCESS_RESULTS, '--raw', raw, '--site', 'https://ex.com'], { cwd, encoding: 'utf-8' });
+fs.rmSync(cwd, { recursive: true, force: true });
+const warning = processed.stderr.split('\n').find(line => line.includes('could not be audited'));
+const scorecard = processed.stdout.split('\n').find(line => line.startsWith('Not Audited:'));
+
+const scenarios = [
+  {
+    name: 'Retry defaults: one retry of transient failures',
+    actual: resolveRetryPolicy(),
+    expected: { retries: 1, backoffMs: 2000, on: ['timeout', 'connection', 'crash'] }
+  },
+  {
+    name: 'Retry config and overrides',
+    actual: resolveRetryPolicy({ retry: { retries: 3, on: ['dns'] } }, { retries: 0, backoffMs: undefined }),
+    expected: { retries: 0, backoffMs: 2000, on: ['dns'] }
+  },
+  {
+    name: 'Invalid retry settings',
+    actual: [
+      thrownMessage(() => resolveRetryPolicy({ retry: { retries: 11 } })),
+      thrownMessage(() => resolveRetryPolicy({ retry: { backoffMs: -1 } })),
+      thrownMessage(() => resolveRetryPolicy({ retry: { on: ['flaky'] } })).startsWith('❌ retry.on must be an array of error codes: dns, refused,')
+    ],
+    expected: [
+      '❌ retry.retries must be a whole number from 0 to 10.',
+      '❌ retry.backoffMs must be a number of milliseconds (0 or more).',
+      true
+    ]
+  },
+  {
+    name: 'Backoff doubles up to a minute',
+    actual: [1, 2, 3, 10].map(retry => getRetryDelay({ backoffMs: 2000 }, retry)),
+    expected: [2000, 4000, 8000, 60000]
+  },
+  {
+    name: 'Errors classified by code',
+    actual: [
+      classify(timeoutError),
+      classify(new Error('Axe analysis timed out')),
+      classify(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.example')),
+      classify(new Error('net::ERR_CONNECTION_REFUSED at https://ex.com')),
+      classify(new Error('net::ERR_CONNECTION_RESET at https://ex.com')),
+      classify(new Error('net::ERR_ABORTED at https://ex.com/file.zip')),
+      classify(new Error('Target closed'), { crashed: true }),
+      classify(createAuditError('rate-limited', 'Answered 429 after 3 retries.')),
+      classify(new Error('Something else'))
+    ],
+    expected: ['timeout', 'axe-timeout', 'dns', 'refused', 'connection', 'non-html', 'crash', 'rate-limited', 'unknown']
+  },
+  {
+    name: 'Messages a human can act on',
+    actual: [classifyAuditError(timeoutError, timeouts).message, classifyAuditError(new Error('Something else'), timeouts).message],
+    expected: ['Navigation timed out after 30000ms. The page may be slow or continuously loading.', 'Something else']
+  },
+  {
+    name: 'Failed pages listed per viewport, unclassified ones as unknown',
+    actual: failedPages.map(({ url, viewport, code, attempts }) => [url, viewport, code, attempts]),
+    expected: [
+      ['https://ex.com/slow', 'mobile', 'timeout', 2],
+      ['https://ex.com/slow', 'desktop', 'timeout', 2],
+      ['https://ex.com/flaky', 'mobile', 'unknown', null]
+    ]
+  },
+  {
+    name: 'Failed pages counted once per URL',
+    actual: [summarizeFailedPages(failedPages), summarizeFailedPages([{ url: 'https://ex.com/a' }]), Number(heading)],
+    expected: [{ pages: 2, byViewport: { mobile: 2, desktop: 1 } }, { pages: 1, byViewport: {} }, 2]
+  },
+  {
+    name: 'Warning and scorecard count URLs and list viewports',
+    actual: [processed.status, warning, scorecard],
+    expected: [
+      0,
+      '⚠️ 2 page(s) could not be audited (failed at mobile: 2, desktop: 1). Their issues are unknown and left out of this report.',
+      'Not Audited:   2 ⚠️ (mobile: 2, desktop: 1)'
+    ]
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'FAILED PAGES TRUSTED: Retried transient errors, classified failures and counted each page once.',
+  failed: 'Failed page tests failed'
+});
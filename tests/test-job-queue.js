@@ -0,0 +1,80 @@
+// tests/test-job-queue.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJobQueue } from '../lib/jobs/jobQueue.js';
+import { runScenarios } from './scenarios.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-jobs-'));
+const stateFile = path.join(dir, 'audit-jobs.json');
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Jobs finish when the test says so; a cancelled job's runJob rejects as a child process would
+const finish = new Map();
+const started = [];
+const settled = [];
+const queue = createJobQueue({
+  stateFile,
+  concurrency: 1,
+  runJob: (job, signal) => new Promise((resolve, reject) => {
+    started.push(job.url);
+    finish.set(job.url, resolve);
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }),
+  onSettled: job => { settled.push(`${job.url}:${job.status}`); }
+});
+
+const first = queue.create({ url: 'https://a.example' });
+const second = queue.create({ url: 'https://b.example' });
+const third = queue.create({ url: 'https://c.example' });
+const queuedBeforeStart = [first, second, third].map(job => job.status);
+
+queue.start();
+await tick();
+const positions = [queue.get(second.id).position, queue.get(third.id).position];
+const runningFirst = started.slice();
+
+queue.cancel(third.id);
+finish.get('https://a.example')({ files: { json: 'a.json' } });
+await tick();
+const afterFirst = { started: started.slice(), files: queue.get(first.id).files };
+
+queue.cancel(second.id);
+await tick();
+
+// A queue loaded from the same file (after a restart) can put a finished job back, to resume it
+const restart = createJobQueue({ stateFile, runJob: async () => ({}) });
+restart.requeue(second.id, { resume: true });
+const requeued = restart.get(second.id);
+
+// Stopping leaves the running job as 'running' in the file for the next load to mark
+const interruptedFile = path.join(dir, 'interrupted.json');
+const stopped = createJobQueue({ stateFile: interruptedFile, runJob: () => new Promise(() => {}) });
+const running = stopped.create({ url: 'https://d.example' });
+stopped.start();
+await tick();
+stopped.stop();
+await tick();
+const reloaded = createJobQueue({ stateFile: interruptedFile, runJob: async () => ({}) }).get(running.id);
+
+fs.rmSync(dir, { recursive: true, force: true });
+
+const scenarios = [
+  { name: 'Jobs Wait Until Started', actual: queuedBeforeStart, expected: ['queued', 'queued', 'queued'] },
+  { name: 'One At A Time, Oldest First', actual: runningFirst, expected: ['https://a.example'] },
+  { name: 'Queue Positions', actual: positions, expected: [1, 2] },
+  { name: 'Next Job Starts When One Ends', actual: afterFirst.started, expected: ['https://a.example', 'https://b.example'] },
+  { name: 'Run Patch Kept', actual: afterFirst.files, expected: { json: 'a.json' } },
+  {
+    name: 'Cancelled And Done Jobs Settle',
+    actual: settled,
+    expected: ['https://c.example:cancelled', 'https://a.example:done', 'https://b.example:cancelled']
+  },
+  { name: 'Finished Job Can Be Requeued', actual: [requeued.status, requeued.resume], expected: ['queued', true] },
+  { name: 'Restart Marks Running Jobs Interrupted', actual: [reloaded.status, reloaded.message], expected: ['error', 'Audit interrupted by server restart'] }
+];
+
+runScenarios(scenarios, {
+  passed: 'JOB QUEUE TRUSTED: Ran jobs in order, one at a time, and survived a restart.',
+  failed: 'JOB QUEUE BRITTLE: Failed scenarios'
+});
@@ -0,0 +1,48 @@
+// tests/test-moved.js
+import fs from 'fs';
+import { diffRules } from '../lib/diff/diffRules.js';
+import { scoreOccurrenceMatch, matchMovedOccurrences } from '../lib/diff/matchOccurrences.js';
+import { runScenarios } from './scenarios.js';
+
+const currentRules = JSON.parse(fs.readFileSync('./tests/fixtures/moved-new.json', 'utf-8')).rules;
+const { diffTotals, rules } = diffRules(currentRules, './tests/fixtures', {}, 'moved-old.json');
+const labels = rules.find(rule => rule.id === 'label').occurrences;
+
+const email = { target: '.Form_field__a1b2c > input:nth-child(2)', html: '<input id="email" class="Input_text__9f8e7">' };
+const rehashedEmail = { target: '.Form_field__x9y8z > input:nth-child(3)', html: '<input class="Input_text__1a2b3" id="email">' };
+
+const scenarios = [
+  {
+    name: 'Class hashes, sibling positions and attribute order ignored',
+    actual: scoreOccurrenceMatch(email, rehashedEmail),
+    expected: 1
+  },
+  {
+    name: 'Different ids or tags are different elements',
+    actual: [
+      scoreOccurrenceMatch({ target: '#phone', html: '<input id="phone">' }, { target: '#fax', html: '<input id="fax">' }),
+      scoreOccurrenceMatch({ target: '.cta', html: '<a class="cta">' }, { target: '.cta', html: '<button class="cta">' })
+    ],
+    expected: [0, 0]
+  },
+  {
+    name: 'Most confident pairs first, each occurrence used once',
+    actual: matchMovedOccurrences([email], [{ target: 'input', html: '<input>' }, rehashedEmail]).map(({ previous, current }) => [previous, current]),
+    expected: [[0, 1]]
+  },
+  {
+    name: 'Moved selector counted as moved, not fixed and new',
+    actual: diffTotals,
+    expected: { newViolations: 2, resolvedViolations: 2, moved: 1, unchanged: 1 }
+  },
+  {
+    name: 'Moved occurrence keeps its previous selector',
+    actual: labels.filter(o => o.movedFrom).map(o => ({ target: o.target, movedFrom: o.movedFrom.target, isNew: o.isNewOccurrence })),
+    expected: [{ target: rehashedEmail.target, movedFrom: email.target, isNew: false }]
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'MOVES TRUSTED: Matched elements under changed selectors and kept different ones apart.',
+  failed: 'MOVES BRITTLE: Failed scenarios'
+});
@@ -0,0 +1,148 @@
+// tests/test-page-filters.js
+import {
+  compilePattern,
+  resolvePageFilters,
+  isExcludedPage,
+  filterPages,
+  getPageGroup,
+  samplePages,
+  collectPageGroups
+} from '../lib/config/pageFilters.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const site = path => `https://example.com${path}`;
+const matches = (pattern, paths) => paths.filter(path => compilePattern(pattern, 'pattern').test(path));
+
+const urls = [
+  '/', '/about', '/blog/hello', '/blog/2024/05/launch', '/blog/hello/print',
+  '/products/blue-shoe', '/products/red-shoe', '/products/green-shoe', '/products/123/reviews', '/products/456/reviews'
+].map(site);
+
+const filters = resolvePageFilters(
+  { pages: { include: ['/blog/**', '/products/*'], exclude: ['re:/print$'] } },
+  { include: ['/about'], exclude: ['/products/red-*'] }
+);
+
+const products = urls.filter(url => url.includes('/products/') && !url.endsWith('/reviews'));
+const sampled = samplePages(urls, { sample: 1 });
+const resampled = samplePages([...urls].reverse(), { sample: 1 });
+
+const scenarios = [
+  {
+    name: 'Globs: * is one segment, ** any depth, ? one character',
+    actual: [
+      matches('/blog/*', ['/blog', '/blog/a', '/blog/a/b']),
+      matches('/blog/**', ['/blog', '/blog/a', '/blog/a/b']),
+      matches('/v?/docs', ['/v1/docs', '/v10/docs']),
+      matches('products/', ['/products', '/products/a'])
+    ],
+    expected: [['/blog/a'], ['/blog/a', '/blog/a/b'], ['/v1/docs'], ['/products']]
+  },
+  {
+    name: 'Regex patterns and literal dots',
+    actual: [
+      matches('re:^/blog/\\d{4}/', ['/blog/2024/05', '/blog/hello']),
+      matches('/feed.xml', ['/feed.xml', '/feedsxml'])
+    ],
+    expected: [['/blog/2024/05'], ['/feed.xml']]
+  },
+  {
+    name: 'Invalid patterns and settings',
+    actual: [
+      thrownMessage(() => compilePattern('  ', 'pages.include[0]')),
+      thrownMessage(() => compilePattern('re:(', 'exclude[1]')),
+      thrownMessage(() => resolvePageFilters({ pages: { include: '/blog/*' } })),
+      thrownMessage(() => resolvePageFilters({ pages: { sample: 3 } }, { sample: 0 }))
+    ],
+    expected: [
+      '❌ pages.include[0] must be a non-empty string.',
+      '❌ exclude[1] is not a valid regular expression: Invalid regular expression: /(/: Unterminated group',
+      '❌ pages.include must be an array of patterns.',
+      '❌ pages.sample must be a positive integer (pages audited per group).'
+    ]
+  },
+  {
+    name: 'Config and overrides combined',
+    actual: {
+      include: filters.include.map(({ pattern }) => pattern),
+      exclude: filters.exclude.map(({ pattern }) => pattern),
+      defaultExcludes: filters.defaultExcludes,
+      sample: [resolvePageFilters({ pages: { sample: 3 } }).sample, resolvePageFilters({ pages: { sample: 3 } }, { sample: 1 }).sample]
+    },
+    expected: {
+      include: ['/blog/**', '/products/*', '/about'],
+      exclude: ['re:/print$', '/products/red-*'],
+      defaultExcludes: true,
+      sample: [3, 1]
+    }
+  },
+  {
+    name: 'Included pages kept, excluded ones dropped',
+    actual: filterPages(urls, filters),
+    expected: ['/about', '/blog/hello', '/blog/2024/05/launch', '/products/blue-shoe', '/products/green-shoe'].map(site)
+  },
+  {
+    name: 'Excludes alone keep everything else',
+    actual: [
+      filterPages(urls, resolvePageFilters({ pages: { exclude: ['/products/**'] } })).length,
+      isExcludedPage(site('/blog/hello/print'), filters),
+      isExcludedPage(site('/blog/hello'), filters)
+    ],
+    expected: [5, true, false]
+  },
+  {
+    name: 'Automatic groups by path template',
+    actual: ['/', '/about', '/products/blue-shoe', '/blog/2024/05/launch', '/products/123/reviews', '/orders/3f2a9c1e-aaaa-4bbb-8ccc-1234567890ab/items']
+      .map(path => getPageGroup(site(path))),
+    expected: ['/', '/about', '/products/*', '/blog/*/*/*', '/products/*/*', '/orders/*/*']
+  },
+  {
+    name: 'Configured groups checked first',
+    actual: getPageGroup(site('/products/123/reviews'), resolvePageFilters({ pages: { groups: ['/products/*/reviews'] } }).groups),
+    expected: '/products/*/reviews'
+  },
+  {
+    name: 'Sampling keeps N per group, in input order',
+    actual: {
+      groups: sampled.groups,
+      keptInOrder: sampled.urls.every((url, i) => i === 0 || urls.indexOf(url) > urls.indexOf(sampled.urls[i - 1])),
+      oneProduct: sampled.urls.filter(url => products.includes(url)).length
+    },
+    expected: {
+      groups: [
+        { pattern: '/products/*', total: 3, sampled: 1 },
+        { pattern: '/products/*/*', total: 2, sampled: 1 },
+        { pattern: '/', total: 1, sampled: 1 },
+        { pattern: '/about', total: 1, sampled: 1 },
+        { pattern: '/blog/*', total: 1, sampled: 1 },
+        { pattern: '/blog/*/*/*', total: 1, sampled: 1 },
+        { pattern: '/blog/hello/*', total: 1, sampled: 1 }
+      ],
+      keptInOrder: true,
+      oneProduct: 1
+    }
+  },
+  {
+    name: 'Same representatives whatever the order',
+    actual: [...resampled.urls].sort(),
+    expected: [...sampled.urls].sort()
+  },
+  {
+    name: 'Group totals from raw results',
+    actual: collectPageGroups([
+      { url: site('/products/blue-shoe'), group: '/products/*', groupSize: 3, violations: [{ nodes: [{}, {}] }] },
+      { url: site('/products/blue-shoe'), group: '/products/*', groupSize: 3, viewport: 'mobile', violations: [{ nodes: [{}] }] },
+      { url: site('/about'), group: '/about', groupSize: 1, violations: [] },
+      { url: site('/unsampled') }
+    ]),
+    expected: [
+      { pattern: '/products/*', total: 3, audited: 1, pagesWithIssues: 1, occurrences: 3 },
+      { pattern: '/about', total: 1, audited: 1, pagesWithIssues: 0, occurrences: 0 }
+    ]
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'PAGE FILTERS TRUSTED: Matched patterns, filtered pages and sampled each template.',
+  failed: 'Page filter tests failed'
+});
@@ -0,0 +1,81 @@
+// tests/test-page-inventory.js
+import { buildPageInventory } from '../lib/aggregate/pageInventory.js';
+import { runScenarios } from './scenarios.js';
+
+const page = (url, details = {}) => ({
+  url,
+  status: 200,
+  finalUrl: url,
+  title: 'Home',
+  lang: 'en',
+  elementCount: 500,
+  timing: { loadMs: 800, axeMs: 200 },
+  violations: [],
+  ...details
+});
+
+const titled = titles => buildPageInventory(titles.map((title, i) => page(`https://ex.com/${i}`, { title })))
+  .pages.map(p => p.flags.includes('soft-error'));
+
+const inventory = buildPageInventory([
+  page('https://ex.com/', { violations: [{ nodes: [{}, {}] }, { nodes: [{}] }], timing: { loadMs: 1200, axeMs: 300 } }),
+  page('https://ex.com/old', { status: 404, title: 'Not Found' }),
+  page('https://ex.com/promo/', { finalUrl: 'https://ex.com/promo', timing: { loadMs: 400, axeMs: 100 } }),
+  page('https://ex.com/moved', { finalUrl: 'https://ex.com/new-home' }),
+  { url: 'https://ex.com/down', error: 'Navigation timed out.' },
+  { url: 'https://ex.com/legacy', violations: [{ nodes: [{}] }] }
+]);
+
+const scenarios = [
+  {
+    name: 'Error page titles flagged as soft errors',
+    actual: titled(['404', 'Page Not Found | Example', 'Oops! An error occurred', 'Page error', 'Service Unavailable', 'This page doesn\'t exist', 'Product no longer available']),
+    expected: [true, true, true, true, true, true, true]
+  },
+  {
+    name: 'Real pages about errors are not',
+    actual: titled(['Error handling guide', 'Error messages — Design System', 'Errors and exceptions', 'Home']),
+    expected: [false, false, false, false]
+  },
+  {
+    name: 'HTTP errors, redirects and failures flagged',
+    actual: inventory.pages.map(p => [p.url, p.flags]),
+    expected: [
+      ['https://ex.com/', []],
+      ['https://ex.com/old', ['http-error']],
+      ['https://ex.com/promo/', []],
+      ['https://ex.com/moved', ['redirected']],
+      ['https://ex.com/down', ['failed']],
+      ['https://ex.com/legacy', []]
+    ]
+  },
+  {
+    name: 'Per-page counts and density',
+    actual: (({ rules, occurrences, issuesPer1000Elements, loadMs }) => ({ rules, occurrences, issuesPer1000Elements, loadMs }))(inventory.pages[0]),
+    expected: { rules: 2, occurrences: 3, issuesPer1000Elements: 6, loadMs: 1200 }
+  },
+  {
+    name: 'Results without page details listed with null fields',
+    actual: (({ status, title, elementCount, issuesPer1000Elements }) => ({ status, title, elementCount, issuesPer1000Elements }))(inventory.pages[5]),
+    expected: { status: null, title: null, elementCount: null, issuesPer1000Elements: null }
+  },
+  {
+    name: 'Summary',
+    actual: inventory.summary,
+    expected: {
+      recorded: true,
+      httpErrors: 1,
+      softErrors: 0,
+      redirected: 1,
+      failed: 1,
+      elements: 2000,
+      issuesPer1000Elements: 1.5,
+      medianLoadMs: 800
+    }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'PAGE INVENTORY TRUSTED: Flagged error pages and redirects, and left real pages about errors alone.',
+  failed: 'Page inventory tests failed'
+});
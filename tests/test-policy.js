@@ -0,0 +1,158 @@
+// tests/test-policy.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { loadPolicy, resolvePolicy, evaluatePolicy, DEFAULT_POLICY_FILE } from '../lib/config/policy.js';
+import { computeExecutiveScore } from '../lib/aggregate/executiveScore.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const PROCESS_RESULTS = path.join(path.dirname(fileURLToPath(import.meta.url)), '../scripts/process-results.js');
+
+const occurrences = (page, count, extra = {}) => Array.from({ length: count }, (_, i) => ({ page: `https://ex.com${page}`, target: `#el-${i}`, ...extra }));
+const rules = [
+  { id: 'image-alt', impact: 'critical', wcagLevel: 'A', occurrences: [...occurrences('/checkout/pay', 1), ...occurrences('/', 1, { accepted: { owner: 'web-team' } })] },
+  { id: 'color-contrast', impact: 'serious', wcagLevel: 'AA', occurrences: occurrences('/', 3) },
+  { id: 'region', impact: 'moderate', wcagLevel: 'Best Practice', occurrences: occurrences('/blog/post', 2) }
+];
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-policy-'));
+const writePolicy = (name, data) => {
+  fs.writeFileSync(path.join(dir, name), typeof data === 'string' ? data : JSON.stringify(data));
+  return name;
+};
+const env = {};
+
+writePolicy(DEFAULT_POLICY_FILE, { maxViolations: { impact: { critical: 0 } }, failOnExpiredAcceptances: false });
+const loaded = loadPolicy(null, { cwd: dir, env });
+const legacy = loadPolicy(null, { cwd: os.tmpdir(), env: { FAIL_ON_ACCESSIBILITY_CRITICAL: 'true', FAIL_ON_ACCESSIBILITY_REGRESSIONS: 'true' } });
+const loadErrors = [
+  thrownMessage(() => loadPolicy('missing.json', { cwd: dir, env })),
+  thrownMessage(() => loadPolicy(writePolicy('broken.json', '{'), { cwd: dir, env }))?.startsWith('❌ Failed to parse policy'),
+  thrownMessage(() => loadPolicy(writePolicy('list.json', []), { cwd: dir, env }))?.endsWith('must be a JSON object.'),
+  thrownMessage(() => loadPolicy(writePolicy('impact.json', { maxViolations: { impact: { blocker: 0 } } }), { cwd: dir, env }))
+];
+
+// process-results exits with the code of the first breach
+const raw = path.join(dir, 'raw.json');
+fs.writeFileSync(raw, JSON.stringify([{
+  url: 'https://ex.com/',
+  violations: [{ id: 'image-alt', impact: 'critical', tags: ['wcag2a'], nodes: [{ target: ['img'], html: '<img>' }] }],
+  incomplete: [],
+  passes: []
+}]));
+const processed = spawnSync(process.execPath, [PROCESS_RESULTS, '--raw', raw, '--site', 'https://ex.com'], {
+  cwd: dir,
+  encoding: 'utf-8',
+  env: { PATH: process.env.PATH }
+});
+const gated = {
+  status: processed.status,
+  breach: processed.stderr.split('\n').find(line => line.includes('[impact]'))?.trim()
+};
+fs.rmSync(dir, { recursive: true, force: true });
+
+const strict = resolvePolicy({
+  maxViolations: {
+    impact: { critical: 0, serious: 5 },
+    wcagLevel: { AA: 2 },
+    rules: { region: 1 },
+    pages: { '/checkout/**': 0 }
+  },
+  maxNewViolations: 1,
+  maxScore: 5,
+  minGrade: 'B',
+  minPagesAudited: 10
+});
+const audit = { rules, newViolations: 2, pagesAudited: 3, expiredAcceptances: [{ key: 'k' }], baselineFile: 'audit.baseline.json' };
+const result = evaluatePolicy(strict, audit);
+
+// Two accepted critical occurrences on one page: a grade D without the baseline
+const acceptedOnly = evaluatePolicy(resolvePolicy({ maxScore: 2, minGrade: 'B' }), {
+  rules: [{ id: 'image-alt', impact: 'critical', wcagLevel: 'A', occurrences: occurrences('/', 2, { accepted: { owner: 'web-team' } }) }],
+  pagesAudited: 1
+});
+
+const scenarios = [
+  {
+    name: 'Impact density and grade',
+    actual: [computeExecutiveScore(rules, 3), computeExecutiveScore(rules, 0).grade, computeExecutiveScore([], 5).grade],
+    expected: [{ score: 13, grade: 'C', totalPenalty: 39 }, 'A', 'A']
+  },
+  {
+    name: 'Policy file loaded from the working directory',
+    actual: [path.basename(loaded.file), loaded.impact, loaded.failOnExpiredAcceptances, loaded.maxNewViolations],
+    expected: [DEFAULT_POLICY_FILE, { critical: 0 }, false, null]
+  },
+  {
+    name: 'Nothing gated without a policy or legacy flags',
+    actual: loadPolicy(null, { cwd: os.tmpdir(), env }),
+    expected: null
+  },
+  {
+    name: 'Legacy FAIL_ON_* flags become limits',
+    actual: [legacy.file, legacy.impact, legacy.maxNewViolations],
+    expected: [null, { critical: 0 }, 0]
+  },
+  {
+    name: 'Invalid policies refused',
+    actual: [
+      ...loadErrors,
+      thrownMessage(() => resolvePolicy({ maxNewViolations: -1 })),
+      thrownMessage(() => resolvePolicy({ minGrade: 'E' })),
+      thrownMessage(() => resolvePolicy({ maxScore: 'low' })),
+      thrownMessage(() => resolvePolicy({ maxViolations: { pages: { 're:(': 0 } } }))?.startsWith('❌ maxViolations.pages "re:(" is not a valid regular expression')
+    ],
+    expected: [
+      '❌ Policy file not found: missing.json',
+      true,
+      true,
+      '❌ Policy impact.json: maxViolations.impact has an unknown key "blocker" (expected critical, serious, moderate, minor).',
+      '❌ maxNewViolations must be a non-negative integer.',
+      '❌ minGrade must be one of A, B, C, D, F.',
+      '❌ maxScore must be a non-negative number (the executive summary\'s impact density).',
+      true
+    ]
+  },
+  {
+    name: 'Every breach reported, accepted occurrences left out',
+    actual: result.breaches.map(({ check, exitCode, message, rules: ruleIds }) => [check, exitCode, message, ruleIds]),
+    expected: [
+      ['impact', 10, '1 critical violation(s), over the limit of 0.', ['image-alt']],
+      ['wcagLevel', 11, '3 WCAG AA violation(s), over the limit of 2.', ['color-contrast']],
+      ['rule', 12, '2 region violation(s), over the limit of 1.', undefined],
+      ['page', 13, '1 violation(s) on pages matching /checkout/**, over the limit of 0.', ['image-alt']],
+      ['newViolations', 14, '2 new violation(s) introduced, over the limit of 1.', undefined],
+      ['score', 15, 'Impact density 9.7 (grade C), over the limit of 5.', undefined],
+      ['score', 15, 'Grade C (impact density 9.7), below the minimum of B.', undefined],
+      ['pagesAudited', 16, '3 page(s) audited, under the minimum of 10.', undefined],
+      ['expiredAcceptances', 17, '1 accepted issue(s) in audit.baseline.json expired. Fix them or renew their acceptance.', undefined]
+    ]
+  },
+  {
+    name: 'The first breach sets the exit code',
+    actual: [result.exitCode, evaluatePolicy(resolvePolicy({ minPagesAudited: 10 }), audit).exitCode],
+    expected: [10, 16]
+  },
+  {
+    name: 'Within every limit passes',
+    actual: evaluatePolicy(resolvePolicy({ maxViolations: { impact: { critical: 1 } }, failOnExpiredAcceptances: false }), audit),
+    expected: { breaches: [], exitCode: 0 }
+  },
+  {
+    name: 'Accepted occurrences left out of the score and grade',
+    actual: acceptedOnly,
+    expected: { breaches: [], exitCode: 0 }
+  },
+  {
+    name: 'process-results exits with the breach\'s code',
+    actual: gated,
+    expected: { status: 10, breach: '- [impact] 1 critical violation(s), over the limit of 0.' }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'POLICY TRUSTED: Loaded the CI policy, reported every breach and exited with its code.',
+  failed: 'Policy tests failed'
+});
@@ -0,0 +1,185 @@
+// tests/test-politeness.js
+import { parseRobotsTxt, selectRobotsRules, isAllowedByRobots, getProductToken, fetchRobotsTxt } from '../lib/crawl/robotsTxt.js';
+import { resolvePolitenessOptions, createPoliteness } from '../lib/crawl/politeness.js';
+import { serveFakeSite } from './fakeSite.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const rejection = async promise => {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const robotsTxt = `# Example robots.txt
+User-agent: *
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Crawl-delay: 1
+
+User-agent: A11yAuditBot
+User-agent: OtherBot
+Disallow: /search
+Disallow:
+Crawl-delay: 2
+
+Sitemap: https://example.com/sitemap.xml`;
+
+const robots = parseRobotsTxt(robotsTxt);
+const everyone = selectRobotsRules(robots).rules;
+const allowed = paths => paths.filter(path => isAllowedByRobots(everyone, `https://example.com${path}`));
+
+// Silence the progress lines politeness prints while the scenarios run
+const log = console.log;
+const warn = console.warn;
+const warnings = [];
+console.log = () => {};
+console.warn = message => warnings.push(message.trim());
+
+const requests = serveFakeSite({
+  'https://example.com/robots.txt': robotsTxt,
+  'https://down.example.com/robots.txt': { status: 503 }
+});
+
+const polite = createPoliteness({ respectRobotsTxt: true, userAgent: 'A11yAuditBot/1.0 (+https://example.com/bot)' });
+const decisions = [
+  await polite.isAllowed('https://example.com/search?q=a'),
+  await polite.isAllowed('https://example.com/private'),
+  await polite.isAllowed('https://down.example.com/'),
+  await polite.isAllowed('https://example.com/about')
+];
+const robotsRequests = requests.map(r => [r.url, r.headers['User-Agent']]);
+const unsafeRobots = await rejection(polite.isAllowed('http://localhost:8080/admin'));
+const ignoring = await createPoliteness().isAllowed('https://down.example.com/');
+const missing = await fetchRobotsTxt('https://missing.example.com/');
+
+// Backoff: Retry-After in seconds wins, then doubling from 5s, and retries run out
+const backingOff = createPoliteness({ maxRetries: 2 });
+const backoffs = [
+  await backingOff.backoff('https://example.com/', 429, '1', 0),
+  await backingOff.backoff('https://example.com/', 503, null, 1),
+  await backingOff.backoff('https://example.com/', 503, null, 2)
+];
+
+// Two requests spaced 100ms apart by requestsPerSecond
+const paced = createPoliteness({ requestsPerSecond: 10 });
+const start = Date.now();
+await paced.throttle();
+await paced.throttle();
+const pacedMs = Date.now() - start;
+
+console.log = log;
+console.warn = warn;
+
+const scenarios = [
+  {
+    name: 'Groups, shared user agents and sitemaps parsed',
+    actual: robots,
+    expected: {
+      groups: [
+        {
+          agents: ['*'],
+          rules: [{ allow: false, path: '/private' }, { allow: true, path: '/private/press' }, { allow: false, path: '/*.pdf$' }],
+          crawlDelay: 1
+        },
+        { agents: ['a11yauditbot', 'otherbot'], rules: [{ allow: false, path: '/search' }], crawlDelay: 2 }
+      ],
+      sitemaps: ['https://example.com/sitemap.xml']
+    }
+  },
+  {
+    name: 'Product token from the user agent',
+    actual: [getProductToken('A11yAuditBot/1.0 (+https://example.com/bot)'), getProductToken(null)],
+    expected: ['a11yauditbot', '']
+  },
+  {
+    name: 'Named group replaces the * group',
+    actual: [selectRobotsRules(robots, 'OtherBot/2'), selectRobotsRules(robots, 'SomeBot').crawlDelay],
+    expected: [{ rules: [{ allow: false, path: '/search' }], crawlDelay: 2 }, 1]
+  },
+  {
+    name: 'Longest rule wins, wildcards and $ anchors',
+    actual: allowed(['/', '/private', '/private/team', '/private/press/2026', '/files/report.pdf', '/files/report.pdf?v=2']),
+    expected: ['/', '/private/press/2026', '/files/report.pdf?v=2']
+  },
+  {
+    name: 'Allow wins a tie',
+    actual: isAllowedByRobots([{ allow: false, path: '/docs' }, { allow: true, path: '/docs' }], 'https://example.com/docs'),
+    expected: true
+  },
+  {
+    name: 'Pages checked against the site\'s robots.txt, fetched once per origin',
+    actual: { decisions, robotsRequests },
+    expected: {
+      decisions: [false, true, false, true],
+      robotsRequests: [
+        ['https://example.com/robots.txt', 'A11yAuditBot/1.0 (+https://example.com/bot)'],
+        ['https://down.example.com/robots.txt', 'A11yAuditBot/1.0 (+https://example.com/bot)']
+      ]
+    }
+  },
+  {
+    name: 'Blocked and unreachable origins counted for the summary',
+    actual: { blocked: polite.stats.robotsBlocked, unreachable: polite.stats.robotsUnreachable },
+    expected: { blocked: ['https://example.com/search?q=a', 'https://down.example.com/'], unreachable: ['https://down.example.com'] }
+  },
+  {
+    name: 'Missing robots.txt allows everything',
+    actual: missing,
+    expected: { groups: [], sitemaps: [], unreachable: false }
+  },
+  {
+    name: 'Unsafe robots.txt URL rejected (the page fails, not the run)',
+    actual: unsafeRobots,
+    expected: 'SSRF Block: http://localhost:8080/robots.txt is unsafe.'
+  },
+  {
+    name: 'robots.txt ignored unless respected',
+    actual: ignoring,
+    expected: true
+  },
+  {
+    name: 'Options from config and overrides',
+    actual: [
+      resolvePolitenessOptions({ crawl: { requestsPerSecond: 2, userAgent: ' Bot/1 ' } }, { delayMs: 500, maxRetries: undefined }),
+      thrownMessage(() => resolvePolitenessOptions({ crawl: { delayMs: -1 } })),
+      thrownMessage(() => resolvePolitenessOptions({}, { maxRetries: 1.5 }))
+    ],
+    expected: [
+      { respectRobotsTxt: false, requestsPerSecond: 2, delayMs: 500, userAgent: 'Bot/1', maxRetries: 3 },
+      '❌ crawl.delayMs must be a positive number.',
+      '❌ crawl.maxRetries must be a whole number (0 disables retries).'
+    ]
+  },
+  {
+    name: 'User agent appended to a viewport profile\'s own',
+    actual: [polite.userAgentFor('Mobile Safari'), polite.userAgentFor(), createPoliteness().userAgentFor('Mobile Safari')],
+    expected: ['Mobile Safari A11yAuditBot/1.0 (+https://example.com/bot)', 'A11yAuditBot/1.0 (+https://example.com/bot)', 'Mobile Safari']
+  },
+  {
+    name: 'Backoff until retries run out',
+    actual: { backoffs, stats: { backoffs: backingOff.stats.backoffs, gaveUp: backingOff.stats.gaveUp, statuses: backingOff.stats.backoffStatuses } },
+    expected: { backoffs: [true, true, false], stats: { backoffs: 2, gaveUp: 1, statuses: { 429: 1, 503: 2 } } }
+  },
+  {
+    name: 'Backoff delays announced',
+    actual: warnings.filter(w => w.startsWith('⏳')),
+    expected: [
+      '⏳ https://example.com/ answered 429; backing off for 1s (retry 1 of 2)',
+      '⏳ https://example.com/ answered 503; backing off for 10s (retry 2 of 2)'
+    ]
+  },
+  {
+    name: 'Requests spaced by the rate limit',
+    actual: pacedMs >= 90 && paced.stats.requests === 2,
+    expected: true
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'POLITENESS TRUSTED: Followed robots.txt, paced requests and backed off when asked.',
+  failed: 'Politeness tests failed'
+});
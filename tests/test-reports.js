@@ -0,0 +1,141 @@
+// tests/test-reports.js
+import { enrichRules } from '../lib/enrich/enrichRules.js';
+import { buildAuditJunit } from '../lib/io/auditJunit.js';
+import { buildAuditSarif } from '../lib/io/auditSarif.js';
+import { runScenarios } from './scenarios.js';
+
+const accepted = { owner: 'a11y-team', expires: '2099-01-01', reason: 'Third-party widget' };
+
+// Rule names with markup and ampersands, to check each format escapes them once
+const [imageAlt, region] = enrichRules([
+  {
+    id: 'image-alt',
+    impact: 'critical',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/image-alt',
+    occurrences: [
+      { page: 'https://ex.com/', target: ['img'], html: '<img src="a.png">', isNewOccurrence: true },
+      { page: 'https://ex.com/about', target: ['img.logo'], html: '<img class="logo">', viewport: 'mobile' }
+    ]
+  },
+  {
+    id: 'region',
+    impact: 'moderate',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/region',
+    occurrences: [{ page: 'https://ex.com/about', target: ['footer'], html: '<footer>', accepted }]
+  }
+], {
+  axeMetadata: {
+    'image-alt': { help: 'Images must have <img> alternate text', description: 'Ensures <img> elements have alt text', tags: ['wcag2a', 'wcag111'] },
+    region: { help: 'Content must be in landmarks & regions', tags: ['best-practice'] }
+  },
+  wcagTags: { wcag111: { title: 'WCAG 1.1.1 Non-text Content', w3cURL: 'https://www.w3.org/WAI/WCAG21/Understanding/non-text-content' } },
+  rationales: { 'image-alt': 'Screen readers read "image" & nothing else.' }
+});
+
+const reviewRule = {
+  ...region,
+  id: 'color-contrast',
+  impact: 'serious',
+  plainText: { name: 'Elements must meet minimum color contrast', description: '', rationale: '' },
+  occurrences: [{ page: 'https://ex.com/', target: ['p'], reviewReason: 'Background image' }]
+};
+
+const failedPages = [{ url: 'https://ex.com/broken', viewport: 'desktop', code: 'timeout', label: 'Timed out', message: 'Navigation took over 30s & gave up' }];
+
+const junit = buildAuditJunit({
+  siteUrl: 'https://ex.com',
+  rules: [imageAlt, region],
+  pages: ['https://ex.com/', 'https://ex.com/about', 'https://ex.com/contact'],
+  failedPages
+});
+const suites = [...junit.matchAll(/<testsuite name="([^"]*)" tests="(\d+)" failures="(\d+)" errors="(\d+)" skipped="(\d+)"/g)]
+  .map(([, name, ...counts]) => [name, ...counts.map(Number)]);
+
+const run = compared => buildAuditSarif({ rules: [imageAlt, region], reviewRules: [reviewRule], failedPages, compared, toolVersion: '1.2.3' }).runs[0];
+const first = run(false);
+const later = run(true);
+
+const scenarios = [
+  {
+    name: 'Enriched rules keep unescaped text',
+    actual: [imageAlt.displayName, imageAlt.plainText, region.plainText.name],
+    expected: [
+      'Images must have &lt;img&gt; alternate text',
+      { name: 'Images must have <img> alternate text', description: 'Ensures <img> elements have alt text', rationale: 'Screen readers read "image" & nothing else.' },
+      'Content must be in landmarks & regions'
+    ]
+  },
+  {
+    name: 'JUnit: one suite per page, plus failed pages',
+    actual: suites,
+    expected: [
+      ['https://ex.com', 1, 1, 0, 0],
+      ['https://ex.com/about', 2, 1, 0, 1],
+      ['https://ex.com/contact', 0, 0, 0, 0],
+      ['https://ex.com/broken (desktop)', 1, 0, 1, 0]
+    ]
+  },
+  {
+    name: 'JUnit: totals',
+    actual: junit.match(/<testsuites [^>]*>/)[0],
+    expected: '<testsuites name="Accessibility audit of https://ex.com" tests="4" failures="2" errors="1" skipped="1">'
+  },
+  {
+    name: 'JUnit: rule names escaped exactly once',
+    actual: [
+      junit.includes('name="image-alt: Images must have &lt;img&gt; alternate text"'),
+      junit.includes('name="region: Content must be in landmarks &amp; regions"'),
+      junit.includes('&amp;lt;') || junit.includes('&amp;amp;')
+    ],
+    expected: [true, true, false]
+  },
+  {
+    name: 'JUnit: accepted occurrences skipped, failures detailed',
+    actual: [
+      junit.includes('<skipped message="Accepted by a11y-team until 2099-01-01"/>'),
+      junit.includes('img.logo | viewport: mobile'),
+      junit.includes('<error type="timeout" message="Timed out: Navigation took over 30s &amp; gave up"/>')
+    ],
+    expected: [true, true, true]
+  },
+  {
+    name: 'SARIF: rules described in plain text',
+    actual: first.tool.driver.rules.map(({ id, shortDescription, fullDescription, help, defaultConfiguration }) =>
+      [id, shortDescription.text, fullDescription.text, help.text.split('\n')[0], defaultConfiguration.level]),
+    expected: [
+      ['image-alt', 'Images must have <img> alternate text', 'Ensures <img> elements have alt text', 'Screen readers read "image" & nothing else.', 'error'],
+      ['region', 'Content must be in landmarks & regions', 'Content must be in landmarks & regions', 'This issue creates a barrier for users with disabilities.', 'warning'],
+      ['color-contrast', 'Elements must meet minimum color contrast', 'Elements must meet minimum color contrast', 'Deque University: https://dequeuniversity.com/rules/axe/region', 'error']
+    ]
+  },
+  {
+    name: 'SARIF: results by kind, level and suppression',
+    actual: first.results.map(r => [r.ruleId, r.kind, r.level, r.message.text, r.suppressions?.[0].status || null]),
+    expected: [
+      ['image-alt', 'fail', 'error', 'Images must have <img> alternate text: img', null],
+      ['image-alt', 'fail', 'error', 'Images must have <img> alternate text: img.logo (viewport mobile)', null],
+      ['region', 'fail', 'warning', 'Content must be in landmarks & regions: footer', 'accepted'],
+      ['color-contrast', 'review', 'none', 'Needs review: p. Background image', null]
+    ]
+  },
+  {
+    name: 'SARIF: no baselineState on a first audit',
+    actual: first.results.map(r => r.baselineState),
+    expected: [undefined, undefined, undefined, undefined]
+  },
+  {
+    name: 'SARIF: baselineState after a previous audit, except for review results',
+    actual: later.results.map(r => r.baselineState),
+    expected: ['new', 'unchanged', 'unchanged', undefined]
+  },
+  {
+    name: 'SARIF: failed pages as notifications',
+    actual: [first.tool.driver.version, first.invocations[0].toolExecutionNotifications.map(n => [n.descriptor.id, n.message.text])],
+    expected: ['1.2.3', [['timeout', 'https://ex.com/broken (desktop) could not be audited. Timed out: Navigation took over 30s & gave up']]]
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'REPORTS TRUSTED: JUnit and SARIF report every page, escape rule names once, and only set a baseline state after a previous audit.',
+  failed: 'Report tests failed'
+});
@@ -0,0 +1,160 @@
+// tests/test-schedules.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseCron,
+  getNextCronRun,
+  toCronExpression,
+  normalizeScheduleTiming,
+  createScheduler
+} from '../lib/jobs/schedules.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+// Cron runs in server local time, so the dates are built and read back in local time too
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+const local = date => date && `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+// 2026-01-01 is a Thursday
+const NEW_YEAR_NOON = at(2026, 1, 1, 12);
+const next = expression => local(getNextCronRun(expression, NEW_YEAR_NOON));
+
+// A schedule that came due while the server was down is run once, flagged as missed
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-schedules-'));
+const stateFile = path.join(dir, 'audit-schedules.json');
+const past = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+fs.writeFileSync(stateFile, JSON.stringify({
+  schedules: [
+    { id: 'missed', url: 'https://a.example', frequency: 'daily', time: '02:00', enabled: true, nextRunAt: past, createdAt: past },
+    { id: 'paused', url: 'https://b.example', frequency: 'daily', time: '02:00', enabled: false, nextRunAt: past, createdAt: past }
+  ]
+}));
+
+const due = [];
+const scheduler = createScheduler({
+  stateFile,
+  onDue: (schedule, { missed }) => {
+    due.push({ id: schedule.id, missed });
+    return 'job-1';
+  }
+});
+scheduler.start();
+scheduler.stop();
+const caughtUp = scheduler.get('missed');
+const saved = JSON.parse(fs.readFileSync(stateFile, 'utf-8')).schedules.find(s => s.id === 'missed');
+fs.rmSync(dir, { recursive: true, force: true });
+
+const scenarios = [
+  {
+    name: 'Field lists, ranges and steps',
+    actual: (({ minutes, hours, weekdays }) => ({ minutes: [...minutes], hours: [...hours], weekdays: [...weekdays] }))(parseCron('*/20 1-3,22 * * 1-5/2')),
+    expected: { minutes: [0, 20, 40], hours: [1, 2, 3, 22], weekdays: [1, 3, 5] }
+  },
+  {
+    name: 'Sunday as 7',
+    actual: [...parseCron('0 0 * * 7').weekdays],
+    expected: [0]
+  },
+  {
+    name: 'Day fields starting with * are unrestricted',
+    actual: ['0 0 * * 1', '0 0 */2 * 1', '0 0 1 * */2', '0 0 1 * 1'].map(expression => {
+      const { anyDay, anyWeekday } = parseCron(expression);
+      return [anyDay, anyWeekday];
+    }),
+    expected: [[true, false], [true, false], [false, true], [false, false]]
+  },
+  {
+    name: 'Next daily run',
+    actual: [next('30 2 * * *'), next('0 12 * * *'), next('15 13 * * *')],
+    expected: ['2026-01-02 02:30', '2026-01-02 12:00', '2026-01-01 13:15']
+  },
+  {
+    name: 'Next weekly run (Sunday as 0 or 7)',
+    actual: [next('0 9 * * 1'), next('0 9 * * 0'), next('0 9 * * 7')],
+    expected: ['2026-01-05 09:00', '2026-01-04 09:00', '2026-01-04 09:00']
+  },
+  {
+    name: 'Both day fields restricted: either one matches',
+    actual: next('0 0 15 * 1'),
+    expected: '2026-01-05 00:00'
+  },
+  {
+    name: 'Day of month */2 with a weekday: both must match',
+    actual: next('0 0 */2 * 1'),
+    expected: '2026-01-05 00:00'
+  },
+  {
+    name: 'Weekday */2 with a day of month: both must match',
+    actual: next('0 0 14 * */2'),
+    expected: '2026-02-14 00:00'
+  },
+  {
+    name: 'Leap day only in leap years',
+    actual: next('0 0 29 2 *'),
+    expected: '2028-02-29 00:00'
+  },
+  {
+    name: 'Invalid expressions',
+    actual: ['0 0 * *', '60 * * * *', '0 0 5-1 * *', '0 0 * * mon'].map(expression => thrownMessage(() => parseCron(expression))),
+    expected: [
+      '❌ Cron expression must have 5 fields (minute hour day month weekday): "0 0 * *"',
+      '❌ Invalid cron minute: "60" (allowed 0-59)',
+      '❌ Invalid cron day of month: "5-1" (allowed 1-31)',
+      '❌ Invalid cron day of week: "mon"'
+    ]
+  },
+  {
+    name: 'Daily and weekly as cron',
+    actual: [
+      toCronExpression({ frequency: 'daily', time: '02:30' }),
+      toCronExpression({ frequency: 'weekly', time: '09:05', dayOfWeek: 3 }),
+      toCronExpression({ frequency: 'cron', cron: '*/15 * * * *' })
+    ],
+    expected: ['30 2 * * *', '5 9 * * 3', '*/15 * * * *']
+  },
+  {
+    name: 'Timing normalized',
+    actual: [
+      normalizeScheduleTiming(),
+      normalizeScheduleTiming({ frequency: 'weekly', time: '7:00', dayOfWeek: '5' }),
+      normalizeScheduleTiming({ frequency: 'cron', cron: ' 0  3 * * 1 ' })
+    ],
+    expected: [
+      { frequency: 'daily', time: '02:00' },
+      { frequency: 'weekly', time: '07:00', dayOfWeek: 5 },
+      { frequency: 'cron', cron: '0 3 * * 1' }
+    ]
+  },
+  {
+    name: 'Invalid timing',
+    actual: [
+      { frequency: 'hourly' },
+      { time: '24:00' },
+      { frequency: 'weekly', dayOfWeek: 7 }
+    ].map(timing => thrownMessage(() => normalizeScheduleTiming(timing))),
+    expected: [
+      '❌ frequency must be one of: daily, weekly, cron',
+      '❌ time must be HH:MM (24-hour), got "24:00"',
+      '❌ dayOfWeek must be 0 (Sunday) to 6 (Saturday)'
+    ]
+  },
+  {
+    name: 'Missed run caught up once on start',
+    actual: due,
+    expected: [{ id: 'missed', missed: true }]
+  },
+  {
+    name: 'Caught-up schedule moves to its next run',
+    actual: {
+      lastJobId: caughtUp.lastJobId,
+      inFuture: new Date(caughtUp.nextRunAt) > new Date(),
+      saved: saved.nextRunAt === caughtUp.nextRunAt
+    },
+    expected: { lastJobId: 'job-1', inFuture: true, saved: true }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'SCHEDULES TRUSTED: Parsed cron, found next runs and caught up on missed ones.',
+  failed: 'Schedule tests failed'
+});
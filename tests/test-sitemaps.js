@@ -0,0 +1,133 @@
+// tests/test-sitemaps.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { discoverSitemaps, readSitemaps, isModifiedSince } from '../lib/fetchUrls.js';
+import { writeUrlListMeta, readUrlListMeta, getUrlListMetaPath } from '../lib/io/urlListMeta.js';
+import { diffRules } from '../lib/diff/diffRules.js';
+import { serveFakeSite } from './fakeSite.js';
+import { runScenarios } from './scenarios.js';
+
+const urlset = locs => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(([loc, lastmod]) => `  <url><loc>${loc}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`).join('\n')}
+</urlset>`;
+const sitemapindex = locs => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `  <sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+// The console warnings readSitemaps prints are collected instead
+const warnings = [];
+const warn = console.warn;
+console.warn = message => warnings.push(message.trim());
+
+serveFakeSite({
+  'https://example.com/robots.txt': [
+    'User-agent: *',
+    'Disallow: /admin',
+    'Sitemap: https://example.com/sitemap_index.xml',
+    'Sitemap: /news-sitemap.xml',
+    'Sitemap: https://example.com/sitemap_index.xml',
+    'Sitemap: http://localhost/internal.xml'
+  ].join('\n'),
+  'https://example.com/sitemap_index.xml': sitemapindex([
+    'https://example.com/pages.xml.gz',
+    'https://example.com/nested_index.xml',
+    'https://example.com/missing.xml'
+  ]),
+  'https://example.com/nested_index.xml': sitemapindex(['https://example.com/pages.xml.gz', 'https://example.com/blog.xml']),
+  'https://example.com/pages.xml.gz': zlib.gzipSync(urlset([['https://example.com/', '2026-01-01'], ['https://example.com/about']])),
+  'https://example.com/blog.xml': urlset([['https://example.com/blog/hello', '2026-03-01T10:00:00+00:00']]),
+  'https://example.com/news-sitemap.xml': { status: 500 }
+});
+
+const discovered = await discoverSitemaps('https://example.com/');
+const entries = await readSitemaps(['https://example.com/sitemap_index.xml']);
+
+serveFakeSite({});
+const noRobots = await discoverSitemaps('https://example.com/');
+console.warn = warn;
+
+// Incremental audits only compare the pages they revisited
+const occurrence = page => ({ page, target: 'img', html: '<img>' });
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-sitemaps-'));
+fs.writeFileSync(path.join(dir, 'previous.json'), JSON.stringify({
+  rules: [
+    { id: 'image-alt', occurrences: [occurrence('https://example.com/'), occurrence('https://example.com/about')] },
+    { id: 'label', occurrences: [occurrence('https://example.com/about')] }
+  ]
+}));
+const incremental = diffRules(
+  [{ id: 'image-alt', occurrences: [occurrence('https://example.com/blog/hello')] }],
+  dir,
+  {},
+  'previous.json',
+  { pages: new Set(['https://example.com/', 'https://example.com/blog/hello']) }
+);
+
+const urlsFile = path.join(dir, 'urls.txt');
+writeUrlListMeta(urlsFile, { changedSince: '2026-02-01T00:00:00.000Z' });
+const meta = readUrlListMeta(urlsFile);
+writeUrlListMeta(urlsFile, {});
+const metaRemoved = !fs.existsSync(getUrlListMetaPath(urlsFile));
+fs.rmSync(dir, { recursive: true, force: true });
+
+const since = new Date('2026-02-01T12:00:00Z');
+
+const scenarios = [
+  {
+    name: 'Sitemaps from robots.txt, resolved, deduplicated and safe',
+    actual: discovered,
+    expected: ['https://example.com/sitemap_index.xml', 'https://example.com/news-sitemap.xml']
+  },
+  {
+    name: 'No robots.txt, no sitemaps',
+    actual: noRobots,
+    expected: []
+  },
+  {
+    name: 'Nested and gzipped sitemaps followed, with lastmod',
+    actual: entries,
+    expected: [
+      { loc: 'https://example.com/', lastmod: '2026-01-01' },
+      { loc: 'https://example.com/about', lastmod: null },
+      { loc: 'https://example.com/blog/hello', lastmod: '2026-03-01T10:00:00+00:00' }
+    ]
+  },
+  {
+    name: 'Repeated and failing sitemaps warned about',
+    actual: warnings,
+    expected: [
+      '⚠️ Sitemap failed: https://example.com/missing.xml (404)',
+      '⚠️ Sitemap listed more than once, skipping: https://example.com/pages.xml.gz'
+    ]
+  },
+  {
+    name: 'Modified since: dates cover the whole day, unreadable ones count as changed',
+    actual: ['2026-02-02T00:00:00Z', '2026-02-01T11:59:00Z', '2026-02-01', '2026-01-31', 'yesterday'].map(lastmod => isModifiedSince(lastmod, since)),
+    expected: [true, false, true, false, true]
+  },
+  {
+    name: 'Incremental diff leaves pages it did not revisit alone',
+    actual: {
+      totals: incremental.diffTotals,
+      resolvedRules: incremental.fullyResolvedRules.map(rule => rule.id)
+    },
+    expected: {
+      totals: { newViolations: 1, resolvedViolations: 1, moved: 0, unchanged: 0 },
+      resolvedRules: []
+    }
+  },
+  {
+    name: 'URL list metadata written, read and cleared',
+    actual: { meta, metaRemoved },
+    expected: { meta: { changedSince: '2026-02-01T00:00:00.000Z' }, metaRemoved: true }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'SITEMAPS TRUSTED: Found sitemaps in robots.txt, followed nested and gzipped ones, and diffed incremental audits.',
+  failed: 'Sitemap tests failed'
+});
@@ -0,0 +1,99 @@
+// tests/test-url-list.js
+import { parseUrlList, cleanUrlList, MAX_URL_LIST } from '../lib/io/urlList.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const rejection = async promise => {
+  try {
+    await promise;
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc> https://example.com/ </loc></url>
+  <url><loc>https://example.com/about</loc><lastmod>2026-01-01</lastmod></url>
+</urlset>`;
+
+const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>
+</sitemapindex>`;
+
+const tooMany = Array.from({ length: MAX_URL_LIST + 1 }, (_, i) => `https://example.com/page-${i}`);
+
+const scenarios = [
+  {
+    name: 'Plain text: one per line, comments and blanks skipped',
+    actual: await parseUrlList('# pages to audit\r\nhttps://example.com/\n\n  https://example.com/about  \n'),
+    expected: ['https://example.com/', 'https://example.com/about']
+  },
+  {
+    name: 'CSV: URL cells only, header and other columns ignored',
+    actual: await parseUrlList('url,title\n"https://example.com/",Home\nhttps://example.com/about, About us\n', 'pages.CSV'),
+    expected: ['https://example.com/', 'https://example.com/about']
+  },
+  {
+    name: 'Sitemap <urlset>, by extension or by content',
+    actual: [await parseUrlList(sitemap, 'sitemap.xml'), await parseUrlList(sitemap)],
+    expected: [
+      ['https://example.com/', 'https://example.com/about'],
+      ['https://example.com/', 'https://example.com/about']
+    ]
+  },
+  {
+    name: 'Unknown extension falls back to the content',
+    actual: await parseUrlList('https://example.com/a\nhttps://example.com/b', 'pages.list'),
+    expected: ['https://example.com/a', 'https://example.com/b']
+  },
+  {
+    name: 'Unusable lists rejected',
+    actual: [
+      await rejection(parseUrlList('  \n ')),
+      await rejection(parseUrlList(sitemapIndex, 'sitemap.xml')),
+      await rejection(parseUrlList('<html><body></body></html>', 'page.xml')),
+      (await rejection(parseUrlList('<urlset><url>', 'sitemap.xml')))?.startsWith('❌ Could not parse the sitemap XML:')
+    ],
+    expected: [
+      '❌ The URL list is empty.',
+      '❌ This is a sitemap index. Upload one of the sitemaps it lists instead.',
+      '❌ The XML file is not a sitemap (no <urlset>).',
+      true
+    ]
+  },
+  {
+    name: 'Entries normalized like crawled URLs, duplicates dropped',
+    actual: cleanUrlList(['https://Example.com/about/', 'https://example.com/about#team', 'https://example.com/']),
+    expected: ['https://example.com/about', 'https://example.com']
+  },
+  {
+    name: 'Query strings kept, so query-routed pages stay apart',
+    actual: cleanUrlList(['https://example.com/p?id=1', 'https://example.com/p?id=2', 'https://example.com/p?b=2&a=1#top', 'https://example.com/p?a=1&b=2']),
+    expected: ['https://example.com/p?id=1', 'https://example.com/p?id=2', 'https://example.com/p?a=1&b=2']
+  },
+  {
+    name: 'Invalid and unsafe entries named',
+    actual: [
+      thrownMessage(() => cleanUrlList([])),
+      thrownMessage(() => cleanUrlList(['https://example.com/', 'ftp://example.com/file', 'not a url', 'http://localhost:3000/'])),
+      thrownMessage(() => cleanUrlList(Array.from({ length: 7 }, (_, i) => `http://10.0.0.${i}/`)))
+    ],
+    expected: [
+      '❌ The URL list is empty.',
+      '❌ Invalid or unsafe URLs in the list: ftp://example.com/file, not a url, http://localhost:3000/',
+      '❌ Invalid or unsafe URLs in the list: http://10.0.0.0/, http://10.0.0.1/, http://10.0.0.2/, http://10.0.0.3/, http://10.0.0.4/ and 2 more'
+    ]
+  },
+  {
+    name: 'List size limited',
+    actual: thrownMessage(() => cleanUrlList(tooMany)),
+    expected: `❌ The URL list has ${MAX_URL_LIST + 1} URLs; the limit is ${MAX_URL_LIST}.`
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'URL LISTS TRUSTED: Read text, CSV and sitemap lists, and rejected unsafe entries.',
+  failed: 'URL list tests failed'
+});
@@ -0,0 +1,48 @@
+// tests/test-viewports.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveViewports, collectViewports, VIEWPORT_PRESETS } from '../lib/config/viewports.js';
+import { diffRules } from '../lib/diff/diffRules.js';
+import { runScenarios, thrownMessage } from './scenarios.js';
+
+const projectConfig = { viewports: ['mobile', { name: 'wide', width: 1920, height: 1080 }] };
+
+// The same element at two breakpoints: fixed on desktop, still broken on mobile, new on tablet
+const occurrence = viewport => ({ page: 'https://ex.com/', target: 'nav > a', html: '<a>', viewport });
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-viewports-'));
+fs.writeFileSync(path.join(dir, 'previous.json'), JSON.stringify({
+  rules: [{ id: 'target-size', occurrences: [occurrence('mobile'), occurrence('desktop')] }]
+}));
+const { diffTotals } = diffRules(
+  [{ id: 'target-size', occurrences: [occurrence('mobile'), occurrence('tablet')] }],
+  dir,
+  {},
+  'previous.json'
+);
+fs.rmSync(dir, { recursive: true, force: true });
+
+const scenarios = [
+  { name: 'No Config Keeps Legacy Viewport', actual: resolveViewports([], {}), expected: null },
+  { name: 'Configured Profiles', actual: resolveViewports([], projectConfig).map(p => p.name), expected: ['mobile', 'wide'] },
+  { name: 'Custom Profile Gets Defaults', actual: resolveViewports(['wide'], projectConfig)[0].deviceScaleFactor, expected: 1 },
+  { name: 'Names Pick Presets', actual: resolveViewports(['desktop'], projectConfig), expected: [VIEWPORT_PRESETS.desktop] },
+  { name: 'Unknown Name Refused', actual: thrownMessage(() => resolveViewports(['watch'])), expected: '❌ Unknown viewport "watch". Available: mobile, tablet, desktop.' },
+  { name: 'Duplicate Refused', actual: thrownMessage(() => resolveViewports(['mobile', 'mobile'])), expected: '❌ Viewport "mobile" is listed more than once.' },
+  { name: 'Bad Size Refused', actual: thrownMessage(() => resolveViewports([], { viewports: [{ name: 'tiny', width: 0, height: 10 }] })), expected: '❌ viewports[0] ("tiny"): "width" must be a positive integer.' },
+  { name: 'Viewports In First-Seen Order', actual: collectViewports([{ viewport: 'mobile' }, { viewport: 'desktop' }, { viewport: 'mobile' }, {}]), expected: ['mobile', 'desktop'] },
+  {
+    name: 'Diff Per Viewport',
+    actual: diffTotals.byViewport,
+    expected: {
+      mobile: { newViolations: 0, resolvedViolations: 0, moved: 0, unchanged: 1 },
+      tablet: { newViolations: 1, resolvedViolations: 0, moved: 0, unchanged: 0 },
+      desktop: { newViolations: 0, resolvedViolations: 1, moved: 0, unchanged: 0 }
+    }
+  }
+];
+
+runScenarios(scenarios, {
+  passed: 'VIEWPORTS TRUSTED: Resolved profiles and diffed each breakpoint on its own.',
+  failed: 'VIEWPORTS BRITTLE: Failed scenarios'
+});